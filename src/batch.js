@@ -3,90 +3,406 @@
 /**
  * Batch FOV Estimation
  *
- * Iterates over every image in the ./assets directory and prints the
- * FOV estimation results for each file.
+ * Analyses every image matched by the given files, directories and glob
+ * patterns and prints the FOV estimation results for each file. Without
+ * inputs, the ./assets directory next to the source is scanned.
+ *
+ * Usage:   node src/batch.js [<file|dir|glob>...] [options]
+ *
+ *   --include <glob>       keep only matching files (repeatable)
+ *   --exclude <glob>       drop matching files (repeatable)
+ *   --no-recursive         do not descend into sub-directories
+ *   --concurrency <n>      files analysed in parallel (= exiftool maxProcs)
+ *   --projection <model>   force a lens projection model
+ *   --sensor-db <file>     register a user sensor database
+ *   --focus-breathing <m>  none (default), thin-lens or table
+ *   --breathing-db <file>  register lens breathing tables (see ./breathing.js)
+ *   --lcp <file|dir>       register Adobe lens profiles (see ./distortion.js)
+ *   --backend <name>       EXIF reader: exiftool (default) or js (see ./exif.js)
+ *   --config <file>        per-camera overrides (see ./overrides.js); default:
+ *                          fov.config.json / .yaml in the working directory
+ *   --cache <file>         reuse the metadata of unchanged files from this
+ *                          cache (see ./cache.js); default: $FOV_CACHE, or
+ *                          no cache
+ *   --no-cache             ignore $FOV_CACHE and read every file
+ *   --rebuild-cache        re-read every file and replace the cache
+ *   --format <name>        table (default), json, ndjson or csv; see
+ *                          ./format.js. NDJSON streams one record per file
+ *   --export <format>      write a COLMAP / OpenCV / OpenSfM / Kalibr camera
+ *                          file for all successful images (see ./export.js)
+ *   --out <file>           export destination
+ *   --colmap-model <name>  PINHOLE (default) or SIMPLE_RADIAL
+ *   --report <format>      summary report after the run: table, json or
+ *                          markdown (see ./report.js)
+ *   --report-out <file>    write the report here instead of printing it
+ *
+ * Exit codes:  0 – every file succeeded
+ *              1 – at least one file failed or an input matched nothing
+ *              2 – usage error, or no image to process
  */
 
-import { readdir } from "node:fs/promises";
-import { join, extname } from "node:path";
+import { parseArgs } from "node:util";
+import { writeFile } from "node:fs/promises";
+import { join } from "node:path";
 import { fileURLToPath } from "node:url";
 import { dirname } from "node:path";
+import { DefaultMaxProcs } from "exiftool-vendored";
 import { analyze } from "./index.js";
-import { shutdown } from "./exif.js";
+import { configureExifTool, setExifBackend, shutdown, EXIF_BACKENDS } from "./exif.js";
+import { EXPORT_FORMATS, COLMAP_MODELS, writeExport } from "./export.js";
+import { loadSensorDatabase } from "./sensors.js";
+import { loadBreathingDatabase } from "./breathing.js";
+import { loadLcpProfiles } from "./distortion.js";
+import { loadOverrideConfig, findOverrideConfig } from "./overrides.js";
+import { openMetadataCache } from "./cache.js";
+import { PROJECTIONS, FOCUS_BREATHING_MODELS } from "./compute.js";
+import { expandInputs } from "./files.js";
+import { REPORT_FORMATS, summariseBatch, formatBatchReport, formatOutliers } from "./report.js";
+import {
+    OUTPUT_FORMATS,
+    createRecordWriter,
+    resultRecord,
+    errorRecord,
+} from "./format.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const ASSETS_DIR = join(__dirname, "..", "assets");
 
-const SUPPORTED_EXTENSIONS = new Set([
-    ".jpg",
-    ".jpeg",
-    ".png",
-    ".tiff",
-    ".tif",
-    ".heic",
-    ".heif",
-    ".avif",
-    ".webp",
-    ".dng",
-    ".cr2",
-    ".nef",
-    ".arw",
-]);
+const USAGE =
+    "Usage: node src/batch.js [<file|dir|glob>...] [--include <glob>] " +
+    "[--exclude <glob>] [--no-recursive] [--concurrency <n>] " +
+    "[--projection <model>] [--sensor-db <file>] [--focus-breathing <model>] " +
+    "[--breathing-db <file>] [--lcp <file|dir>] [--backend <name>] [--format <name>] " +
+    "[--export <format>] [--out <file>] [--colmap-model <name>] [--config <file>] " +
+    "[--cache <file>] [--no-cache] [--rebuild-cache] [--report <format>] [--report-out <file>]";
 
-async function main() {
-    const entries = await readdir(ASSETS_DIR);
+const EXIT_FAILURES = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
 
-    const imageFiles = entries
-        .filter((f) => SUPPORTED_EXTENSIONS.has(extname(f).toLowerCase()))
-        .sort();
+function parseCli() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                include: { type: "string", multiple: true },
+                exclude: { type: "string", multiple: true },
+                "no-recursive": { type: "boolean" },
+                concurrency: { type: "string" },
+                projection: { type: "string" },
+                "sensor-db": { type: "string" },
+                "focus-breathing": { type: "string", default: "none" },
+                "breathing-db": { type: "string" },
+                lcp: { type: "string" },
+                backend: { type: "string", default: "exiftool" },
+                format: { type: "string", default: "table" },
+                export: { type: "string" },
+                out: { type: "string" },
+                "colmap-model": { type: "string" },
+                config: { type: "string" },
+                cache: { type: "string" },
+                "no-cache": { type: "boolean" },
+                "rebuild-cache": { type: "boolean" },
+                report: { type: "string" },
+                "report-out": { type: "string" },
+            },
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
 
-    console.log(`\nFound ${imageFiles.length} image(s) in assets/\n`);
+    const { values, positionals } = args;
 
-    let successes = 0;
-    let failures = 0;
+    const concurrency =
+        values.concurrency != null ? Number(values.concurrency) : DefaultMaxProcs;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new UsageError(
+            `--concurrency must be a positive integer, got "${values.concurrency}".`
+        );
+    }
+
+    if (values.export && !(values.export in EXPORT_FORMATS)) {
+        throw new UsageError(`Unknown export format "${values.export}".`);
+    }
+
+    if (values["colmap-model"] && !COLMAP_MODELS.includes(values["colmap-model"])) {
+        throw new UsageError(
+            `Unknown COLMAP camera model "${values["colmap-model"]}". Expected ${COLMAP_MODELS.join(" or ")}.`
+        );
+    }
+    if (values["colmap-model"] && values.export !== "colmap") {
+        throw new UsageError("--colmap-model requires --export colmap.");
+    }
+
+    if (values.projection && !PROJECTIONS.includes(values.projection)) {
+        throw new UsageError(`Unknown projection "${values.projection}".`);
+    }
+
+    if (!FOCUS_BREATHING_MODELS.includes(values["focus-breathing"])) {
+        throw new UsageError(
+            `Unknown focus-breathing model "${values["focus-breathing"]}".`
+        );
+    }
+
+    if (!EXIF_BACKENDS.includes(values.backend)) {
+        throw new UsageError(`Unknown EXIF backend "${values.backend}".`);
+    }
+
+    if (!OUTPUT_FORMATS.includes(values.format)) {
+        throw new UsageError(`Unknown output format "${values.format}".`);
+    }
+
+    if (values.report && !REPORT_FORMATS.includes(values.report)) {
+        throw new UsageError(`Unknown report format "${values.report}".`);
+    }
+    if (values["report-out"] && !values.report) {
+        throw new UsageError("--report-out requires --report.");
+    }
+
+    if (values["no-cache"] && (values.cache || values["rebuild-cache"])) {
+        throw new UsageError("--no-cache cannot be combined with --cache or --rebuild-cache.");
+    }
+    // The cache is opt-in: --cache, or a default location in $FOV_CACHE
+    const cachePath = values["no-cache"] ? null : (values.cache ?? (process.env.FOV_CACHE || null));
+    if (values["rebuild-cache"] && !cachePath) {
+        throw new UsageError("--rebuild-cache requires --cache <file> (or $FOV_CACHE).");
+    }
+
+    return {
+        inputs: positionals.length > 0 ? positionals : [ASSETS_DIR],
+        include: values.include ?? [],
+        exclude: values.exclude ?? [],
+        recursive: !values["no-recursive"],
+        concurrency,
+        projection: values.projection,
+        sensorDb: values["sensor-db"],
+        focusBreathing: values["focus-breathing"],
+        breathingDb: values["breathing-db"],
+        lcp: values.lcp,
+        backend: values.backend,
+        format: values.format,
+        exportFormat: values.export,
+        outPath: values.out,
+        colmapModel: values["colmap-model"],
+        config: values.config,
+        cachePath,
+        rebuildCache: Boolean(values["rebuild-cache"]),
+        report: values.report,
+        reportOut: values["report-out"],
+    };
+}
+
+/**
+ * Render one file's result block. Built as a single string so blocks from
+ * concurrently analysed files never interleave.
+ */
+function formatResult(file, r, err) {
+    const lines = [
+        `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
+        `  ${file}`,
+        `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
+    ];
+
+    if (err) {
+        lines.push(`  ⚠ Error: ${err.message}`);
+    } else {
+        lines.push(
+            `  Camera:          ${r.cameraId}`,
+            `  Dimensions:      ${r.rawWidth} × ${r.rawHeight} px`,
+            `  Orientation:     ${r.orientation}${r.orientation >= 5 ? " (rotated → " + r.visualWidth + " × " + r.visualHeight + ")" : ""}`,
+            `  Focal length:    ${r.focalLength?.toFixed(2) ?? "N/A"} mm  (35mm eq: ${r.focalLengthIn35mm.toFixed(2)} mm)`,
+            `  Scale Factor:    ${r.scaleFactor35efl?.toFixed(2) ?? "N/A"}`,
+            `  f_pixel (diag):  ${r.fPixelDiagonal.toFixed(2)} px`,
+            `  HFOV / VFOV:     ${r.hfov.toFixed(2)}° / ${r.vfov.toFixed(2)}°`,
+            `  DFOV:            ${r.dfov.toFixed(2)}°`
+        );
+    }
+
+    return lines.join("\n") + "\n";
+}
 
-    for (const file of imageFiles) {
-        const filePath = join(ASSETS_DIR, file);
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight.
+ */
+async function runConcurrent(items, limit, worker) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(lanes);
+}
 
-        console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-        console.log(`  ${file}`);
-        console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+/**
+ * Load the sensor, breathing, lens-profile and override files given on the
+ * command line. A file that is missing or invalid is a usage error naming
+ * its option.
+ */
+async function loadDataFiles(opts) {
+    const configPath = opts.config ?? (await findOverrideConfig());
+    const loads = [
+        ["--sensor-db", opts.sensorDb, loadSensorDatabase],
+        ["--breathing-db", opts.breathingDb, loadBreathingDatabase],
+        ["--lcp", opts.lcp, loadLcpProfiles],
+        [opts.config ? "--config" : "override config", configPath, loadOverrideConfig],
+    ];
+    for (const [option, path, load] of loads) {
+        if (!path) continue;
+        try {
+            await load(path);
+        } catch (err) {
+            throw new UsageError(`${option}: ${err.message}`);
+        }
+    }
+}
 
+async function main() {
+    let opts;
+    try {
+        opts = parseCli();
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        console.error(`Error: ${err.message}`);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    try {
+        await loadDataFiles(opts);
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        console.error(`Error: ${err.message}`);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    let cache = null;
+    if (opts.cachePath) {
         try {
-            const r = await analyze(filePath);
-
-            console.log(`  Dimensions:      ${r.rawWidth} × ${r.rawHeight} px`);
-            console.log(
-                `  Orientation:     ${r.orientation}${r.orientation >= 5 ? " (rotated → " + r.visualWidth + " × " + r.visualHeight + ")" : ""}`
-            );
-            console.log(
-                `  Focal length:    ${r.focalLength?.toFixed(2) ?? "N/A"} mm  (35mm eq: ${r.focalLengthIn35mm.toFixed(2)} mm)`
-            );
-            console.log(
-                `  Scale Factor:    ${r.scaleFactor35efl?.toFixed(2) ?? "N/A"}`
-            );
-            console.log(
-                `  f_pixel (diag):  ${r.fPixelDiagonal.toFixed(2)} px`
-            );
-            console.log(
-                `  HFOV / VFOV:     ${r.hfov.toFixed(2)}° / ${r.vfov.toFixed(2)}°`
-            );
-            console.log(`  DFOV:            ${r.dfov.toFixed(2)}°`);
-
-            successes++;
+            cache = await openMetadataCache(opts.cachePath, { rebuild: opts.rebuildCache });
         } catch (err) {
-            console.log(`  ⚠ Error: ${err.message}`);
-            failures++;
+            const hint = err.code === "ENOTCACHE" ? " Pass --rebuild-cache to replace it." : "";
+            console.error(`Error: ${err.message}${hint}`);
+            console.error(USAGE);
+            return EXIT_USAGE;
         }
+    }
+
+    const { files, missing } = await expandInputs(opts.inputs, {
+        recursive: opts.recursive,
+        include: opts.include,
+        exclude: opts.exclude,
+    });
+
+    // Machine-readable formats own stdout; status messages go to stderr
+    const table = opts.format === "table";
+    const writer = table ? null : createRecordWriter(opts.format);
+    const log = table ? console.log : console.error;
 
-        console.log();
+    for (const input of missing) {
+        if (table) console.error(`⚠ No image matched "${input}"`);
+        else writer.write(errorRecord(input, new Error("No image matched this input.")));
     }
 
-    console.log(`── Summary: ${successes} succeeded, ${failures} failed ──\n`);
+    if (files.length === 0) {
+        writer?.end();
+        console.error("Error: no image to process.");
+        return EXIT_USAGE;
+    }
+
+    setExifBackend(opts.backend);
+    if (opts.backend === "exiftool") {
+        await configureExifTool({ maxProcs: opts.concurrency });
+    }
+
+    log(`\nFound ${files.length} image(s)\n`);
+
+    const results = [];
+    const failed = [];
+    let successes = 0;
+    let failures = 0;
+
+    try {
+        await runConcurrent(files, opts.concurrency, async (file) => {
+            try {
+                const r = await analyze(file, {
+                    projection: opts.projection,
+                    focusBreathing: opts.focusBreathing,
+                    cache,
+                });
+                if (table) console.log(formatResult(file, r));
+                else writer.write(resultRecord(r));
+                results.push(r);
+                successes++;
+            } catch (err) {
+                if (table) console.log(formatResult(file, null, err));
+                else writer.write(errorRecord(file, err));
+                failed.push({ file, error: err });
+                failures++;
+            }
+        });
+
+        writer?.end();
+        log(`── Summary: ${successes} succeeded, ${failures} failed ──\n`);
 
-    await shutdown();
+        // Completion order varies with concurrency; keep groups and camera
+        // ids stable
+        results.sort((a, b) => a.file.localeCompare(b.file));
+        failed.sort((a, b) => a.file.localeCompare(b.file));
+
+        // The outliers are part of the report; without a printed one, list
+        // them on their own
+        const summary = summariseBatch(results, failed);
+        if (opts.report) {
+            const report = formatBatchReport(summary, opts.report);
+            if (opts.reportOut) {
+                await writeFile(opts.reportOut, report);
+                log(`Wrote ${opts.report} report to ${opts.reportOut}\n`);
+            } else {
+                log(report);
+            }
+        }
+        if (!opts.report || opts.reportOut) {
+            const outliers = formatOutliers(summary);
+            if (outliers) log(outliers);
+        }
+
+        if (opts.exportFormat && results.length > 0) {
+            const written = await writeExport(results, opts.exportFormat, {
+                outPath: opts.outPath,
+                colmapModel: opts.colmapModel,
+            });
+            log(`Wrote ${opts.exportFormat} cameras to ${written}\n`);
+        }
+    } finally {
+        // Best effort: the results are complete without it
+        if (cache) {
+            try {
+                await cache.save();
+                const { hits, misses } = cache.stats();
+                log(`Metadata cache: ${hits} unchanged, ${misses} read (${cache.path})\n`);
+            } catch (err) {
+                console.error(`⚠ Could not save the metadata cache: ${err.message}`);
+            }
+        }
+        await shutdown();
+    }
+
+    return failures > 0 || missing.length > 0 ? EXIT_FAILURES : 0;
 }
 
-main();
+main().then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = EXIT_USAGE;
+    }
+);
@@ -0,0 +1,169 @@
+/**
+ * Per-lens focus-breathing tables.
+ *
+ * Used by the `table` focus-breathing model (see focusBreathingFactor in
+ * compute.js). No tables are bundled; register measured ones at runtime.
+ *
+ * Database format (JSON):
+ *
+ *   {
+ *     "version": 1,
+ *     "lenses": [
+ *       { "lens": "RF24-105mm F4 L IS USM", "focalLength": 105,
+ *         "points": [ { "distance": 0.45, "magnification": 0.93 },
+ *                     { "distance": 2,    "magnification": 0.98 } ] }
+ *     ]
+ *   }
+ *
+ *   make          – optional; matched case-insensitively against the start of
+ *                   `Make`
+ *   lens          – matched case-insensitively as a substring of the lens model
+ *   focalLength   – optional; the profile only applies within ±0.5 mm of this
+ *                   focal length (zooms breathe differently at each end).
+ *                   Entries with a matching focal length win over entries
+ *                   without one.
+ *   points        – image magnification relative to infinity focus at a
+ *                   focus distance in metres (null = infinity)
+ */
+
+const SUPPORTED_VERSION = 1;
+
+// Focal lengths closer than this (mm) select the same profile
+const FOCAL_LENGTH_TOLERANCE = 0.5;
+
+// Registered profiles, newest first
+const profiles = [];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function normalise(str) {
+    return String(str ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Validate a profile and return a normalised copy.
+ * @private
+ */
+function validateProfile(entry) {
+    const { make, lens, focalLength, points } = entry ?? {};
+
+    if (!lens) {
+        throw new Error("Breathing profile must have a lens.");
+    }
+    if (!Array.isArray(points) || points.length === 0) {
+        throw new Error(`Breathing profile "${lens}" must have at least one point.`);
+    }
+    for (const p of points) {
+        const distanceOk = p?.distance == null || p.distance > 0;
+        if (!distanceOk || !(p.magnification > 0)) {
+            throw new Error(
+                `Breathing profile "${lens}" points need a positive distance (m) and magnification.`
+            );
+        }
+    }
+
+    return {
+        make: make != null ? String(make) : null,
+        lens: String(lens),
+        focalLength: focalLength != null ? Number(focalLength) : null,
+        points: points.map((p) => ({
+            distance: p.distance != null ? Number(p.distance) : null,
+            magnification: Number(p.magnification),
+        })),
+    };
+}
+
+/**
+ * Profiles of a database object, checking its version.
+ * @private
+ */
+function databaseProfiles(db) {
+    if (Array.isArray(db)) return db;
+
+    if (db?.version !== SUPPORTED_VERSION || !Array.isArray(db.lenses)) {
+        throw new Error(
+            `Unsupported breathing database: expected { "version": ${SUPPORTED_VERSION}, "lenses": [...] }.`
+        );
+    }
+    return db.lenses;
+}
+
+/**
+ * Whether `entry` describes the lens, and how specifically.
+ * @returns {number} 0 = no match, 1 = lens, 2 = lens and focal length
+ * @private
+ */
+function matchScore(entry, make, lensModel, focalLength) {
+    if (entry.make !== null && !make.startsWith(normalise(entry.make))) return 0;
+    if (!lensModel.includes(normalise(entry.lens))) return 0;
+
+    if (entry.focalLength === null) return 1;
+    return Math.abs(entry.focalLength - focalLength) <= FOCAL_LENGTH_TOLERANCE ? 2 : 0;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Look up the breathing profile for a lens.
+ *
+ * @param {{ make?: string|null, lensModel?: string|null, focalLength?: number|null }} meta
+ * @returns {{ make: string|null, lens: string, focalLength: number|null,
+ *             points: { distance: number|null, magnification: number }[] }|null}
+ */
+export function lookupBreathingProfile(meta) {
+    if (!meta.lensModel) return null;
+
+    const make = normalise(meta.make);
+    const lensModel = normalise(meta.lensModel);
+
+    let best = null;
+    let bestScore = 0;
+    for (const entry of profiles) {
+        const score = matchScore(entry, make, lensModel, meta.focalLength);
+        if (score > bestScore) {
+            best = entry;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Register breathing profiles.
+ *
+ * Accepts a single profile, an array of profiles, or a database object in the
+ * documented JSON format. Later registrations take precedence.
+ *
+ * @param {object|object[]} entries
+ */
+export function registerBreathingProfiles(entries) {
+    const list = Array.isArray(entries) || entries?.lenses ? databaseProfiles(entries) : [entries];
+    profiles.unshift(...list.map(validateProfile).reverse());
+}
+
+/**
+ * Load a breathing database JSON file and register its profiles.
+ *
+ * @param {string} filePath – path to a database in the documented format
+ * @returns {Promise<number>} – number of profiles registered
+ */
+export async function loadBreathingDatabase(filePath) {
+    // Imported on demand: the rest of this module also runs in browsers
+    const { readFile } = await import("node:fs/promises");
+    let db;
+    try {
+        db = JSON.parse(await readFile(filePath, "utf8"));
+    } catch (err) {
+        throw new Error(`Cannot read breathing database "${filePath}": ${err.message}`);
+    }
+    const entries = databaseProfiles(db);
+    registerBreathingProfiles(entries);
+    return entries.length;
+}
+
+/**
+ * Remove all registered profiles.
+ */
+export function clearBreathingProfiles() {
+    profiles.length = 0;
+}
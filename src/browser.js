@@ -0,0 +1,58 @@
+/**
+ * Browser entry point.
+ *
+ * Side-effect free and without Node.js or ExifTool dependencies: exposes the
+ * computations of ./compute.js, analysis of plain tag objects and, through
+ * the built-in parser of ./exifparser.js, of image bytes. Selected by the
+ * package's `browser` export condition; Node resolves ./index.js instead.
+ *
+ * Databases cannot be loaded from files here; register their contents with
+ * registerSensors(), registerBreathingProfiles() and registerLcpProfiles()
+ * (after parseLcp()). The bundled sensor database is always available.
+ */
+
+import { analyzeTags } from "./core.js";
+import { parseExif } from "./exifparser.js";
+
+export * from "./compute.js";
+export { analyzeTags } from "./core.js";
+export { normaliseTags } from "./tags.js";
+export { identifyCameraModule, groupByCameraId } from "./cameras.js";
+export { createCamera, CAMERA_FRAMES } from "./camera.js";
+export { summariseBatch, formatBatchReport, formatOutliers, REPORT_FORMATS } from "./report.js";
+export { parseExif } from "./exifparser.js";
+export { lookupSensor, registerSensors, clearRegisteredSensors } from "./sensors.js";
+export { resolveOverrides, registerOverrides, clearRegisteredOverrides } from "./overrides.js";
+export {
+    lookupBreathingProfile,
+    registerBreathingProfiles,
+    clearBreathingProfiles,
+} from "./breathing.js";
+export {
+    DISTORTION_SOURCES,
+    correctedInCamera,
+    parseWarpRectilinear,
+    parseLcp,
+    lookupLcpProfile,
+    registerLcpProfiles,
+    clearLcpProfiles,
+    resolveDistortion,
+} from "./distortion.js";
+
+/**
+ * Analyse an image held in memory, e.g. a file picked for upload. Gives the
+ * same result as the Node analyzeBuffer() with the `js` EXIF backend.
+ *
+ * @param {Uint8Array|ArrayBuffer|Blob} data – complete image file contents
+ * @param {{ filename?: string }} [options] – original file name, plus any
+ *        analyze() option. The extension helps identify the format.
+ * @returns {Promise<object>}
+ */
+export async function analyzeBuffer(data, { filename, ...options } = {}) {
+    let bytes = data;
+    if (typeof data?.arrayBuffer === "function") bytes = await data.arrayBuffer();
+    if (bytes instanceof ArrayBuffer) bytes = new Uint8Array(bytes);
+
+    const name = filename ?? data?.name;
+    return analyzeTags(parseExif(bytes, { filename: name }), { filename: name, ...options });
+}
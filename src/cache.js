@@ -0,0 +1,148 @@
+/**
+ * Persistent metadata cache for repeated runs over the same files.
+ *
+ * Stores the output of extractExif() in a JSON file, keyed by the file's
+ * absolute path and validated against its size and modification time, so
+ * an unchanged file is not read again. Entries also record the EXIF backend
+ * that produced them: switching backends reads the files afresh.
+ *
+ * File format:
+ *
+ *   {
+ *     "format": "exif-fov-estimation metadata cache",
+ *     "version": 1,
+ *     "entries": {
+ *       "/abs/path/IMG_0001.JPG": {
+ *         "size": 3145728, "mtimeMs": 1718000000000, "backend": "exiftool",
+ *         "meta": { … extractExif() output … }
+ *       }
+ *     }
+ *   }
+ *
+ * Binary values (DNG opcode lists) are stored as `{ "$bytes": "<base64>" }`.
+ * A file written under another CACHE_VERSION is discarded as a whole.
+ */
+
+import { readFile, writeFile, rename, mkdir, stat } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { extractExif, getExifBackend } from "./exif.js";
+
+const CACHE_FORMAT = "exif-fov-estimation metadata cache";
+
+// Bump whenever what extractExif() returns changes (./tags.js, the readers
+// in ./exif.js and ./exifparser.js), so stale entries are not reused.
+export const CACHE_VERSION = 1;
+
+// ── Serialisation ────────────────────────────────────────────────────────────
+
+// Checks the holder's own value: a Buffer has already become
+// { type: "Buffer", data } through its toJSON() when `value` is passed
+function replacer(key, value) {
+    const original = this[key];
+    return original instanceof Uint8Array
+        ? { $bytes: Buffer.from(original).toString("base64") }
+        : value;
+}
+
+function reviver(key, value) {
+    return typeof value?.$bytes === "string"
+        ? new Uint8Array(Buffer.from(value.$bytes, "base64"))
+        : value;
+}
+
+/**
+ * Read the entries of a cache file; empty when it does not exist or was
+ * written under another CACHE_VERSION.
+ */
+async function readEntries(path) {
+    let text;
+    try {
+        text = await readFile(path, "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") return new Map();
+        throw new Error(`Cannot read metadata cache "${path}": ${err.message}`);
+    }
+
+    let data = null;
+    try {
+        data = JSON.parse(text, reviver);
+    } catch {
+        // Reported below
+    }
+    // Refuse to replace a file that is not ours
+    if (data?.format !== CACHE_FORMAT) {
+        const err = new Error(`"${path}" is not a metadata cache file; refusing to overwrite it.`);
+        err.code = "ENOTCACHE";
+        throw err;
+    }
+    return data.version === CACHE_VERSION ? new Map(Object.entries(data.entries ?? {})) : new Map();
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Open a metadata cache file.
+ *
+ * `extract(filePath)` is a drop-in replacement for extractExif() that
+ * answers from the cache when the file is unchanged; `save()` writes the
+ * cache back if anything was added. Custom backends without a `name` are
+ * never cached. Errors are not cached either.
+ *
+ * @param {string} path – cache file
+ * @param {{ rebuild?: boolean }} [options] – `rebuild` ignores the existing
+ *        file, re-reading every file and replacing the cache on save()
+ * @returns {Promise<{ path: string,
+ *                     extract: (filePath: string) => Promise<object>,
+ *                     save: () => Promise<boolean>,
+ *                     stats: () => { hits: number, misses: number, entries: number } }>}
+ *          – save() resolves to whether the file was written
+ */
+export async function openMetadataCache(path, { rebuild = false } = {}) {
+    const entries = rebuild ? new Map() : await readEntries(path);
+    let dirty = rebuild;
+    let hits = 0;
+    let misses = 0;
+
+    async function extract(filePath) {
+        const backend = getExifBackend().name;
+        if (!backend) return extractExif(filePath);
+
+        const key = resolve(filePath);
+        const { size, mtimeMs } = await stat(key);
+        const entry = entries.get(key);
+        if (entry && entry.size === size && entry.mtimeMs === mtimeMs && entry.backend === backend) {
+            hits++;
+            return entry.meta;
+        }
+
+        misses++;
+        const meta = await extractExif(filePath);
+        entries.set(key, { size, mtimeMs, backend, meta });
+        dirty = true;
+        return meta;
+    }
+
+    async function save() {
+        if (!dirty) return false;
+        const data = {
+            format: CACHE_FORMAT,
+            version: CACHE_VERSION,
+            entries: Object.fromEntries(entries),
+        };
+        // Write-then-rename, so an interrupted save never leaves a
+        // truncated cache behind
+        await mkdir(dirname(path), { recursive: true });
+        const tmp = `${path}.${process.pid}.tmp`;
+        await writeFile(tmp, JSON.stringify(data, replacer));
+        await rename(tmp, path);
+        dirty = false;
+        return true;
+    }
+
+    return {
+        path,
+        extract,
+        save,
+        stats: () => ({ hits, misses, entries: entries.size }),
+    };
+}
@@ -0,0 +1,176 @@
+/**
+ * Calibration file import.
+ *
+ * Reads intrinsics measured by a calibration tool (checkerboard calibration
+ * with OpenCV, COLMAP reconstructions, or files written by ./export.js), for
+ * comparison with the EXIF estimates (see ./validate.js):
+ *
+ *   • opencv – OpenCV `FileStorage` YAML with a `camera_matrix`; several
+ *              cameras may be nested under top-level keys
+ *   • colmap – COLMAP `cameras.txt`
+ *
+ * Every camera is returned in our conventions: pixel centres at +0.5 (the
+ * OpenCV principal point is shifted by +0.5 px) and a lens projection of
+ * "rectilinear" or "equidistant" (fisheye models).
+ */
+
+export const CALIBRATION_FORMATS = ["opencv", "colmap"];
+
+// COLMAP models with a single focal length parameter (f, cx, cy, …); the
+// others start with fx, fy, cx, cy
+const COLMAP_SINGLE_FOCAL = new Set([
+    "SIMPLE_PINHOLE",
+    "SIMPLE_RADIAL",
+    "RADIAL",
+    "SIMPLE_RADIAL_FISHEYE",
+    "RADIAL_FISHEYE",
+]);
+
+const COLMAP_MODELS = new Set([
+    ...COLMAP_SINGLE_FOCAL,
+    "PINHOLE",
+    "OPENCV",
+    "FULL_OPENCV",
+    "OPENCV_FISHEYE",
+    "THIN_PRISM_FISHEYE",
+]);
+
+// ── Parsers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a COLMAP `cameras.txt`.
+ *
+ * @param {string} text
+ * @returns {object[]} cameras (see parseCalibration())
+ */
+export function parseColmapCameras(text) {
+    const cameras = [];
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith("#")) continue;
+
+        const [id, model, width, height, ...rest] = trimmed.split(/\s+/);
+        if (!COLMAP_MODELS.has(model)) {
+            throw new Error(`Unsupported COLMAP camera model "${model}" (camera ${id}).`);
+        }
+        const params = rest.map(Number);
+        const [fx, fy, cx, cy] = COLMAP_SINGLE_FOCAL.has(model)
+            ? [params[0], params[0], params[1], params[2]]
+            : params;
+        cameras.push({
+            id,
+            model,
+            projection: model.includes("FISHEYE") ? "equidistant" : "rectilinear",
+            width: Number(width),
+            height: Number(height),
+            fx,
+            fy,
+            cx,
+            cy,
+        });
+    }
+    return cameras;
+}
+
+/**
+ * Values of an `!!opencv-matrix` entry, whose data list may span lines.
+ */
+function opencvMatrixData(text, name) {
+    const m = new RegExp(`^\\s*${name}:\\s*!!opencv-matrix[\\s\\S]*?data:\\s*\\[([^\\]]*)\\]`, "m").exec(
+        text
+    );
+    return m ? m[1].split(",").map((v) => Number(v.trim())) : null;
+}
+
+function opencvScalar(text, name) {
+    const m = new RegExp(`^\\s*${name}:\\s*([^\\s#]+)`, "m").exec(text);
+    return m ? m[1].replace(/^["']|["']$/g, "") : null;
+}
+
+function opencvCamera(id, text) {
+    const K = opencvMatrixData(text, "camera_matrix");
+    if (!K || K.length !== 9 || K.some((v) => !Number.isFinite(v))) return null;
+
+    const width = Number(opencvScalar(text, "image_width"));
+    const height = Number(opencvScalar(text, "image_height"));
+    const model = opencvScalar(text, "camera_model") ?? "pinhole";
+    return {
+        id,
+        model,
+        projection: /fisheye/i.test(model) ? "equidistant" : "rectilinear",
+        width: width > 0 ? width : null,
+        height: height > 0 ? height : null,
+        fx: K[0],
+        fy: K[4],
+        // OpenCV places pixel centres at integer coordinates
+        cx: K[2] + 0.5,
+        cy: K[5] + 0.5,
+    };
+}
+
+/**
+ * Parse an OpenCV `FileStorage` YAML calibration. A top-level
+ * `camera_matrix` describes a single camera; otherwise every top-level key
+ * whose indented block holds a `camera_matrix` is one camera, named by the
+ * key (e.g. the `camera_<id>` blocks of ./export.js).
+ *
+ * @param {string} text
+ * @returns {object[]} cameras (see parseCalibration())
+ */
+export function parseOpenCvYaml(text) {
+    if (/^camera_matrix:/m.test(text)) {
+        const camera = opencvCamera("camera", text);
+        return camera ? [camera] : [];
+    }
+
+    const cameras = [];
+    const blocks = text.split(/^(?=[A-Za-z_][\w-]*:\s*$)/m);
+    for (const block of blocks) {
+        const key = /^([A-Za-z_][\w-]*):\s*$/m.exec(block);
+        if (!key) continue;
+        const camera = opencvCamera(key[1], block);
+        if (camera) cameras.push(camera);
+    }
+    return cameras;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Detect the format of a calibration file from its contents.
+ *
+ * @param {string} text
+ * @returns {"opencv"|"colmap"}
+ */
+export function detectCalibrationFormat(text) {
+    return /camera_matrix\s*:/.test(text) || /^%YAML/.test(text) ? "opencv" : "colmap";
+}
+
+/**
+ * Parse a calibration file.
+ *
+ * @param {string} text – file contents
+ * @param {{ format?: "opencv"|"colmap" }} [options] – detected when omitted
+ * @returns {{ id: string, model: string, projection: string,
+ *             width: number|null, height: number|null,
+ *             fx: number, fy: number, cx: number, cy: number }[]}
+ *          – one entry per camera; width / height are null when an OpenCV
+ *          file does not record the image size
+ */
+export function parseCalibration(text, { format = detectCalibrationFormat(text) } = {}) {
+    if (!CALIBRATION_FORMATS.includes(format)) {
+        throw new Error(
+            `Unknown calibration format "${format}". Expected one of: ${CALIBRATION_FORMATS.join(", ")}.`
+        );
+    }
+    const cameras = format === "opencv" ? parseOpenCvYaml(text) : parseColmapCameras(text);
+    if (cameras.length === 0) {
+        throw new Error(`No camera found in the ${format} calibration.`);
+    }
+    for (const cam of cameras) {
+        if (![cam.fx, cam.fy, cam.cx, cam.cy].every((v) => Number.isFinite(v)) || !(cam.fx > 0 && cam.fy > 0)) {
+            throw new Error(`Camera ${cam.id} of the ${format} calibration has invalid intrinsics.`);
+        }
+    }
+    return cameras;
+}
@@ -0,0 +1,183 @@
+/**
+ * Camera model built from an analyze() result.
+ *
+ * Turns pixel positions into viewing directions and back, under the lens
+ * projection of the result and, optionally, its lens distortion:
+ *
+ *   const camera = createCamera(await analyze("photo.jpg"));
+ *   camera.pixelToRay(100, 200);                  // → [x, y, z], unit length
+ *   camera.angleBetweenPixels({ x: 0, y: 0 }, { x: 400, y: 0 });   // degrees
+ *
+ * Pixel coordinates are continuous, with the origin at the top-left corner
+ * of the image and pixel centres at +0.5, like the intrinsics. They refer to
+ * the visual (post-orientation) frame unless the camera is created with
+ * `frame: "raw"`, for positions in the image as stored. Rays are always in
+ * the camera frame of the visual image: x right, y down, z along the optical
+ * axis.
+ *
+ * No Node.js APIs are used, so the module also runs in browsers.
+ */
+
+import { projectionAngle, projectionRadius, transformPoint, invertTransform } from "./compute.js";
+
+export const CAMERA_FRAMES = ["visual", "raw"];
+
+// Largest field angle (radians) each projection maps into the image plane
+const MAX_FIELD_ANGLE = {
+    rectilinear: Math.PI / 2,
+    equidistant: Math.PI,
+    equisolid: Math.PI,
+    orthographic: Math.PI / 2,
+    stereographic: Math.PI,
+};
+
+// Fixed-point iterations when removing lens distortion (as OpenCV does)
+const UNDISTORT_ITERATIONS = 20;
+
+const DEG = 180 / Math.PI;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Brown–Conrady distortion of normalised coordinates (see ./compute.js).
+ */
+function distort({ k1, k2, k3, p1, p2 }, x, y) {
+    const r2 = x * x + y * y;
+    const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+    return [
+        x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+        y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y,
+    ];
+}
+
+/**
+ * Inverse of distort(), by fixed-point iteration.
+ */
+function undistort(coefficients, xd, yd) {
+    let [x, y] = [xd, yd];
+    for (let i = 0; i < UNDISTORT_ITERATIONS; i++) {
+        const [dx, dy] = distort(coefficients, x, y);
+        x += xd - dx;
+        y += yd - dy;
+    }
+    return [x, y];
+}
+
+/**
+ * Angle between two directions (degrees), stable for small angles.
+ */
+function angleBetween(a, b) {
+    const cross = [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0],
+    ];
+    const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    return Math.atan2(Math.hypot(...cross), dot) * DEG;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Build a camera model from an analyze() result.
+ *
+ * Lens distortion (the result's `distortion.coefficients`) is applied for
+ * rectilinear lenses unless the camera already corrected it or
+ * `distortion: false` is passed; other projections ignore it.
+ *
+ * @param {object} result – analyze() result
+ * @param {{ frame?: "visual"|"raw", distortion?: boolean }} [options] –
+ *        the frame pixel coordinates refer to (default "visual")
+ * @returns {{ width: number, height: number, frame: string, projection: string,
+ *             intrinsics: { fx: number, fy: number, cx: number, cy: number },
+ *             distortion: object|null,
+ *             pixelToRay: (x: number, y: number) => number[],
+ *             rayToPixel: (ray: number[]) => { x: number, y: number }|null,
+ *             angleBetweenPixels: (a: { x: number, y: number },
+ *                                  b: { x: number, y: number }) => number,
+ *             angularSizeOfBox: (box: { x: number, y: number, width: number,
+ *                                       height: number }) =>
+ *                 { width: number, height: number, diagonal: number } }}
+ *          – `width` / `height` of the frame in pixels; angles in degrees
+ */
+export function createCamera(result, { frame = "visual", distortion = true } = {}) {
+    if (!CAMERA_FRAMES.includes(frame)) {
+        throw new Error(`Unknown camera frame "${frame}". Expected one of: ${CAMERA_FRAMES.join(", ")}.`);
+    }
+
+    const { fx, fy, cx, cy } = result.intrinsics;
+    const { projection } = result;
+    const coefficients =
+        distortion &&
+        projection === "rectilinear" &&
+        result.distortion?.coefficients &&
+        !result.distortion.correctedInCamera
+            ? result.distortion.coefficients
+            : null;
+
+    // Pixel positions of the chosen frame ↔ visual frame
+    const raw = frame === "raw";
+    const toVisual = raw ? result.rawToVisual : null;
+    const fromVisual = raw ? invertTransform(result.rawToVisual) : null;
+
+    function pixelToRay(x, y) {
+        const p = toVisual ? transformPoint(toVisual, x, y) : { x, y };
+        let nx = (p.x - cx) / fx;
+        let ny = (p.y - cy) / fy;
+        if (coefficients) [nx, ny] = undistort(coefficients, nx, ny);
+
+        const r = Math.hypot(nx, ny);
+        if (r === 0) return [0, 0, 1];
+        const theta = projectionAngle(r, 1, projection);
+        const s = Math.sin(theta) / r;
+        return [nx * s, ny * s, Math.cos(theta)];
+    }
+
+    function rayToPixel(ray) {
+        const [X, Y, Z] = ray;
+        const norm = Math.hypot(X, Y, Z);
+        if (!(norm > 0)) throw new Error("A ray must be a non-zero 3-vector.");
+
+        const theta = Math.acos(Math.min(1, Math.max(-1, Z / norm)));
+        const limit = MAX_FIELD_ANGLE[projection];
+        if (projection === "rectilinear" ? theta >= limit : theta > limit) return null;
+
+        const rho = Math.hypot(X, Y);
+        let [nx, ny] = [0, 0];
+        if (rho > 0) {
+            const r = projectionRadius(theta, 1, projection);
+            [nx, ny] = [(X / rho) * r, (Y / rho) * r];
+        }
+        if (coefficients) [nx, ny] = distort(coefficients, nx, ny);
+
+        const p = { x: cx + fx * nx, y: cy + fy * ny };
+        return fromVisual ? transformPoint(fromVisual, p.x, p.y) : p;
+    }
+
+    function angleBetweenPixels(a, b) {
+        return angleBetween(pixelToRay(a.x, a.y), pixelToRay(b.x, b.y));
+    }
+
+    function angularSizeOfBox({ x, y, width, height }) {
+        const midX = x + width / 2;
+        const midY = y + height / 2;
+        return {
+            width: angleBetweenPixels({ x, y: midY }, { x: x + width, y: midY }),
+            height: angleBetweenPixels({ x: midX, y }, { x: midX, y: y + height }),
+            diagonal: angleBetweenPixels({ x, y }, { x: x + width, y: y + height }),
+        };
+    }
+
+    return Object.freeze({
+        width: raw ? result.rawWidth : result.visualWidth,
+        height: raw ? result.rawHeight : result.visualHeight,
+        frame,
+        projection,
+        intrinsics: { fx, fy, cx, cy },
+        distortion: coefficients,
+        pixelToRay,
+        rayToPixel,
+        angleBetweenPixels,
+        angularSizeOfBox,
+    });
+}
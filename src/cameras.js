@@ -0,0 +1,160 @@
+/**
+ * Camera module identification.
+ *
+ * Phones record from several camera modules (ultra-wide, wide, tele, front)
+ * under one Make / Model, and some report a FocalLengthIn35mmFormat for the
+ * zoom level the user picked rather than for the module that captured the
+ * image. This module names the physical module behind an image and derives
+ * a stable `cameraId` from it:
+ *
+ *   "<make>/<model>/<module>"   e.g. "apple/iphone-13-pro/back-5.7mm-f-1.5"
+ *
+ * The module comes from, in order:
+ *   1. `LensModel` ("iPhone 13 Pro back triple camera 5.7mm f/1.5": the
+ *      facing, focal length and aperture; other lens models as a whole,
+ *      prefixed with `LensMake` when that differs from `Make`)
+ *   2. Apple's maker-note `CameraType` ("Back Wide Angle", "Front", …)
+ *   3. The physical `FocalLength`: phone and compact modules each have a
+ *      fixed one
+ *
+ * groupByCameraId() groups analyze() results by module and flags images
+ * whose 35 mm values disagree with the rest of their module.
+ */
+
+import { medianOutliers } from "./stats.js";
+
+// Phone-style lens model: facing, then the module's focal length and aperture
+const PHONE_LENS_MODEL = /\b(front|back|rear)\b.*?(\d+(?:\.\d+)?)\s*mm\s+f\/\s*(\d+(?:\.\d+)?)/i;
+
+// Relative difference above which focal lengths or crop factors disagree
+const MODULE_DISAGREEMENT = 0.02;
+
+// Phone makes whose cameras write FocalLengthIn35mmFormat for the zoomed
+// image next to the EXIF DigitalZoomRatio (26 mm at 2× recorded as 52 mm)
+const ZOOMED_F35MM_MAKES = ["apple", "google", "samsung"];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Lower-case, dash-separated form of a name for use in ids.
+ */
+function slug(str) {
+    return String(str ?? "")
+        .toLowerCase()
+        .replace(/[^a-z0-9.]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Identify the camera module that captured an image.
+ *
+ * @param {object} meta – normalised metadata from extractExif()
+ * @returns {{ cameraId: string, module: string, facing: "back"|"front"|null,
+ *             focalLength: number|null, source: string|null,
+ *             warnings: string[] }}
+ *          `focalLength` is the module's own focal length (mm) where the
+ *          lens model names it; `source` the tag the module came from
+ */
+export function identifyCameraModule(meta) {
+    let module = null;
+    let facing = null;
+    let focalLength = null;
+    let source = null;
+    const warnings = [];
+
+    const phone = meta.lensModel ? PHONE_LENS_MODEL.exec(meta.lensModel) : null;
+    if (phone) {
+        facing = /front/i.test(phone[1]) ? "front" : "back";
+        focalLength = Number(phone[2]);
+        module = `${facing} ${phone[2]}mm f/${phone[3]}`;
+        source = "LensModel";
+    } else if (meta.lensModel) {
+        const lensMake =
+            meta.lensMake && slug(meta.lensMake) !== slug(meta.make) ? meta.lensMake : null;
+        module = [lensMake, meta.lensModel].filter(Boolean).join(" ");
+        source = "LensModel";
+    } else if (meta.cameraType) {
+        facing = /front/i.test(meta.cameraType) ? "front" : /back|rear/i.test(meta.cameraType) ? "back" : null;
+        module = meta.cameraType;
+        source = "CameraType";
+    } else if (meta.focalLength) {
+        module = `${meta.focalLength}mm`;
+        source = "FocalLength";
+    }
+
+    // A FocalLength other than the module's own points at a crop or zoom
+    // the camera did not record as such
+    if (
+        focalLength &&
+        meta.focalLength &&
+        Math.abs(meta.focalLength / focalLength - 1) > MODULE_DISAGREEMENT
+    ) {
+        warnings.push(
+            `FocalLength ${meta.focalLength} mm differs from the ${focalLength} mm module named in LensModel`
+        );
+    }
+
+    const cameraId = [meta.make ?? "unknown", meta.model ?? "unknown", module ?? "default"]
+        .map(slug)
+        .join("/");
+
+    return { cameraId, module, facing, focalLength, source, warnings };
+}
+
+/**
+ * Whether the camera is known to include its digital zoom in the
+ * `FocalLengthIn35mmFormat` tag (see ZOOMED_F35MM_MAKES). Other cameras
+ * record the 35 mm equivalent of the optical frame.
+ *
+ * @param {object} meta – normalised metadata from extractExif()
+ * @returns {boolean}
+ */
+export function recordsZoomedF35mm(meta) {
+    return ZOOMED_F35MM_MAKES.includes(slug(meta.make).split("-")[0]);
+}
+
+/**
+ * Group analyze() results by camera module and flag inconsistent 35 mm values.
+ *
+ * Within a module, the crop factor (optical 35 mm-equivalent over physical
+ * focal length) is a property of the hardware. Images whose crop factor
+ * differs from the module's median by more than 2 % are listed in
+ * `inconsistent`, in modules of three or more such images (see
+ * medianOutliers() in ./stats.js): their FocalLengthIn35mmFormat most
+ * likely describes a zoom level or another module, so their intrinsics
+ * should not be trusted for the group.
+ *
+ * @param {object[]} results – analyze() results
+ * @returns {{ cameraId: string, module: string|null, files: string[],
+ *             cropFactor: number|null,
+ *             inconsistent: { file: string, cropFactor: number, delta: number }[]
+ *          }[]} – groups in order of first appearance
+ */
+export function groupByCameraId(results) {
+    const groups = new Map();
+
+    for (const r of results) {
+        let group = groups.get(r.cameraId);
+        if (!group) {
+            group = { cameraId: r.cameraId, module: r.cameraModule?.module ?? null, members: [] };
+            groups.set(r.cameraId, group);
+        }
+        group.members.push(r);
+    }
+
+    return [...groups.values()].map(({ cameraId, module, members }) => {
+        const factors = members
+            .filter((r) => r.focalLength > 0 && r.opticalFocalLengthIn35mm > 0)
+            .map((r) => ({ file: r.file, cropFactor: r.opticalFocalLengthIn35mm / r.focalLength }));
+        const { median: cropFactor, outliers } = medianOutliers(
+            factors,
+            (f) => f.cropFactor,
+            MODULE_DISAGREEMENT
+        );
+        const inconsistent = outliers.map(({ item, deviation }) => ({ ...item, delta: deviation }));
+
+        return { cameraId, module, files: members.map((r) => r.file), cropFactor, inconsistent };
+    });
+}
@@ -2,9 +2,17 @@
  * FOV and focal-length computation based on the 35 mm full-frame model.
  *
  * The 35 mm full-frame sensor is 36 mm × 24 mm with a diagonal of 43.266 mm.
- * All FOV formulas assume a rectilinear (non-fisheye) lens.
+ * FOV formulas default to a rectilinear lens; fisheye lenses are handled by
+ * the projection models below (equidistant, equisolid, orthographic,
+ * stereographic), which map the field angle θ to an image radius r.
+ *
+ * The 35 mm-equivalent focal length is defined on the *diagonal*, so for images
+ * whose aspect ratio is not 3:2 the horizontal/vertical extents are obtained by
+ * projecting the 43.266 mm diagonal onto the image's own aspect ratio.
  */
 
+import { recordsZoomedF35mm } from "./cameras.js";
+
 // ── Constants ─────────────────────────────────────────────────────────────────
 const SENSOR_WIDTH_35MM = 36; // mm
 const SENSOR_HEIGHT_35MM = 24; // mm
@@ -12,6 +20,22 @@ const SENSOR_DIAG_35MM = Math.sqrt(
     SENSOR_WIDTH_35MM ** 2 + SENSOR_HEIGHT_35MM ** 2
 ); // ≈ 43.266 mm
 
+// FOV modes accepted by computeFov()
+//   "aspect"   – project the 35 mm diagonal onto the image aspect ratio (default)
+//   "exiftool" – fixed 36 × 24 mm frame, reproducing ExifTool's FOV values
+export const FOV_MODES = ["aspect", "exiftool"];
+
+// Focus-breathing models accepted by focusBreathingFactor()
+//   "none"      – focal length as focused at infinity (default)
+//   "thin-lens" – unit-focusing lens, magnification grows as 1 + f / (d − f)
+//   "table"     – per-lens magnification vs. focus distance measurements
+export const FOCUS_BREATHING_MODELS = ["none", "thin-lens", "table"];
+
+// Relative X/Y focal-plane resolution difference below which pixels are
+// treated as square. Many bodies store slightly rounded resolutions for each
+// axis; genuinely anamorphic sensors differ by several percent.
+const SQUARE_PIXEL_TOLERANCE = 0.01;
+
 // Focal-plane resolution-unit multipliers (EXIF spec + common extensions)
 const FOCAL_PLANE_UNIT_MM = {
     // Unit 1 ("no unit") is intentionally omitted — cannot be converted to mm
@@ -54,6 +78,90 @@ export function closeFocusCorrectionFactor(focalLengthMm, focusDistM) {
     return 1 + focalLengthMm / d;
 }
 
+/**
+ * Interpolate a focus-breathing table at a given focus distance.
+ *
+ * Each point gives the image magnification relative to infinity focus
+ * (1 = unchanged, < 1 = wider, as with most internal-focus lenses) at a focus
+ * distance in metres; a `distance` of null or Infinity marks infinity focus.
+ * Unless the table says otherwise, infinity focus has magnification 1.
+ *
+ * Interpolation is linear in focus power (1 / distance), which tracks
+ * breathing far better than distance itself; beyond the measured range the
+ * nearest point is used.
+ *
+ * @param {{ distance: number|null, magnification: number }[]} points
+ * @param {number|null} focusDistM – focus distance in metres (null = infinity)
+ * @returns {number} magnification relative to infinity focus
+ */
+export function interpolateBreathing(points, focusDistM) {
+    const power = (d) => (d == null || d === Infinity ? 0 : 1 / d);
+
+    const samples = points
+        .map((p) => ({ x: power(p.distance), y: p.magnification }))
+        .sort((a, b) => a.x - b.x);
+    if (samples.length === 0 || samples[0].x > 0) {
+        samples.unshift({ x: 0, y: 1 });
+    }
+
+    const x = focusDistM > 0 ? power(focusDistM) : 0;
+    if (x <= samples[0].x) return samples[0].y;
+
+    for (let i = 1; i < samples.length; i++) {
+        const a = samples[i - 1];
+        const b = samples[i];
+        if (x <= b.x) {
+            return b.x === a.x ? b.y : a.y + ((x - a.x) / (b.x - a.x)) * (b.y - a.y);
+        }
+    }
+    return samples[samples.length - 1].y;
+}
+
+/**
+ * Resolve the focus-breathing factor by which the infinity-focus focal length
+ * is multiplied at the recorded focus distance.
+ *
+ * Falls back to 1 (with a warning) when the model needs data the file or
+ * the lens profile does not provide.
+ *
+ * @param {{ focalLength?: number|null, focusDistance?: number|null }} meta
+ * @param {{ model?: "none"|"thin-lens"|"table",
+ *           profile?: { points: { distance: number|null, magnification: number }[] }|null }} [options]
+ *        – `profile` is the lens's breathing table, required by the "table" model
+ * @returns {{ model: string, factor: number, focusDistance: number|null,
+ *             warnings: string[] }}
+ */
+export function focusBreathingFactor(meta, { model = "none", profile = null } = {}) {
+    if (!FOCUS_BREATHING_MODELS.includes(model)) {
+        throw new Error(
+            `Unknown focus-breathing model "${model}". Expected one of: ${FOCUS_BREATHING_MODELS.join(", ")}.`
+        );
+    }
+
+    const focusDistance = meta.focusDistance > 0 ? meta.focusDistance : null;
+    const result = { model, factor: 1, focusDistance, warnings: [] };
+    if (model === "none") return result;
+
+    if (focusDistance === null) {
+        result.warnings.push(`no focus distance recorded; ${model} focus breathing not applied`);
+        return result;
+    }
+
+    if (model === "thin-lens") {
+        if (!(meta.focalLength > 0)) {
+            result.warnings.push("no focal length recorded; thin-lens focus breathing not applied");
+            return result;
+        }
+        result.factor = closeFocusCorrectionFactor(meta.focalLength, focusDistance);
+    } else if (!profile) {
+        result.warnings.push("no breathing table for this lens; focus breathing not applied");
+    } else {
+        result.factor = interpolateBreathing(profile.points, focusDistance);
+    }
+
+    return result;
+}
+
 /**
  * Swap width and height when the EXIF Orientation tag indicates a 90° or 270°
  * rotation (values 5, 6, 7, 8).
@@ -69,6 +177,88 @@ export function adjustForOrientation(width, height, orientation) {
     return rotated ? { width: height, height: width } : { width, height };
 }
 
+/**
+ * Affine transform (3 × 3, homogeneous) mapping stored (raw) pixel coordinates
+ * to visual (display) coordinates for EXIF orientations 1–8.
+ *
+ * Coordinates are continuous, with the origin at the top-left corner of the
+ * image, so the transform maps the raw rectangle [0, W] × [0, H] exactly onto
+ * the visual one.
+ *
+ *   1  normal                              x' = x        y' = y
+ *   2  mirror horizontal                   x' = W − x    y' = y
+ *   3  rotate 180                          x' = W − x    y' = H − y
+ *   4  mirror vertical                     x' = x        y' = H − y
+ *   5  mirror horizontal + rotate 270 CW   x' = y        y' = x
+ *   6  rotate 90 CW                        x' = H − y    y' = x
+ *   7  mirror horizontal + rotate 90 CW    x' = H − y    y' = W − x
+ *   8  rotate 270 CW                       x' = y        y' = W − x
+ *
+ * Unknown orientations are treated as 1.
+ *
+ * @param {number} orientation – EXIF Orientation value (1–8)
+ * @param {number} width  – raw image width in pixels
+ * @param {number} height – raw image height in pixels
+ * @returns {number[][]} 3 × 3 matrix T with [x', y', 1]ᵀ = T · [x, y, 1]ᵀ
+ */
+export function orientationTransform(orientation, width, height) {
+    const W = width;
+    const H = height;
+    switch (orientation) {
+        case 2:
+            return [[-1, 0, W], [0, 1, 0], [0, 0, 1]];
+        case 3:
+            return [[-1, 0, W], [0, -1, H], [0, 0, 1]];
+        case 4:
+            return [[1, 0, 0], [0, -1, H], [0, 0, 1]];
+        case 5:
+            return [[0, 1, 0], [1, 0, 0], [0, 0, 1]];
+        case 6:
+            return [[0, -1, H], [1, 0, 0], [0, 0, 1]];
+        case 7:
+            return [[0, -1, H], [-1, 0, W], [0, 0, 1]];
+        case 8:
+            return [[0, 1, 0], [-1, 0, W], [0, 0, 1]];
+        default:
+            return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    }
+}
+
+/**
+ * Apply a 3 × 3 affine transform to a point.
+ *
+ * @param {number[][]} T – transform from orientationTransform()
+ * @param {number} x
+ * @param {number} y
+ * @returns {{ x: number, y: number }}
+ */
+export function transformPoint(T, x, y) {
+    return {
+        x: T[0][0] * x + T[0][1] * y + T[0][2],
+        y: T[1][0] * x + T[1][1] * y + T[1][2],
+    };
+}
+
+/**
+ * Inverse of an orientation transform, e.g. visual → raw for the
+ * rawToVisual transform of an analyze() result.
+ *
+ * @param {number[][]} T – transform from orientationTransform()
+ * @returns {number[][]}
+ */
+export function invertTransform(T) {
+    const det = T[0][0] * T[1][1] - T[0][1] * T[1][0];
+    const a = T[1][1] / det;
+    const b = -T[0][1] / det;
+    const c = -T[1][0] / det;
+    const d = T[0][0] / det;
+    return [
+        [a, b, -(a * T[0][2] + b * T[1][2])],
+        [c, d, -(c * T[0][2] + d * T[1][2])],
+        [0, 0, 1],
+    ];
+}
+
 // ── 35 mm-equivalent focal length resolution ─────────────────────────────────
 
 /**
@@ -107,49 +297,482 @@ function f35mmFromFocalPlane(meta) {
     return focalLength * cropFactor;
 }
 
+/**
+ * f_35mm of a focal length on a sensor of known size (mm): FocalLength ×
+ * the diagonal crop factor.
+ *
+ * @param {number|null} focalLength – physical focal length in mm
+ * @param {{ sensorWidth: number, sensorHeight: number }|null} sensor
+ * @returns {number|null} f_35mm in mm, or null without both inputs
+ */
+export function f35mmFromSensor(focalLength, sensor) {
+    if (!focalLength || !sensor) return null;
+    return (focalLength * SENSOR_DIAG_35MM) / Math.hypot(sensor.sensorWidth, sensor.sensorHeight);
+}
+
+/**
+ * f_35mm that reproduces a recorded diagonal field of view (action cameras
+ * store the FOV of the recorded lens mode, crop and zoom instead of a focal
+ * length): the 43.266 mm diagonal spans `dfov` under the lens projection.
+ *
+ * @returns {number|null} f_35mm in mm, or null if the angle is unusable
+ */
+function f35mmFromDiagonalFov(meta, projection) {
+    if (!(meta.diagonalFov > 0)) return null;
+    const r = projectionRadius((meta.diagonalFov * Math.PI) / 360, 1, projection);
+    return r > 0 && Number.isFinite(r) ? SENSOR_DIAG_35MM / 2 / r : null;
+}
+
+// Resolution tiers, in priority order
+export const F35MM_TIERS = [
+    "diagonalFov",
+    "focalLengthIn35mm",
+    "scaleFactor35efl",
+    "focalPlane",
+    "sensorDatabase",
+];
+
+// Error message when no tier resolves (getF35mm(), analyzeTags())
+export const F35MM_UNRESOLVED =
+    "Cannot determine 35 mm-equivalent focal length. " +
+    "The image must contain either DiagonalFieldOfView, FocalLengthIn35mmFormat, " +
+    "FocalLength + ScaleFactor35efl, FocalLength + FocalPlaneResolution tags, " +
+    "or FocalLength from a camera listed in the sensor database. " +
+    "FocalPlaneResolutionUnit must not be 1 (no-unit).";
+
+// Cross-check delta (relative) above which tiers are reported as disagreeing
+const TIER_DISAGREEMENT_WARN = 0.02;
+const TIER_DISAGREEMENT_LOW = 0.1;
+
+// Relative rounding error of the integer 35 mm tag worth reporting
+const ROUNDING_WARN = 0.01;
+
+/**
+ * Digital zoom already contained in the `FocalLengthIn35mmFormat` tag.
+ *
+ * The phones listed by recordsZoomedF35mm() (./cameras.js) write the EXIF
+ * `DigitalZoomRatio` together with a 35 mm tag that describes the zoomed
+ * image (26 mm at 2× is recorded as 52 mm). Other cameras, and the
+ * per-frame zoom of a video (DJI `DigitalZoom`), leave the 35 mm tag at the
+ * optical value.
+ *
+ * @returns {number} the zoom ratio to divide out, or 1
+ */
+function zoomInF35mmTag(meta) {
+    const zoom = meta.digitalZoomRatio;
+    return zoom > 1 && meta.sources?.digitalZoomRatio === "DigitalZoomRatio" && recordsZoomedF35mm(meta)
+        ? zoom
+        : 1;
+}
+
+function percent(x) {
+    return `${(x * 100).toFixed(1)}%`;
+}
+
+/**
+ * Resolve the 35 mm-equivalent focal length and report how it was obtained.
+ *
+ * Every tier with enough data is evaluated:
+ *   1. `diagonalFov`       – recorded diagonal FOV of a video (GoPro
+ *      `DiagonalFieldOfView`), inverted under `projection`
+ *   2. `focalLengthIn35mm` – direct `FocalLengthIn35mmFormat` tag
+ *   3. `scaleFactor35efl`  – `FocalLength × ScaleFactor35efl` (ExifTool-
+ *      computed composite tag — not a native EXIF field)
+ *   4. `focalPlane`        – focal-plane resolution fallback
+ *   5. `sensorDatabase`    – `FocalLength` × crop factor of a known sensor
+ *      (pass the entry found by sensors.js `lookupSensor()` as `sensor`)
+ *
+ * The highest-priority tier wins; the others serve as cross-checks, reported
+ * as relative deltas to the chosen value. Note that ExifTool derives
+ * ScaleFactor35efl from FocalLengthIn35mmFormat when that tag exists, so
+ * agreement between tiers 2 and 3 is not independent evidence.
+ *
+ * All candidates describe the optical frame, before digital zoom: a phone's
+ * `FocalLengthIn35mmFormat` written alongside an EXIF `DigitalZoomRatio`
+ * already includes the zoom, which is divided out here and applied again by
+ * resolveCapturedRegion().
+ *
+ * Confidence is `"low"` when any tier disagrees by more than 10 %, `"medium"`
+ * when a fallback tier (focal plane, sensor database) was needed or any
+ * warning was raised, and `"high"` otherwise.
+ *
+ * A value forced by a configuration rule (see ./overrides.js) is passed as
+ * `override`: it wins as tier `"override"`, with the recorded tiers still
+ * listed as deltas but not warned about — disagreeing with them is the
+ * reason for the rule. A configured `scale` (focalLengthScale) corrects
+ * the recorded optics of the camera: it multiplies every recorded
+ * candidate, so the deltas between them are unchanged. A forced value is
+ * used as is.
+ *
+ * @param {object} meta – normalised metadata from extractExif()
+ * @param {{ sensor?: { sensorWidth: number, sensorHeight: number }|null,
+ *           projection?: string, override?: number|null,
+ *           scale?: number }} [options] –
+ *        `projection` defaults to detectProjection(meta)
+ * @returns {{ f35mm: number|null, tier: string|null,
+ *             candidates: Object<string, number|null>,
+ *             deltas: Object<string, number>, scale: number,
+ *             warnings: string[],
+ *             confidence: "high"|"medium"|"low"|null }}
+ *          f35mm / tier / confidence are null when no tier has enough data
+ */
+export function resolveF35mm(
+    meta,
+    { sensor = null, projection = detectProjection(meta), override = null, scale = 1 } = {}
+) {
+    const recorded = {
+        diagonalFov: f35mmFromDiagonalFov(meta, projection),
+        focalLengthIn35mm: meta.focalLengthIn35mm
+            ? meta.focalLengthIn35mm / zoomInF35mmTag(meta)
+            : null,
+        scaleFactor35efl:
+            meta.focalLength && meta.scaleFactor35efl
+                ? meta.focalLength * meta.scaleFactor35efl
+                : null,
+        focalPlane: f35mmFromFocalPlane(meta),
+        sensorDatabase: f35mmFromSensor(meta.focalLength, sensor),
+    };
+    const candidates = {
+        ...(override != null && { override }),
+        ...Object.fromEntries(
+            Object.entries(recorded).map(([t, value]) => [t, value === null ? null : value * scale])
+        ),
+    };
+
+    const tier =
+        override != null ? "override" : (F35MM_TIERS.find((t) => candidates[t] != null) ?? null);
+    const f35mm = tier ? candidates[tier] : null;
+    const warnings = [];
+    const deltas = {};
+
+    if (f35mm === null) {
+        return { f35mm, tier, candidates, deltas, scale, warnings, confidence: null };
+    }
+
+    for (const t of F35MM_TIERS) {
+        if (t === tier || candidates[t] == null) continue;
+        deltas[t] = (candidates[t] - f35mm) / f35mm;
+        if (tier !== "override" && Math.abs(deltas[t]) > TIER_DISAGREEMENT_WARN) {
+            warnings.push(`${t} disagrees with ${tier} by ${percent(Math.abs(deltas[t]))}`);
+        }
+    }
+
+    // FocalLengthIn35mmFormat is an integer (SHORT) tag
+    if (tier === "focalLengthIn35mm" && Number.isInteger(meta.focalLengthIn35mm)) {
+        const rounding = 0.5 / meta.focalLengthIn35mm;
+        if (rounding > ROUNDING_WARN) {
+            warnings.push(
+                `35mm tag rounded to integer (up to ±${percent(rounding)})`
+            );
+        }
+    }
+
+    if (meta.focalPlaneXRes && meta.focalPlaneYRes) {
+        const diff = Math.abs(meta.focalPlaneXRes / meta.focalPlaneYRes - 1);
+        if (diff > SQUARE_PIXEL_TOLERANCE) {
+            warnings.push(
+                `focal plane X/Y disagree by ${percent(diff)} (treated as non-square pixels)`
+            );
+        }
+    }
+
+    const maxDelta =
+        tier === "override" ? 0 : Math.max(0, ...Object.values(deltas).map(Math.abs));
+    let confidence = "high";
+    if (maxDelta > TIER_DISAGREEMENT_LOW) confidence = "low";
+    else if (tier === "focalPlane" || tier === "sensorDatabase" || warnings.length > 0) {
+        confidence = "medium";
+    }
+
+    return { f35mm, tier, candidates, deltas, scale, warnings, confidence };
+}
+
 /**
  * Resolve the 35 mm-equivalent focal length from available metadata.
  *
- * Priority:
- *   1. Direct `FocalLengthIn35mmFormat` tag
- *   2. `FocalLength × ScaleFactor35efl`  (ExifTool-computed, non-standard EXIF)
- *   3. Focal-plane resolution fallback
+ * Priority, unless forced by `options.override`:
+ *   1. Recorded diagonal field of view (action-camera video)
+ *   2. Direct `FocalLengthIn35mmFormat` tag
+ *   3. `FocalLength × ScaleFactor35efl`  (ExifTool-computed, non-standard EXIF)
+ *   4. Focal-plane resolution fallback
+ *   5. Sensor-database fallback (when `options.sensor` is given)
+ *
+ * See {@link resolveF35mm} for the tier that was used and cross-checks.
  */
-export function getF35mm(meta) {
-    // 1. Direct tag
-    if (meta.focalLengthIn35mm) {
-        return meta.focalLengthIn35mm;
+export function getF35mm(meta, options) {
+    const { f35mm } = resolveF35mm(meta, options);
+    if (f35mm !== null) return f35mm;
+    throw new Error(F35MM_UNRESOLVED);
+}
+
+// ── Digital zoom and crops ───────────────────────────────────────────────────
+
+/**
+ * Determine the region of the sensor that was actually captured.
+ *
+ * The 35 mm-equivalent focal length describes the full optical frame, but the
+ * stored image can cover less of it:
+ *
+ *   • `DigitalZoomRatio` z > 1 — the centre 1/z of the frame is upscaled to
+ *     the stored dimensions. The pixel count is unchanged, so the effective
+ *     f_35mm grows by z. (resolveF35mm() divides the zoom out of a 35 mm
+ *     tag that already includes it, so it is applied exactly once.)
+ *   • DNG `DefaultCropOrigin` / `DefaultCropSize` — the rendered image is a
+ *     sub-rectangle of the stored raw pixels.
+ *   • Camera Raw `CropLeft` / `CropTop` / `CropRight` / `CropBottom`
+ *     (fractions of the stored image, when `HasCrop` is set).
+ *
+ * A crop keeps the pixel pitch, so f_pixel is unchanged while the pixel
+ * dimensions shrink; the effective f_35mm grows by the ratio of the full to
+ * the cropped pixel diagonal. An off-centre crop moves the optical centre
+ * away from the image centre; the resulting principal point is returned in
+ * captured-region pixels.
+ *
+ * @param {object} meta – normalised metadata from extractExif()
+ * @param {{ applyDigitalZoom?: boolean, applyCrop?: boolean }} [options]
+ * @returns {{ focalScale: number, width: number, height: number,
+ *             principalPoint: { cx: number, cy: number },
+ *             adjustments: object[] }} – dimensions and principal point are
+ *          in the stored (raw) frame; `adjustments` lists each correction
+ *          that was applied
+ */
+export function resolveCapturedRegion(
+    meta,
+    { applyDigitalZoom = true, applyCrop = true } = {}
+) {
+    let width = meta.width;
+    let height = meta.height;
+    let cx = width / 2;
+    let cy = height / 2;
+    let focalScale = 1;
+    const adjustments = [];
+
+    if (applyCrop) {
+        let crop = null;
+
+        if (meta.defaultCropSize) {
+            const [cw, ch] = meta.defaultCropSize;
+            const [x, y] = meta.defaultCropOrigin ?? [(width - cw) / 2, (height - ch) / 2];
+            if (cw > 0 && ch > 0 && (cw < width || ch < height)) {
+                crop = { source: "DefaultCropSize", x, y, width: cw, height: ch };
+            }
+        } else if (meta.hasCrop && meta.cropRect) {
+            const { left, top, right, bottom } = meta.cropRect;
+            const cw = Math.round((right - left) * width);
+            const ch = Math.round((bottom - top) * height);
+            if (cw > 0 && ch > 0 && (cw < width || ch < height)) {
+                crop = {
+                    source: "CropLeft/Top/Right/Bottom",
+                    x: left * width,
+                    y: top * height,
+                    width: cw,
+                    height: ch,
+                };
+            }
+        }
+
+        if (crop) {
+            focalScale *= Math.hypot(width, height) / Math.hypot(crop.width, crop.height);
+            width = crop.width;
+            height = crop.height;
+            cx -= crop.x;
+            cy -= crop.y;
+            adjustments.push({ type: "crop", ...crop });
+        }
     }
 
-    // 2. Scale factor (ExifTool-computed composite tag — not a native EXIF field)
-    if (meta.focalLength && meta.scaleFactor35efl) {
-        return meta.focalLength * meta.scaleFactor35efl;
+    const zoom = meta.digitalZoomRatio;
+    if (applyDigitalZoom && zoom && zoom > 1) {
+        focalScale *= zoom;
+        // Zoom is about the image centre, scaling any principal-point offset
+        cx = width / 2 + zoom * (cx - width / 2);
+        cy = height / 2 + zoom * (cy - height / 2);
+        adjustments.push({ type: "digitalZoom", source: "DigitalZoomRatio", ratio: zoom });
     }
 
-    // 3. Focal-plane resolution fallback
-    const fromPlane = f35mmFromFocalPlane(meta);
-    if (fromPlane !== null) return fromPlane;
+    return { focalScale, width, height, principalPoint: { cx, cy }, adjustments };
+}
 
-    throw new Error(
-        "Cannot determine 35 mm-equivalent focal length. " +
-        "The image must contain either FocalLengthIn35mmFormat, " +
-        "FocalLength + ScaleFactor35efl, or FocalLength + FocalPlaneResolution tags. " +
-        "FocalPlaneResolutionUnit must not be 1 (no-unit)."
-    );
+// ── Lens projection models ───────────────────────────────────────────────────
+
+// Image radius r as a function of field angle θ (radians) and focal length f:
+//   rectilinear    r = f·tan θ
+//   equidistant    r = f·θ
+//   equisolid      r = 2f·sin(θ/2)
+//   orthographic   r = f·sin θ
+//   stereographic  r = 2f·tan(θ/2)
+export const PROJECTIONS = [
+    "rectilinear",
+    "equidistant",
+    "equisolid",
+    "orthographic",
+    "stereographic",
+];
+
+function assertProjection(projection) {
+    if (!PROJECTIONS.includes(projection)) {
+        throw new Error(
+            `Unknown projection "${projection}". Expected one of: ${PROJECTIONS.join(", ")}.`
+        );
+    }
+}
+
+/**
+ * Map a field angle to an image radius.
+ *
+ * @param {number} theta – angle from the optical axis (radians)
+ * @param {number} f     – focal length (any unit; r is returned in the same unit)
+ * @param {string} [projection="rectilinear"]
+ * @returns {number} image radius
+ */
+export function projectionRadius(theta, f, projection = "rectilinear") {
+    assertProjection(projection);
+    switch (projection) {
+        case "equidistant":
+            return f * theta;
+        case "equisolid":
+            return 2 * f * Math.sin(theta / 2);
+        case "orthographic":
+            return f * Math.sin(theta);
+        case "stereographic":
+            return 2 * f * Math.tan(theta / 2);
+        default:
+            return f * Math.tan(theta);
+    }
+}
+
+/**
+ * Map an image radius back to a field angle (inverse of projectionRadius).
+ *
+ * Radii beyond the largest one a model can produce (outside the image circle
+ * of a circular fisheye) are clamped to that model's maximum angle: 180° for
+ * equisolid, 90° for orthographic.
+ *
+ * @param {number} r – image radius (same unit as f)
+ * @param {number} f – focal length
+ * @param {string} [projection="rectilinear"]
+ * @returns {number} angle from the optical axis (radians)
+ */
+export function projectionAngle(r, f, projection = "rectilinear") {
+    assertProjection(projection);
+    switch (projection) {
+        case "equidistant":
+            return r / f;
+        case "equisolid":
+            return 2 * Math.asin(Math.min(r / (2 * f), 1));
+        case "orthographic":
+            return Math.asin(Math.min(r / f, 1));
+        case "stereographic":
+            return 2 * Math.atan(r / (2 * f));
+        default:
+            return Math.atan(r / f);
+    }
+}
+
+// Explicit projection names found in ProjectionType-style tags
+const PROJECTION_ALIASES = {
+    rectilinear: "rectilinear",
+    perspective: "rectilinear",
+    equidistant: "equidistant",
+    fisheye: "equidistant",
+    equisolid: "equisolid",
+    "equal-area": "equisolid",
+    orthographic: "orthographic",
+    stereographic: "stereographic",
+};
+
+/**
+ * Detect the lens projection model from metadata.
+ *
+ * Priority:
+ *   1. A projection tag (`ProjectionType`, …) naming one of the models
+ *   2. A lens description (`LensType`, `LensModel`) containing "fisheye",
+ *      which maps to the generic equidistant (f·θ) fisheye model
+ *   3. Rectilinear
+ *
+ * @param {object} meta – normalised metadata from extractExif()
+ * @returns {string} one of PROJECTIONS
+ */
+export function detectProjection(meta) {
+    if (meta.projectionType) {
+        const key = String(meta.projectionType).trim().toLowerCase();
+        if (key in PROJECTION_ALIASES) return PROJECTION_ALIASES[key];
+    }
+
+    const lensText = [meta.lensType, meta.lensModel].filter(Boolean).join(" ");
+    if (/fish[\s-]?eye/i.test(lensText)) return "equidistant";
+
+    return "rectilinear";
 }
 
 // ── FOV computation ──────────────────────────────────────────────────────────
 
+/**
+ * Equivalent frame dimensions (mm) for an image of the given pixel aspect.
+ *
+ * The frame keeps the 43.266 mm full-frame diagonal but takes the width/height
+ * ratio of the image, so a 4:3 image maps to ≈ 34.61 × 25.96 mm and a 16:9
+ * image to ≈ 37.71 × 21.21 mm. A 3:2 image maps back to exactly 36 × 24 mm.
+ *
+ * @param {number} width  – image width in pixels
+ * @param {number} height – image height in pixels
+ * @returns {{ frameWidth: number, frameHeight: number }}
+ */
+export function equivalentFrameDimensions(width, height) {
+    const diagPixels = Math.sqrt(width ** 2 + height ** 2);
+    return {
+        frameWidth: (SENSOR_DIAG_35MM * width) / diagPixels,
+        frameHeight: (SENSOR_DIAG_35MM * height) / diagPixels,
+    };
+}
+
 /**
  * Compute horizontal, vertical, and diagonal field of view in degrees.
  *
+ * In the default `"aspect"` mode the horizontal/vertical extents follow the
+ * image's aspect ratio (see {@link equivalentFrameDimensions}); pass the
+ * *visual* (post-orientation) dimensions so HFOV/VFOV match on-screen
+ * directions. Without dimensions the 3:2 full frame is assumed.
+ *
+ * In `"exiftool"` mode the fixed 36 × 24 mm frame is always used, regardless
+ * of the image dimensions, which reproduces ExifTool's `FOV` values.
+ *
+ * The diagonal FOV is identical in both modes.
+ *
+ * Each FOV is twice the field angle at the frame edge, obtained through the
+ * inverse mapping of the lens projection model (see {@link projectionAngle}).
+ *
  * @param {number} f35mm – 35 mm-equivalent focal length (mm)
+ * @param {number} [width]  – image width in pixels (visual, post-orientation)
+ * @param {number} [height] – image height in pixels (visual, post-orientation)
+ * @param {{ mode?: "aspect"|"exiftool", projection?: string }} [options]
  * @returns {{ hfov: number, vfov: number, dfov: number }}
  */
-export function computeFov(f35mm) {
-    const hfov = rad2deg(2 * Math.atan(SENSOR_WIDTH_35MM / (2 * f35mm)));
-    const vfov = rad2deg(2 * Math.atan(SENSOR_HEIGHT_35MM / (2 * f35mm)));
-    const dfov = rad2deg(2 * Math.atan(SENSOR_DIAG_35MM / (2 * f35mm)));
+export function computeFov(
+    f35mm,
+    width,
+    height,
+    { mode = "aspect", projection = "rectilinear" } = {}
+) {
+    if (!FOV_MODES.includes(mode)) {
+        throw new Error(
+            `Unknown FOV mode "${mode}". Expected one of: ${FOV_MODES.join(", ")}.`
+        );
+    }
+
+    let frameWidth = SENSOR_WIDTH_35MM;
+    let frameHeight = SENSOR_HEIGHT_35MM;
+
+    if (mode === "aspect" && width && height) {
+        ({ frameWidth, frameHeight } = equivalentFrameDimensions(width, height));
+    }
+
+    const fov = (extent) =>
+        rad2deg(2 * projectionAngle(extent / 2, f35mm, projection));
+
+    const hfov = fov(frameWidth);
+    const vfov = fov(frameHeight);
+    const dfov = fov(SENSOR_DIAG_35MM);
     return { hfov, vfov, dfov };
 }
 
@@ -192,6 +815,10 @@ function computeActualSensorDimensions(meta) {
  *
  * Formula:  f_pixel = (f_35mm / 43.266) × √(W² + H²)
  *
+ * For every supported projection model this is the model's focal parameter
+ * (r = f·g(θ) with g'(0) = 1), i.e. pixels per radian at the optical axis,
+ * so the same value applies to fisheye lenses.
+ *
  * @param {number} f35mm  – 35 mm-equivalent focal length (mm)
  * @param {number} width  – image width in pixels (visual, post-orientation)
  * @param {number} height – image height in pixels (visual, post-orientation)
@@ -201,3 +828,283 @@ export function computeDiagonalPixelFocalLength(f35mm, width, height) {
     const diagPixels = Math.sqrt(width ** 2 + height ** 2);
     return (f35mm / SENSOR_DIAG_35MM) * diagPixels;
 }
+
+// ── Pinhole intrinsics ───────────────────────────────────────────────────────
+
+/**
+ * Derive the pixel aspect ratio (physical pixel height / pixel width) in the
+ * raw sensor frame from the focal-plane resolution tags.
+ *
+ * Returns 1 (square pixels) when either resolution is missing or when both
+ * agree within {@link SQUARE_PIXEL_TOLERANCE}.
+ *
+ * @param {object} meta – normalised metadata from extractExif()
+ * @returns {number} pixel aspect ratio
+ */
+export function pixelAspectRatio(meta) {
+    const { focalPlaneXRes, focalPlaneYRes } = meta;
+    if (!focalPlaneXRes || !focalPlaneYRes) return 1;
+
+    // Resolutions are pixels per unit, so pixel size is their reciprocal
+    const aspect = focalPlaneXRes / focalPlaneYRes;
+    return Math.abs(aspect - 1) <= SQUARE_PIXEL_TOLERANCE ? 1 : aspect;
+}
+
+/**
+ * Compute the pinhole camera intrinsics in pixel units.
+ *
+ * The principal point defaults to the image centre, using continuous pixel
+ * coordinates with the origin at the top-left corner of the top-left pixel
+ * (the COLMAP / OpenGL convention).
+ *
+ * For square pixels fx = fy = f_pixel (diagonal). For non-square pixels the
+ * 35 mm-equivalent diagonal is matched against the *physical* image diagonal,
+ * giving fx = f_pixel(W, H·a) and fy = fx / a where a is the pixel aspect.
+ *
+ *        ┌ fx  0  cx ┐
+ *    K = │  0 fy  cy │
+ *        └  0  0   1 ┘
+ *
+ * @param {number} f35mm  – 35 mm-equivalent focal length (mm)
+ * @param {number} width  – image width in pixels (visual, post-orientation)
+ * @param {number} height – image height in pixels (visual, post-orientation)
+ * @param {{ pixelAspect?: number, principalPoint?: { cx: number, cy: number } }}
+ *        [options] – pixelAspect is the physical pixel height / width (default
+ *        1 = square pixels); principalPoint overrides the image centre
+ * @returns {{ fx: number, fy: number, cx: number, cy: number, K: number[][] }}
+ */
+export function computePinholeIntrinsics(
+    f35mm,
+    width,
+    height,
+    { pixelAspect = 1, principalPoint } = {}
+) {
+    const fx = computeDiagonalPixelFocalLength(
+        f35mm,
+        width,
+        height * pixelAspect
+    );
+    const fy = fx / pixelAspect;
+    const cx = principalPoint?.cx ?? width / 2;
+    const cy = principalPoint?.cy ?? height / 2;
+
+    return {
+        fx,
+        fy,
+        cx,
+        cy,
+        K: [
+            [fx, 0, cx],
+            [0, fy, cy],
+            [0, 0, 1],
+        ],
+    };
+}
+
+/**
+ * Re-express intrinsics computed in the raw (stored) frame in the visual frame.
+ *
+ * 90° rotations exchange the focal lengths of the two axes; every orientation
+ * moves the principal point through the orientation transform. The rotation
+ * or reflection itself is absorbed into the camera coordinate frame, so K
+ * stays upper-triangular.
+ *
+ * @param {{ fx: number, fy: number, cx: number, cy: number }} intrinsics – raw frame
+ * @param {number[][]} transform – from orientationTransform()
+ * @returns {{ fx: number, fy: number, cx: number, cy: number, K: number[][] }}
+ */
+export function orientIntrinsics(intrinsics, transform) {
+    const swapped = transform[0][0] === 0;
+    const fx = swapped ? intrinsics.fy : intrinsics.fx;
+    const fy = swapped ? intrinsics.fx : intrinsics.fy;
+    const { x: cx, y: cy } = transformPoint(transform, intrinsics.cx, intrinsics.cy);
+
+    return {
+        fx,
+        fy,
+        cx,
+        cy,
+        K: [
+            [fx, 0, cx],
+            [0, fy, cy],
+            [0, 0, 1],
+        ],
+    };
+}
+
+// ── Lens distortion ──────────────────────────────────────────────────────────
+
+// Distortion is expressed with the Brown–Conrady model used by OpenCV, on
+// coordinates normalised by the focal length (x = (u − cx) / fx):
+//
+//   x_d = x · (1 + k1 r² + k2 r⁴ + k3 r⁶) + 2 p1 x y + p2 (r² + 2 x²)
+//   y_d = y · (1 + k1 r² + k2 r⁴ + k3 r⁶) + p1 (r² + 2 y²) + 2 p2 x y
+//
+// mapping ideal (undistorted) to distorted positions.
+
+/**
+ * Solve the linear system A·x = b (Gaussian elimination, partial pivoting).
+ * @private
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+        }
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+        for (let r = col + 1; r < n; r++) {
+            const f = M[r][col] / M[col][col];
+            for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = M[r][n];
+        for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+        x[r] = sum / M[r][r];
+    }
+    return x;
+}
+
+/**
+ * Re-express Brown–Conrady coefficients defined on coordinates normalised by
+ * a different length. If the source model uses u = t · x, the coefficients
+ * for x are k1·t², k2·t⁴, k3·t⁶, p1·t, p2·t.
+ *
+ * @param {{ k1: number, k2: number, k3: number, p1: number, p2: number }} coefficients
+ * @param {number} t – ratio of the focal length to the source's unit length
+ * @returns {{ k1: number, k2: number, k3: number, p1: number, p2: number }}
+ */
+export function scaleBrown({ k1, k2, k3, p1, p2 }, t) {
+    return {
+        k1: k1 * t ** 2,
+        k2: k2 * t ** 4,
+        k3: k3 * t ** 6,
+        p1: p1 * t,
+        p2: p2 * t,
+    };
+}
+
+/**
+ * Convert a DNG WarpRectilinear opcode to Brown–Conrady coefficients.
+ *
+ * The opcode normalises coordinates by the largest distance from its optical
+ * centre to an image corner and maps corrected to uncorrected positions —
+ * the same direction as Brown–Conrady — with
+ *
+ *   f(r) = kr0 + kr1 r² + kr2 r⁴ + kr3 r⁶,  tangential terms kt0 (p1), kt1 (p2).
+ *
+ * kr0 is factored out and returned as `scale` (1 = no magnification change).
+ * For three-plane opcodes (per-colour lateral CA correction) the green plane
+ * is used.
+ *
+ * @param {{ planes: { kr: number[], kt: number[] }[], cx: number, cy: number }} warp
+ *        – `cx`, `cy` relative to the image size (0.5 = centre)
+ * @param {{ width: number, height: number, focalPx: number }} frame
+ *        – image the opcode applies to, and its focal length in pixels
+ * @returns {{ coefficients: { k1: number, k2: number, k3: number, p1: number, p2: number },
+ *             scale: number }}
+ */
+export function brownFromWarpRectilinear(warp, { width, height, focalPx }) {
+    const plane = warp.planes.length === 3 ? warp.planes[1] : warp.planes[0];
+    const [kr0, kr1, kr2, kr3] = plane.kr;
+    const [kt0, kt1] = plane.kt;
+
+    const cx = warp.cx * width;
+    const cy = warp.cy * height;
+    const m = Math.max(
+        Math.hypot(cx, cy),
+        Math.hypot(width - cx, cy),
+        Math.hypot(cx, height - cy),
+        Math.hypot(width - cx, height - cy)
+    );
+
+    const coefficients = scaleBrown(
+        { k1: kr1 / kr0, k2: kr2 / kr0, k3: kr3 / kr0, p1: kt0 / kr0, p2: kt1 / kr0 },
+        focalPx / m
+    );
+    return { coefficients, scale: kr0 };
+}
+
+/**
+ * Fit radial Brown–Conrady coefficients to a tabulated distortion profile,
+ * as stored in Sony and Fujifilm maker notes.
+ *
+ * The table gives the ratio of distorted to ideal radius at ideal radii
+ * relative to the image half-diagonal. It is interpolated linearly and fitted
+ * by least squares as `scale · (1 + k1 r² + k2 r⁴ + k3 r⁶)`.
+ *
+ * @param {number[]} knots – ideal radii, fraction of the half-diagonal
+ * @param {number[]} factors – distorted / ideal radius at each knot
+ * @param {{ width: number, height: number, focalPx: number }} frame
+ * @returns {{ coefficients: { k1: number, k2: number, k3: number, p1: number, p2: number },
+ *             scale: number, fitError: number }} – `fitError` is the largest
+ *          relative deviation of the fitted curve from the table
+ */
+export function fitBrownRadial(knots, factors, { width, height, focalPx }) {
+    const SAMPLES = 64;
+    const halfDiagonal = Math.hypot(width, height) / 2;
+    const rMax = knots[knots.length - 1];
+
+    const table = (r) => {
+        if (r <= knots[0]) return factors[0];
+        for (let i = 1; i < knots.length; i++) {
+            if (r <= knots[i]) {
+                const t = (r - knots[i - 1]) / (knots[i] - knots[i - 1]);
+                return factors[i - 1] + t * (factors[i] - factors[i - 1]);
+            }
+        }
+        return factors[factors.length - 1];
+    };
+
+    // Least squares on the basis 1, x², x⁴, x⁶ (x in focal-length units)
+    const rows = [];
+    for (let i = 0; i <= SAMPLES; i++) {
+        const r = (rMax * i) / SAMPLES;
+        const x2 = ((r * halfDiagonal) / focalPx) ** 2;
+        rows.push({ basis: [1, x2, x2 ** 2, x2 ** 3], value: table(r) });
+    }
+
+    const AtA = [0, 1, 2, 3].map((i) =>
+        [0, 1, 2, 3].map((j) => rows.reduce((s, row) => s + row.basis[i] * row.basis[j], 0))
+    );
+    const Atb = [0, 1, 2, 3].map((i) =>
+        rows.reduce((s, row) => s + row.basis[i] * row.value, 0)
+    );
+    const [a0, a1, a2, a3] = solveLinearSystem(AtA, Atb);
+
+    const fitError = Math.max(
+        ...rows.map(({ basis, value }) => {
+            const fitted = a0 * basis[0] + a1 * basis[1] + a2 * basis[2] + a3 * basis[3];
+            return Math.abs(fitted - value) / value;
+        })
+    );
+
+    return {
+        coefficients: { k1: a1 / a0, k2: a2 / a0, k3: a3 / a0, p1: 0, p2: 0 },
+        scale: a0,
+        fitError,
+    };
+}
+
+/**
+ * Re-express distortion coefficients computed in the raw (stored) frame in
+ * the visual frame.
+ *
+ * The radial terms are invariant under rotation and reflection; the
+ * tangential terms form the vector (p2, p1), which turns with the image.
+ *
+ * @param {{ k1: number, k2: number, k3: number, p1: number, p2: number }} coefficients
+ * @param {number[][]} transform – from orientationTransform()
+ * @returns {{ k1: number, k2: number, k3: number, p1: number, p2: number }}
+ */
+export function orientDistortion(coefficients, transform) {
+    const [[a, b], [c, d]] = transform;
+    const { p1, p2 } = coefficients;
+    return { ...coefficients, p1: c * p2 + d * p1, p2: a * p2 + b * p1 };
+}
@@ -0,0 +1,285 @@
+/**
+ * Platform-independent analysis.
+ *
+ * Turns normalised EXIF metadata into the FOV / focal-length result. Used by
+ * the Node entry point (./index.js), which reads the metadata with ./exif.js,
+ * and by the browser entry point (./browser.js).
+ */
+
+import { normaliseTags } from "./tags.js";
+import { lookupSensor } from "./sensors.js";
+import { lookupBreathingProfile } from "./breathing.js";
+import { resolveDistortion } from "./distortion.js";
+import { identifyCameraModule } from "./cameras.js";
+import { resolveOverrides } from "./overrides.js";
+import {
+    F35MM_UNRESOLVED,
+    resolveF35mm,
+    adjustForOrientation,
+    computeFov,
+    computeDiagonalPixelFocalLength,
+    computePinholeIntrinsics,
+    pixelAspectRatio,
+    focusBreathingFactor,
+    detectProjection,
+    resolveCapturedRegion,
+    orientationTransform,
+    orientIntrinsics,
+    orientDistortion,
+    f35mmFromSensor,
+} from "./compute.js";
+
+// Relative f_35mm change below which video samples count as unchanged
+const SERIES_TOLERANCE = 1e-6;
+
+/**
+ * Compute the analyze() result from normalised metadata (see ./tags.js).
+ *
+ * @param {object} meta – cleaned metadata object
+ * @param {string|null} file – reported as the result's `file`
+ * @param {object} [options] – see analyze() in ./index.js
+ * @returns {object}
+ */
+export function analyzeMetadata(meta, file, options = {}) {
+    const {
+        applyCloseFocusCorrection = false,
+        fovMode = "aspect",
+        projection,
+        applyDigitalZoom = true,
+        applyCrop = true,
+        focusBreathing = applyCloseFocusCorrection ? "thin-lens" : "none",
+        breathingProfile,
+    } = options;
+
+    // Configuration rules for this camera (see ./overrides.js); an explicit
+    // projection option still wins over a configured one
+    const overrides = resolveOverrides(meta);
+    const lensProjection = projection ?? overrides?.projection ?? detectProjection(meta);
+    const sensor = overrides?.sensor
+        ? {
+              sensorWidth: overrides.sensor.width,
+              sensorHeight: overrides.sensor.height,
+              source: "override",
+          }
+        : lookupSensor(meta);
+    // A configured 35 mm equivalent, else that of a configured sensor. The
+    // scale corrects recorded values only, so a forced 35 mm equivalent is
+    // left alone while one derived from the recorded FocalLength is scaled
+    const scale = overrides?.focalLengthScale ?? 1;
+    const sensorF35mm = overrides?.sensor ? f35mmFromSensor(meta.focalLength, sensor) : null;
+    const f35Options = {
+        sensor,
+        projection: lensProjection,
+        override: overrides?.focalLengthIn35mm ?? (sensorF35mm !== null ? sensorF35mm * scale : null),
+        scale,
+    };
+
+    const overrideWarnings = [];
+    if (overrides?.sensor && !overrides.focalLengthIn35mm && !meta.focalLength) {
+        overrideWarnings.push("configured sensor size ignored: no FocalLength recorded");
+    }
+    if (overrides?.focalLengthIn35mm && scale !== 1) {
+        overrideWarnings.push("configured focalLengthScale not applied to the forced focalLengthIn35mm");
+    }
+
+    // Optical 35 mm equivalent, then narrowed to the captured region
+    const f35Resolution = resolveF35mm(meta, f35Options);
+    if (f35Resolution.f35mm === null) throw new Error(F35MM_UNRESOLVED);
+    const opticalF35mm = f35Resolution.f35mm;
+    const captured = resolveCapturedRegion(meta, { applyDigitalZoom, applyCrop });
+
+    // Focus breathing: the focal length changes with the focus distance
+    const breathing = focusBreathingFactor(meta, {
+        model: focusBreathing,
+        profile:
+            focusBreathing === "table"
+                ? breathingProfile ?? lookupBreathingProfile(meta)
+                : null,
+    });
+
+    const f35mm = opticalF35mm * captured.focalScale * breathing.factor;
+
+    // Raw pixel dimensions (stored orientation, after any crop)
+    const rawWidth = captured.width;
+    const rawHeight = captured.height;
+
+    // Visual dimensions after correcting for EXIF orientation
+    const { width, height } = adjustForOrientation(
+        rawWidth,
+        rawHeight,
+        meta.orientation
+    );
+
+    const isRotated = meta.orientation >= 5 && meta.orientation <= 8;
+
+    let { hfov, vfov, dfov } = computeFov(f35mm, width, height, {
+        mode: fovMode,
+        projection: lensProjection,
+    });
+
+    // The fixed 36 × 24 mm frame is landscape-only: swap HFOV/VFOV for
+    // portrait orientations so the labels match the visual on-screen
+    // directions. The aspect mode already works on the visual dimensions.
+    if (fovMode === "exiftool" && isRotated) {
+        [hfov, vfov] = [vfov, hfov];
+    }
+
+    // Diagonal pixel focal length (invariant under rotation)
+    const fPixel = computeDiagonalPixelFocalLength(f35mm, rawWidth, rawHeight);
+
+    // Pinhole intrinsics are built on the raw sensor axes (where the pixel
+    // aspect and crop offsets are measured), then rotated / mirrored into
+    // the visual frame.
+    const rawToVisual = orientationTransform(meta.orientation, rawWidth, rawHeight);
+    const rawIntrinsics = computePinholeIntrinsics(f35mm, rawWidth, rawHeight, {
+        pixelAspect: pixelAspectRatio(meta),
+        principalPoint: offsetPrincipalPoint(captured.principalPoint, overrides?.principalPointOffset),
+    });
+    const intrinsics = orientIntrinsics(rawIntrinsics, rawToVisual);
+
+    // Distortion sources describe the optical frame: the stored image before
+    // crop, with the focal length before digital zoom and focus breathing
+    const opticalIntrinsics = computePinholeIntrinsics(opticalF35mm, meta.width, meta.height, {
+        pixelAspect: pixelAspectRatio(meta),
+    });
+    const lensDistortion = resolveDistortion(meta, {
+        focalPx: opticalIntrinsics.fx,
+        width: meta.width,
+        height: meta.height,
+    });
+    const { cameraId, warnings: moduleWarnings, ...cameraModule } = identifyCameraModule(meta);
+
+    // A recorded FOV already reflects the stabilisation crop; a focal length
+    // does not, and the crop itself is not recorded
+    const videoWarnings = [];
+    if (meta.video?.stabilised && f35Resolution.tier !== "diagonalFov") {
+        videoWarnings.push(
+            `electronic stabilisation (${meta.video.stabilisation}) crops the frame by an ` +
+                "unrecorded amount; FOV may be overestimated"
+        );
+    }
+
+    return {
+        file,
+        make: meta.make,
+        model: meta.model,
+        lensModel: meta.lensModel,
+        cameraId,
+        cameraModule,
+        rawWidth,
+        rawHeight,
+        visualWidth: width,
+        visualHeight: height,
+        orientation: meta.orientation,
+        rawToVisual,
+        focalLength: meta.focalLength,
+        focalLengthIn35mm: f35mm,
+        opticalFocalLengthIn35mm: opticalF35mm,
+        digitalZoomRatio: meta.digitalZoomRatio,
+        adjustments: captured.adjustments,
+        scaleFactor35efl: meta.scaleFactor35efl,
+        fPixelDiagonal: fPixel,
+        intrinsics,
+        distortion: {
+            coefficients: lensDistortion.coefficients
+                ? orientDistortion(lensDistortion.coefficients, rawToVisual)
+                : null,
+            scale: lensDistortion.scale,
+            source: lensDistortion.source,
+            correctedInCamera: lensDistortion.correctedInCamera,
+        },
+        projection: lensProjection,
+        fovMode,
+        hfov,
+        vfov,
+        dfov,
+        focusDistance: meta.focusDistance,
+        focusBreathing: {
+            model: breathing.model,
+            factor: breathing.factor,
+            focusDistance: breathing.focusDistance,
+        },
+        provenance: {
+            sources: meta.sources,
+            f35mm: {
+                tier: f35Resolution.tier,
+                candidates: f35Resolution.candidates,
+                deltas: f35Resolution.deltas,
+                scale: f35Resolution.scale,
+                sensor,
+            },
+            projection: projection ? "option" : overrides?.projection ? "override" : "detected",
+            overrides: overrides?.applied ?? [],
+        },
+        confidence: f35Resolution.confidence,
+        geo: meta.geo,
+        video: meta.video
+            ? { ...meta.video, series: videoSeries(meta, file, options) }
+            : null,
+        warnings: [
+            ...f35Resolution.warnings,
+            ...breathing.warnings,
+            ...lensDistortion.warnings,
+            ...moduleWarnings,
+            ...videoWarnings,
+            ...overrideWarnings,
+        ],
+    };
+}
+
+/**
+ * Principal point shifted by a configured offset (raw-frame pixels).
+ */
+function offsetPrincipalPoint(point, offset) {
+    return offset ? { cx: point.cx + offset.x, cy: point.cy + offset.y } : point;
+}
+
+/**
+ * Per-timestamp focal length and FOV of a video whose timed metadata changes
+ * the focal length during recording (zoom, lens-mode switch). Lists the
+ * first sample and every sample where the effective f_35mm changes; null
+ * when it stays constant.
+ */
+function videoSeries(meta, file, options) {
+    if (!meta.samples || meta.samples.length < 2) return null;
+
+    const series = [];
+    for (const { time, meta: sampleMeta } of meta.samples) {
+        const r = analyzeMetadata(sampleMeta, file, options);
+        const previous = series.at(-1);
+        if (
+            previous &&
+            Math.abs(r.focalLengthIn35mm - previous.focalLengthIn35mm) <=
+                SERIES_TOLERANCE * previous.focalLengthIn35mm
+        ) {
+            continue;
+        }
+        series.push({
+            time,
+            focalLengthIn35mm: r.focalLengthIn35mm,
+            fPixelDiagonal: r.fPixelDiagonal,
+            hfov: r.hfov,
+            vfov: r.vfov,
+            dfov: r.dfov,
+            intrinsics: r.intrinsics,
+        });
+    }
+    return series.length > 1 ? series : null;
+}
+
+/**
+ * Analyse a plain tag object, e.g. the output of a client-side EXIF parser.
+ *
+ * Tags are keyed by ExifTool tag names (`FocalLength`, `ImageWidth`,
+ * `Orientation`, …); values may be numbers or ExifTool-style strings such
+ * as "4.2 mm". Gives the same result as analyze() for the same tags, with
+ * `file` set to `filename` (or null).
+ *
+ * @param {object} tags – tags under ExifTool names
+ * @param {{ filename?: string }} [options] – file name to report, plus any
+ *        analyze() option
+ * @returns {object}
+ */
+export function analyzeTags(tags, { filename, ...options } = {}) {
+    return analyzeMetadata(normaliseTags(tags, filename ?? "<tags>"), filename ?? null, options);
+}
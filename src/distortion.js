@@ -0,0 +1,418 @@
+/**
+ * Lens distortion from DNG opcodes, maker notes and Adobe LCP profiles.
+ *
+ * Every source is normalised to Brown–Conrady k1..k3 / p1..p2 coefficients
+ * for the image's own focal length in pixels (see the "Lens distortion"
+ * section of compute.js). Sources, in order of preference:
+ *
+ *   dngWarpRectilinear  – WarpRectilinear opcode in the DNG OpcodeList3
+ *   sonyMakerNote       – Sony DistortionCorrParams (radial spline table)
+ *   fujifilmMakerNote   – Fujifilm GeometricDistortionParams (radial table)
+ *   lcpProfile          – a registered Adobe Lens Correction Profile (.lcp)
+ *
+ * The coefficients always describe the lens. Whether the image pixels
+ * already had the correction applied in camera is reported separately by
+ * `correctedInCamera`: raw files never have, camera JPEGs often have.
+ */
+
+import {
+    brownFromWarpRectilinear,
+    fitBrownRadial,
+    scaleBrown,
+} from "./compute.js";
+
+export const DISTORTION_SOURCES = [
+    "dngWarpRectilinear",
+    "sonyMakerNote",
+    "fujifilmMakerNote",
+    "lcpProfile",
+];
+
+// ExifTool FileType values of raw formats, whose pixels are never corrected
+const RAW_FILE_TYPES = new Set([
+    "3FR", "ARW", "CR2", "CR3", "CRW", "DCR", "DNG", "ERF", "IIQ", "K25",
+    "KDC", "MEF", "MOS", "MRW", "NEF", "NRW", "ORF", "PEF", "RAF", "RAW",
+    "RW2", "RWL", "SR2", "SRF", "SRW", "X3F",
+]);
+
+// DNG opcode id of WarpRectilinear
+const WARP_RECTILINEAR_ID = 1;
+
+// A Brown fit deviating from the maker-note table by more than this is flagged
+const FIT_ERROR_TOLERANCE = 0.002;
+
+// Registered LCP profiles, newest first
+const lcpProfiles = [];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function normalise(str) {
+    return String(str ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Whether the file is a raw format, or null when the type is unknown.
+ * @private
+ */
+function isRawFile(meta) {
+    if (!meta.fileType) return null;
+    return RAW_FILE_TYPES.has(meta.fileType.toUpperCase());
+}
+
+/**
+ * Whether the in-camera image already had distortion correction applied:
+ * true, false, or null when the file does not say.
+ *
+ * Raw files are never corrected. Otherwise the camera's distortion
+ * correction tag decides; Fujifilm JPEGs are always corrected.
+ *
+ * @param {{ fileType?: string|null, make?: string|null,
+ *           distortionCorrection?: string|null }} meta
+ * @returns {boolean|null}
+ */
+export function correctedInCamera(meta) {
+    if (isRawFile(meta)) return false;
+
+    const setting = meta.distortionCorrection;
+    if (setting != null) {
+        if (/^(off|none|no)\b/i.test(setting)) return false;
+        if (/^(on|auto|applied)\b/i.test(setting)) return true;
+    }
+
+    if (/^fujifilm/i.test(meta.make ?? "")) return true;
+    return null;
+}
+
+// ── DNG opcodes ───────────────────────────────────────────────────────────────
+
+/**
+ * Read the WarpRectilinear opcode from a binary DNG opcode list.
+ *
+ * Opcode lists are big-endian: a count, then per opcode its id, DNG version,
+ * flags, parameter byte count and parameters. WarpRectilinear parameters are
+ * the plane count, six doubles (kr0..kr3, kt0, kt1) per plane and the
+ * optical centre (two doubles, relative to the image size).
+ *
+ * @param {Uint8Array} buffer – OpcodeList3 tag value
+ * @returns {{ planes: { kr: number[], kt: number[] }[], cx: number, cy: number }|null}
+ */
+export function parseWarpRectilinear(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const fail = () => {
+        throw new Error("Malformed DNG opcode list.");
+    };
+
+    if (view.byteLength < 4) fail();
+    const count = view.getUint32(0);
+    let offset = 4;
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 16 > view.byteLength) fail();
+        const id = view.getUint32(offset);
+        const size = view.getUint32(offset + 12);
+        const data = offset + 16;
+        if (data + size > view.byteLength) fail();
+
+        if (id === WARP_RECTILINEAR_ID) {
+            const planeCount = view.getUint32(data);
+            if (size < 4 + planeCount * 48 + 16) fail();
+
+            const planes = [];
+            for (let p = 0; p < planeCount; p++) {
+                const base = data + 4 + p * 48;
+                const v = [0, 1, 2, 3, 4, 5].map((k) => view.getFloat64(base + k * 8));
+                planes.push({ kr: v.slice(0, 4), kt: v.slice(4) });
+            }
+            const centre = data + 4 + planeCount * 48;
+            return {
+                planes,
+                cx: view.getFloat64(centre),
+                cy: view.getFloat64(centre + 8),
+            };
+        }
+        offset = data + size;
+    }
+    return null;
+}
+
+// ── Maker notes ───────────────────────────────────────────────────────────────
+
+/**
+ * Radial table from Sony DistortionCorrParams: `n` int16 values (correction
+ * × 2¹⁴) at evenly spaced radii up to the half-diagonal. The EXIF form
+ * stores `n` as its first value, the maker-note form in
+ * DistortionCorrParamsNumber.
+ * @private
+ */
+function sonyRadialTable(params, number) {
+    let values = params;
+    let n = number;
+    if (params.length === 17) {
+        n = params[0];
+        values = params.slice(1);
+    }
+    if (!(n >= 2) || n > values.length) return null;
+
+    return {
+        knots: values.slice(0, n).map((_, i) => i / (n - 1)),
+        factors: values.slice(0, n).map((v) => 1 + v / 2 ** 14),
+    };
+}
+
+/**
+ * Radial table from Fujifilm GeometricDistortionParams: one leading value,
+ * then `n` radii (fraction of the half-diagonal) and `n` corrections in %.
+ * @private
+ */
+function fujifilmRadialTable(params) {
+    const n = (params.length - 1) / 2;
+    if (!Number.isInteger(n) || n < 2) return null;
+
+    return {
+        knots: params.slice(1, n + 1),
+        factors: params.slice(n + 1).map((v) => 1 + v / 100),
+    };
+}
+
+// ── Adobe LCP profiles ────────────────────────────────────────────────────────
+
+function decodeXml(str) {
+    return str
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+}
+
+/**
+ * Value of an `stCamera:` property, written either as an attribute or as a
+ * child element.
+ * @private
+ */
+function lcpProperty(xml, name) {
+    const match =
+        xml.match(new RegExp(`stCamera:${name}="([^"]*)"`)) ??
+        xml.match(new RegExp(`<stCamera:${name}>([^<]*)</stCamera:${name}>`));
+    return match ? decodeXml(match[1].trim()) : null;
+}
+
+function lcpNumber(xml, name) {
+    const value = lcpProperty(xml, name);
+    const n = value != null ? parseFloat(value) : NaN;
+    return isNaN(n) ? null : n;
+}
+
+/**
+ * Parse the rectilinear (PerspectiveModel) profiles of an Adobe LCP file.
+ *
+ * @param {string} xml – LCP file contents
+ * @returns {object[]} – one entry per camera profile with a perspective model
+ */
+export function parseLcp(xml) {
+    const profiles = [];
+
+    for (const [block] of xml.matchAll(/<rdf:li\b[\s\S]*?<\/rdf:li>/g)) {
+        const model = block.match(
+            /<stCamera:PerspectiveModel\b[\s\S]*?<\/stCamera:PerspectiveModel>/
+        );
+        if (!model) continue;
+        const outer = block.replace(model[0], "");
+        const perspective = model[0];
+
+        const lens = lcpProperty(outer, "Lens") ?? lcpProperty(outer, "LensPrettyName");
+        if (!lens) continue;
+
+        profiles.push({
+            make: lcpProperty(outer, "Make"),
+            model: lcpProperty(outer, "Model"),
+            lens,
+            focalLength: lcpNumber(outer, "FocalLength"),
+            focusDistance: lcpNumber(outer, "FocusDistance"),
+            rawProfile: /^true$/i.test(lcpProperty(outer, "CameraRawProfile") ?? ""),
+            focalLengthX: lcpNumber(perspective, "FocalLengthX"),
+            coefficients: {
+                k1: lcpNumber(perspective, "RadialDistortParam1") ?? 0,
+                k2: lcpNumber(perspective, "RadialDistortParam2") ?? 0,
+                k3: lcpNumber(perspective, "RadialDistortParam3") ?? 0,
+                p1: lcpNumber(perspective, "TangentialDistortParam1") ?? 0,
+                p2: lcpNumber(perspective, "TangentialDistortParam2") ?? 0,
+            },
+        });
+    }
+
+    return profiles;
+}
+
+/**
+ * Find the LCP profile for a lens: the lens name must match (either name
+ * may contain the other), then the profile for the file's kind (raw or
+ * rendered), the nearest focal length and the nearest focus distance win.
+ *
+ * @param {{ make?: string|null, lensModel?: string|null, focalLength?: number|null,
+ *           focusDistance?: number|null, fileType?: string|null }} meta
+ * @returns {object|null}
+ */
+export function lookupLcpProfile(meta) {
+    if (!meta.lensModel) return null;
+
+    const make = normalise(meta.make);
+    const lens = normalise(meta.lensModel);
+    const raw = isRawFile(meta);
+
+    const candidates = lcpProfiles.filter((p) => {
+        const name = normalise(p.lens);
+        if (p.make && !make.startsWith(normalise(p.make))) return false;
+        return name.includes(lens) || lens.includes(name);
+    });
+
+    const distance = (a, b) => (a != null && b != null ? Math.abs(a - b) : 0);
+    const rank = (p) => [
+        raw != null && p.rawProfile !== raw ? 1 : 0,
+        distance(p.focalLength, meta.focalLength),
+        distance(p.focusDistance, meta.focusDistance),
+    ];
+
+    // Lexicographic: the first differing criterion decides
+    const compare = (a, b) => {
+        const i = a.findIndex((v, k) => v !== b[k]);
+        return i === -1 ? 0 : a[i] - b[i];
+    };
+
+    let best = null;
+    let bestRank = null;
+    for (const p of candidates) {
+        const r = rank(p);
+        if (bestRank === null || compare(r, bestRank) < 0) {
+            best = p;
+            bestRank = r;
+        }
+    }
+    return best;
+}
+
+/**
+ * Register LCP profiles, as returned by parseLcp(). Later registrations take
+ * precedence among equally good matches.
+ *
+ * @param {object|object[]} profiles
+ */
+export function registerLcpProfiles(profiles) {
+    const list = Array.isArray(profiles) ? profiles : [profiles];
+    lcpProfiles.unshift(...[...list].reverse());
+}
+
+/**
+ * Load and register the profiles of an .lcp file, or of every .lcp file in a
+ * directory tree (e.g. Adobe's "LensProfiles" folder).
+ *
+ * @param {string} path – file or directory
+ * @returns {Promise<number>} – number of profiles registered
+ */
+export async function loadLcpProfiles(path) {
+    // Imported on demand: the rest of this module also runs in browsers
+    const { readFile, stat } = await import("node:fs/promises");
+    const { expandInputs } = await import("./files.js");
+
+    const info = await stat(path).catch(() => null);
+    if (!info) {
+        throw new Error(`Cannot read LCP profiles "${path}": no such file or directory.`);
+    }
+
+    const files = info.isDirectory()
+        ? (await expandInputs([path], { extensions: new Set([".lcp"]) })).files
+        : [path];
+
+    const profiles = [];
+    for (const file of files) {
+        try {
+            profiles.push(...parseLcp(await readFile(file, "utf8")));
+        } catch (err) {
+            throw new Error(`Cannot read LCP profile "${file}": ${err.message}`);
+        }
+    }
+    registerLcpProfiles(profiles);
+    return profiles.length;
+}
+
+/**
+ * Remove all registered LCP profiles.
+ */
+export function clearLcpProfiles() {
+    lcpProfiles.length = 0;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve Brown–Conrady distortion coefficients for an image, in its raw
+ * (stored) frame, from the first available source.
+ *
+ * The sources describe the lens over the whole optical frame, so `focalPx`
+ * is the optical focal length: before digital zoom and focus breathing, in
+ * pixels of a `width` × `height` frame (default: the stored dimensions,
+ * before any crop). The coefficients act on focal-normalised coordinates,
+ * which a digital zoom or crop leaves unchanged.
+ *
+ * @param {object} meta – from extractExif()
+ * @param {{ focalPx: number, width?: number, height?: number }} options
+ * @returns {{ coefficients: { k1: number, k2: number, k3: number, p1: number, p2: number }|null,
+ *             scale: number|null, source: string|null,
+ *             correctedInCamera: boolean|null, warnings: string[] }}
+ */
+export function resolveDistortion(meta, { focalPx, width = meta.width, height = meta.height }) {
+    const frame = { width, height, focalPx };
+    const result = {
+        coefficients: null,
+        scale: null,
+        source: null,
+        correctedInCamera: correctedInCamera(meta),
+        warnings: [],
+    };
+
+    const warp = meta.opcodeList3 ? parseWarpRectilinear(meta.opcodeList3) : null;
+    if (warp) {
+        Object.assign(result, brownFromWarpRectilinear(warp, frame), {
+            source: "dngWarpRectilinear",
+        });
+        return result;
+    }
+
+    const tables = [
+        [
+            "sonyMakerNote",
+            meta.sonyDistortionParams &&
+                sonyRadialTable(meta.sonyDistortionParams, meta.sonyDistortionParamsNumber),
+        ],
+        [
+            "fujifilmMakerNote",
+            meta.fujifilmDistortionParams && fujifilmRadialTable(meta.fujifilmDistortionParams),
+        ],
+    ];
+    for (const [source, table] of tables) {
+        if (!table) continue;
+        const { coefficients, scale, fitError } = fitBrownRadial(table.knots, table.factors, frame);
+        Object.assign(result, { coefficients, scale, source });
+        if (fitError > FIT_ERROR_TOLERANCE) {
+            result.warnings.push(
+                `distortion fit deviates from the ${source} table by up to ${(fitError * 100).toFixed(1)}%`
+            );
+        }
+        return result;
+    }
+
+    const profile = lookupLcpProfile(meta);
+    if (profile) {
+        // LCP focal lengths are relative to the larger image dimension
+        const t = profile.focalLengthX
+            ? focalPx / (profile.focalLengthX * Math.max(width, height))
+            : 1;
+        Object.assign(result, {
+            coefficients: scaleBrown(profile.coefficients, t),
+            scale: 1,
+            source: "lcpProfile",
+        });
+    }
+
+    return result;
+}
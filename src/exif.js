@@ -1,101 +1,365 @@
-import { exiftool } from "exiftool-vendored";
+import { readFile } from "node:fs/promises";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { extname } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+    exiftool as defaultExiftool,
+    ExifTool,
+    DefaultExifToolOptions,
+    DefaultExiftoolArgs,
+} from "exiftool-vendored";
+// Not re-exported by the package: the task behind ExifTool#read(), reused so
+// that bytes piped to stdin are read with the same arguments and parsing
+import { ReadTask, ReadTaskOptionFields } from "exiftool-vendored/dist/ReadTask.js";
+import { parseExif, TIFF_RAW_EXTENSIONS } from "./exifparser.js";
+import { normaliseTags } from "./tags.js";
+
+// Active ExifTool instance; replaced by configureExifTool()
+let exiftool = defaultExiftool;
+
+// ExifTool instance for writeTags(), started on first use with the Pix4D
+// camera-model namespace defined
+let writer = null;
+const WRITER_CONFIG = fileURLToPath(new URL("../data/pix4d.config", import.meta.url));
+
+// Tags requested as raw numbers (ExifTool `-n`) rather than descriptive
+// strings, on top of exiftool-vendored's defaults.
+const NUMERIC_TAGS = [
+    ...DefaultExifToolOptions.numericTags,
+    "Orientation",
+    "FocalPlaneResolutionUnit",
+    "SampleTime",
+];
+
+// Tags taken from the samples of a video's timed metadata tracks
+const SAMPLE_TAGS = new Set([
+    "FocalLength",
+    "FocalLengthIn35mmFormat",
+    "DigitalZoomRatio",
+    "DigitalZoom",
+    "DiagonalFieldOfView",
+    "ElectronicImageStabilization",
+    "ElectronicStabilizationOn",
+    "FocusDistance",
+]);
+
+// ── Backends ─────────────────────────────────────────────────────────────────
+
+// A backend reads an image's tags under ExifTool's names, with numeric values
+// for the tags listed in NUMERIC_TAGS:
+//
+//   read(filePath)                  → Promise<object>      required
+//   readBuffer(bytes, { filename }) → Promise<object>      optional; binary
+//                                     tags as bytes. Without it, buffers and
+//                                     streams are read by ./exifparser.js
+//   readBufferSamples(bytes, { filename }) → Promise<{ time, tags }[]>
+//                                     optional; readSamples() for bytes
+//   readBinary(tag, filePath)       → Promise<Uint8Array>  optional; binary
+//                                     tags that read() only names
+//   readSamples(filePath)           → Promise<{ time, tags }[]>  optional;
+//                                     a video's timed metadata, one entry
+//                                     per sample in recording order
+//   end()                           → Promise<void>        optional
+//
+// "exiftool" (default) runs the ExifTool binary through exiftool-vendored and
+// supports virtually every format and maker note. "js" is the zero-dependency
+// parser in ./exifparser.js: JPEG, TIFF/DNG, PNG, HEIC and AVIF, no maker notes.
+export const EXIF_BACKENDS = ["exiftool", "js"];
+
+// Source file name ExifTool reports for input piped to its stdin
+const STDIN = "-";
+
+// ExifTool processes currently reading piped input, and the calls waiting
+// for one of the `maxProcs` slots to free up
+let stdinRunning = 0;
+const stdinWaiting = [];
+
+/**
+ * Run `fn` once fewer than `maxProcs` (of the shared ExifTool instance)
+ * stdin reads are in flight.
+ */
+async function withStdinSlot(fn) {
+    while (stdinRunning >= exiftool.options.maxProcs) {
+        await new Promise((resolve) => stdinWaiting.push(resolve));
+    }
+    stdinRunning++;
+    try {
+        return await fn();
+    } finally {
+        stdinRunning--;
+        stdinWaiting.shift()?.();
+    }
+}
 
 /**
- * Extract EXIF metadata relevant to FOV computation from an image file.
+ * Run ExifTool on bytes piped to its standard input (`-`) and collect its
+ * output. The shared exiftool processes read their commands from stdin, so
+ * each call starts a process of its own; at most `maxProcs` run at a time.
  *
- * Uses exiftool-vendored which wraps the real ExifTool binary and supports
- * virtually every image format (JPEG, HEIC, TIFF, PNG, DNG, CR2, NEF, ARW, …).
+ * @returns {Promise<{ stdout: Buffer, stderr: string }>}
+ */
+function exiftoolStdin(bytes, args, label) {
+    return withStdinSlot(async () => {
+        const child = spawn(await exiftool.exiftoolPath(), [...args, STDIN], { stdio: ["pipe", "pipe", "pipe"] });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on("data", (chunk) => stdout.push(chunk));
+        child.stderr.on("data", (chunk) => stderr.push(chunk));
+        // ExifTool may exit before reading everything (-fast)
+        child.stdin.on("error", () => {});
+        child.stdin.end(bytes);
+
+        try {
+            await once(child, "close");
+        } catch (err) {
+            throw new Error(`Cannot run ExifTool on "${label}": ${err.message}`, { cause: err });
+        }
+        const errors = Buffer.concat(stderr).toString().trim();
+        if (stdout.length === 0 && errors) {
+            throw new Error(`ExifTool cannot read "${label}": ${errors}`);
+        }
+        return { stdout: Buffer.concat(stdout), stderr: errors };
+    });
+}
+
+/**
+ * Read piped bytes like ExifTool#read() reads a file: the same arguments,
+ * built from the shared instance's options, and the same parsing of the
+ * `-json` output (dates, GPS, warnings).
+ *
+ * @param {Uint8Array} bytes
+ * @param {object} options – ReadTask options on top of the instance's
+ * @param {string} label – name used in error messages
+ * @returns {Promise<object>}
+ */
+async function readStdin(bytes, options, label) {
+    const defaults = Object.fromEntries(
+        ReadTaskOptionFields.filter((field) => field in exiftool.options).map((field) => [
+            field,
+            exiftool.options[field],
+        ])
+    );
+    const { args, options: taskOptions } = ReadTask.for(STDIN, { ...defaults, ...options });
+    // ReadTask.for() resolves the source to an absolute path; ExifTool
+    // reports piped input as "-"
+    const task = new ReadTask(STDIN, args.slice(0, -1), taskOptions);
+    const flags = taskOptions.ignoreMinorErrors ? ["-ignoreMinorErrors"] : [];
+
+    const { stdout, stderr } = await exiftoolStdin(bytes, [...task.args, ...flags], label);
+    for (const line of stderr ? stderr.split("\n") : []) {
+        (/^warning/i.test(line) ? task.warnings : task.errors).push(line);
+    }
+    try {
+        return task.parse(stdout.toString("utf8"));
+    } catch (err) {
+        throw new Error(`Cannot parse the ExifTool output for "${label}".`, { cause: err });
+    }
+}
+
+const BUILTIN_BACKENDS = {
+    exiftool: {
+        name: "exiftool",
+        read: (filePath) => exiftool.read(filePath, { numericTags: NUMERIC_TAGS }),
+        readBinary: (tag, filePath) => exiftool.extractBinaryTagToBuffer(tag, filePath),
+        readSamples: async (filePath) =>
+            groupSamples(
+                await exiftool.read(filePath, {
+                    numericTags: NUMERIC_TAGS,
+                    // -ee extracts embedded (timed) metadata, -G3 prefixes
+                    // each tag with the sub-document ("Doc1:") it came from
+                    readArgs: ["-ee", "-G3"],
+                })
+            ),
+        readBuffer: async (bytes, { filename }) => {
+            const label = filename ?? "<buffer>";
+            const tags = await readStdin(bytes, { numericTags: NUMERIC_TAGS }, label);
+
+            // ExifTool tells TIFF-based raws apart by the file extension,
+            // which it cannot see on stdin
+            const extension = extname(filename ?? "").slice(1).toLowerCase();
+            if (tags.FileType === "TIFF" && TIFF_RAW_EXTENSIONS.has(extension)) {
+                tags.FileType = extension.toUpperCase();
+            }
+            if (/\bWarpRectilinear\b/.test(String(tags.OpcodeList3 ?? ""))) {
+                const { stdout } = await exiftoolStdin(bytes, ["-b", "-OpcodeList3"], label);
+                tags.OpcodeList3 = new Uint8Array(stdout);
+            }
+            return tags;
+        },
+        readBufferSamples: async (bytes, { filename }) =>
+            groupSamples(
+                await readStdin(bytes, { numericTags: NUMERIC_TAGS, readArgs: ["-ee", "-G3"] }, filename ?? "<buffer>")
+            ),
+    },
+    js: {
+        name: "js",
+        read: async (filePath) => parseExif(await readFile(filePath), { filename: filePath }),
+        readBuffer: async (bytes, { filename }) => parseExif(bytes, { filename }),
+    },
+};
+
+let backend = BUILTIN_BACKENDS.exiftool;
+
+/**
+ * Split ExifTool `-G3` output into per-sample sets of SAMPLE_TAGS, ordered by
+ * document number. Samples without any of those tags (GPS, IMU, …) are
+ * dropped.
+ */
+function groupSamples(tags) {
+    const docs = new Map();
+    for (const [key, value] of Object.entries(tags)) {
+        const m = /^Doc(\d+):(\w+)$/.exec(key);
+        if (!m) continue;
+        const n = Number(m[1]);
+        if (!docs.has(n)) docs.set(n, { time: null, tags: {} });
+        if (m[2] === "SampleTime") docs.get(n).time = typeof value === "number" ? value : null;
+        else if (SAMPLE_TAGS.has(m[2])) docs.get(n).tags[m[2]] = value;
+    }
+    return [...docs.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, sample]) => sample)
+        .filter(({ tags }) => Object.keys(tags).length > 0);
+}
+
+/**
+ * Select the metadata backend used by extractExif() and friends.
  *
- * @param {string} filePath – absolute or relative path to an image file
- * @returns {Promise<object>} – cleaned metadata object
+ * @param {"exiftool"|"js"|{ read: (filePath: string) => Promise<object> }} nameOrBackend
+ *        – a built-in backend's name, or a custom backend object
  */
+export function setExifBackend(nameOrBackend) {
+    if (typeof nameOrBackend === "string") {
+        if (!BUILTIN_BACKENDS[nameOrBackend]) {
+            throw new Error(
+                `Unknown EXIF backend "${nameOrBackend}". Expected one of: ${EXIF_BACKENDS.join(", ")}.`
+            );
+        }
+        backend = BUILTIN_BACKENDS[nameOrBackend];
+    } else if (typeof nameOrBackend?.read === "function") {
+        backend = nameOrBackend;
+    } else {
+        throw new Error("An EXIF backend must have a read(filePath) method.");
+    }
+}
+
 /**
- * exiftool-vendored may return values as strings with units (e.g. "78 mm")
- * or as plain numbers. This helper extracts the numeric value in either case.
+ * The active metadata backend.
+ * @returns {object}
  */
-function parseNum(val) {
-    if (val == null) return null;
-    if (typeof val === "number") return val;
-    const n = parseFloat(String(val));
-    return isNaN(n) ? null : n;
+export function getExifBackend() {
+    return backend;
 }
 
+// ── Extraction ───────────────────────────────────────────────────────────────
+
+/**
+ * Extract EXIF metadata relevant to FOV computation from an image or video
+ * file, through the active backend (see setExifBackend()). For videos, the
+ * samples of timed metadata tracks are read too when the backend supports it.
+ *
+ * @param {string} filePath – absolute or relative path to an image or video
+ * @returns {Promise<object>} – cleaned metadata object (see ./tags.js)
+ */
 export async function extractExif(filePath) {
-    const raw = await exiftool.read(filePath);
+    let raw = await backend.read(filePath);
 
-    if (!raw) {
-        throw new Error(`No EXIF data found in "${filePath}".`);
+    // DNG warp opcodes are binary; ExifTool only names them, so the bytes
+    // are fetched separately when the list contains one
+    if (backend.readBinary && /\bWarpRectilinear\b/.test(String(raw?.OpcodeList3 ?? ""))) {
+        raw = { ...raw, OpcodeList3: await backend.readBinary("OpcodeList3", filePath) };
     }
 
-    // ── Normalise image dimensions ──────────────────────────────────────
-    const width =
-        parseNum(raw.ImageWidth) ?? parseNum(raw.ExifImageWidth) ?? parseNum(raw.PixelXDimension) ?? null;
-    const height =
-        parseNum(raw.ImageHeight) ?? parseNum(raw.ExifImageHeight) ?? parseNum(raw.PixelYDimension) ?? null;
+    const samples =
+        backend.readSamples && /^video\//i.test(String(raw?.MIMEType ?? ""))
+            ? await backend.readSamples(filePath)
+            : [];
+    return normaliseTags(raw, filePath, samples);
+}
 
-    if (!width || !height) {
-        throw new Error(
-            "Could not determine image pixel dimensions from EXIF data."
-        );
-    }
+// ── In-memory input ──────────────────────────────────────────────────────────
 
-    // ── Orientation (default 1 = normal) ────────────────────────────────
-    let orientation = 1;
-    if (raw.Orientation != null) {
-        const val = raw.Orientation;
-        if (typeof val === "number") {
-            orientation = val;
-        } else {
-            // exiftool-vendored returns descriptive strings like
-            // "Horizontal (normal)", "Rotate 90 CW", "Rotate 270 CW", etc.
-            const str = String(val);
-            if (/90/.test(str)) orientation = 6;
-            else if (/270/.test(str)) orientation = 8;
-            else if (/180/.test(str)) orientation = 3;
-            else orientation = 1;
-        }
+/**
+ * Extract metadata from an image held in memory. See extractExif().
+ *
+ * The built-in ExifTool backend reads the bytes from stdin; backends that
+ * only read files fall back to the JavaScript parser (./exifparser.js).
+ * Nothing is written to disk.
+ *
+ * @param {Uint8Array} buffer – complete image file contents
+ * @param {{ filename?: string }} [options] – original file name, used for its
+ *        extension only
+ * @returns {Promise<object>}
+ */
+export async function extractExifFromBuffer(buffer, { filename } = {}) {
+    const label = filename ?? "<buffer>";
+    if (!backend.readBuffer) {
+        return normaliseTags(parseExif(buffer, { filename }), label);
     }
 
-    // ── Focal lengths ───────────────────────────────────────────────────
-    const focalLength = parseNum(raw.FocalLength);
-    const focalLengthIn35mm = parseNum(raw.FocalLengthIn35mmFormat);
-
-    // ── Crop-factor helpers ─────────────────────────────────────────────
-    const scaleFactor35efl = parseNum(raw.ScaleFactor35efl);
-
-    // Focal-plane resolution (fallback for computing sensor size)
-    const focalPlaneXRes = parseNum(raw.FocalPlaneXResolution);
-    const focalPlaneYRes = parseNum(raw.FocalPlaneYResolution);
-    const focalPlaneUnit = parseNum(raw.FocalPlaneResolutionUnit);
-
-    const digitalZoomRatio = parseNum(raw.DigitalZoomRatio);
-
-    // Focus / subject distance (metres) — used for close-focus FOV correction
-    const focusDistance =
-        parseNum(raw.FocusDistance) ??
-        parseNum(raw.SubjectDistance) ??
-        parseNum(raw.ApproximateFocusDistance) ??
-        null;
-
-    return {
-        width,
-        height,
-        orientation,
-        focalLength,
-        focalLengthIn35mm,
-        scaleFactor35efl,
-        focalPlaneXRes,
-        focalPlaneYRes,
-        focalPlaneUnit,
-        digitalZoomRatio,
-        focusDistance,
-    };
+    const raw = await backend.readBuffer(buffer, { filename });
+    const samples =
+        backend.readBufferSamples && /^video\//i.test(String(raw?.MIMEType ?? ""))
+            ? await backend.readBufferSamples(buffer, { filename })
+            : [];
+    return normaliseTags(raw, label, samples);
 }
 
 /**
- * Shut down the exiftool child process.
+ * Extract metadata from an image delivered as a stream. See extractExif().
+ * The stream is read to its end first.
+ *
+ * @param {import("node:stream").Readable|AsyncIterable<Uint8Array>} stream
+ *        – complete image file contents
+ * @param {{ filename?: string }} [options] – original file name, used for its
+ *        extension only
+ * @returns {Promise<object>}
+ */
+export async function extractExifFromStream(stream, { filename } = {}) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return extractExifFromBuffer(Buffer.concat(chunks), { filename });
+}
+
+// ── Writing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Write tags to an image or XMP sidecar with ExifTool. Values are written as
+ * raw numbers (ExifTool `-n`); a sidecar that does not exist yet is created.
+ * Besides ExifTool's groups, `XMP-Camera:*` names the Pix4D camera-model tags
+ * defined in data/pix4d.config.
+ *
+ * @param {string} filePath – image or `.xmp` file
+ * @param {object} tags – tag names (optionally group-prefixed) to values
+ * @param {{ backup?: boolean }} [options] – `backup` (default true) keeps
+ *        the previous file as `<file>_original`, as ExifTool does by default
+ * @returns {Promise<string[]>} – ExifTool warnings
+ */
+export async function writeTags(filePath, tags, { backup = true } = {}) {
+    writer ??= new ExifTool({ exiftoolArgs: ["-config", WRITER_CONFIG, ...DefaultExiftoolArgs] });
+    const { warnings = [] } = await writer.write(filePath, tags, {
+        writeArgs: backup ? ["-n"] : ["-n", "-overwrite_original"],
+    });
+    return warnings;
+}
+
+/**
+ * Replace the shared ExifTool instance, e.g. to change how many exiftool
+ * processes may run in parallel. The previous instance is shut down first.
+ *
+ * @param {{ maxProcs?: number }} options – passed to exiftool-vendored's
+ *        ExifTool constructor
+ */
+export async function configureExifTool(options) {
+    await exiftool.end();
+    exiftool = new ExifTool(options);
+}
+
+/**
+ * Shut down the exiftool child process (and a custom backend's resources).
  * Call this when you're done processing to allow the Node process to exit cleanly.
  */
 export async function shutdown() {
-    await exiftool.end();
+    await Promise.all([exiftool.end(), writer?.end(), backend.end?.()]);
+    writer = null;
 }
@@ -0,0 +1,366 @@
+/**
+ * Export analysed intrinsics to the camera files used by downstream tools.
+ *
+ * Supported formats:
+ *   • colmap  – COLMAP `cameras.txt` (PINHOLE or SIMPLE_RADIAL)
+ *   • opencv  – OpenCV `FileStorage` YAML (camera_matrix + distortion)
+ *   • opensfm – OpenSfM `camera_models.json`
+ *   • kalibr  – Kalibr camchain YAML
+ *
+ * All exporters take an array of `analyze()` results. Images that share the
+ * same camera, lens, focal length and visual size are grouped into a single
+ * camera entry. Intrinsics are written for the visual (post-orientation)
+ * frame, so downstream tools must read images with EXIF orientation applied.
+ *
+ * Rectilinear cameras are written as pinhole models and equidistant fisheye
+ * cameras as each tool's equidistant fisheye model. Other projections have no
+ * equivalent in these formats and are rejected.
+ */
+
+import { writeFile } from "node:fs/promises";
+
+// Default output file name per format
+export const EXPORT_FORMATS = {
+    colmap: "cameras.txt",
+    opencv: "camera.yaml",
+    opensfm: "camera_models.json",
+    kalibr: "camchain.yaml",
+};
+
+// Camera models toColmap() can write
+export const COLMAP_MODELS = ["PINHOLE", "SIMPLE_RADIAL"];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Format a number for text output: at most 6 decimals, no trailing zeros.
+ */
+function fmt(n) {
+    return String(Number(n.toFixed(6)));
+}
+
+/**
+ * Same as fmt() but always includes a decimal point, which keeps YAML readers
+ * from typing whole numbers as integers.
+ */
+function fmtFloat(n) {
+    const s = fmt(n);
+    return /[.e]/.test(s) ? s : `${s}.0`;
+}
+
+/**
+ * Key identifying a physical camera configuration.
+ * Focal lengths are rounded so float noise does not split groups.
+ */
+function groupKey(r) {
+    return [
+        r.cameraId ?? [r.make, r.model, r.lensModel].join("/"),
+        r.focalLength != null ? r.focalLength.toFixed(2) : "",
+        r.focalLengthIn35mm.toFixed(2),
+        r.visualWidth,
+        r.visualHeight,
+        r.projection ?? "rectilinear",
+    ].join("|");
+}
+
+/**
+ * Whether a camera uses the equidistant fisheye model. Throws for projections
+ * the export formats cannot represent.
+ */
+function isFisheye(cam) {
+    if (cam.projection === "rectilinear") return false;
+    if (cam.projection === "equidistant") return true;
+    throw new Error(
+        `Cannot export camera ${cam.id} with "${cam.projection}" projection: ` +
+        "only rectilinear and equidistant lenses are supported."
+    );
+}
+
+/**
+ * Group analysis results into shared cameras.
+ *
+ * Cameras are numbered from 1 in order of first appearance. The intrinsics of
+ * the first image in each group are used for the whole group.
+ *
+ * @param {object[]} results – analyze() results
+ * @returns {{ id: number, key: string, make: string|null, model: string|null,
+ *             lensModel: string|null, width: number, height: number,
+ *             projection: string, intrinsics: object, files: string[] }[]}
+ */
+export function groupCameras(results) {
+    const groups = new Map();
+
+    for (const r of results) {
+        const key = groupKey(r);
+        let group = groups.get(key);
+        if (!group) {
+            group = {
+                id: groups.size + 1,
+                key,
+                make: r.make ?? null,
+                model: r.model ?? null,
+                lensModel: r.lensModel ?? null,
+                width: r.visualWidth,
+                height: r.visualHeight,
+                projection: r.projection ?? "rectilinear",
+                intrinsics: r.intrinsics,
+                files: [],
+            };
+            groups.set(key, group);
+        }
+        group.files.push(r.file);
+    }
+
+    return [...groups.values()];
+}
+
+// ── COLMAP ───────────────────────────────────────────────────────────────────
+
+/**
+ * Render a COLMAP `cameras.txt`.
+ *
+ * COLMAP places pixel centres at +0.5, which matches our principal point
+ * convention, so cx/cy are written unchanged. Fisheye cameras use the
+ * matching fisheye model (`OPENCV_FISHEYE` / `SIMPLE_RADIAL_FISHEYE`).
+ *
+ * @param {object[]} results – analyze() results
+ * @param {{ model?: "PINHOLE"|"SIMPLE_RADIAL" }} [options]
+ * @returns {string}
+ */
+export function toColmap(results, { model = "PINHOLE" } = {}) {
+    if (!COLMAP_MODELS.includes(model)) {
+        throw new Error(
+            `Unsupported COLMAP camera model "${model}". Expected ${COLMAP_MODELS.join(" or ")}.`
+        );
+    }
+
+    const cameras = groupCameras(results);
+    const lines = [
+        "# Camera list with one line of data per camera:",
+        "#   CAMERA_ID, MODEL, WIDTH, HEIGHT, PARAMS[]",
+        `# Number of cameras: ${cameras.length}`,
+    ];
+
+    for (const cam of cameras) {
+        const { fx, fy, cx, cy } = cam.intrinsics;
+        const fisheye = isFisheye(cam);
+        let name;
+        let params;
+        if (model === "PINHOLE") {
+            name = fisheye ? "OPENCV_FISHEYE" : "PINHOLE";
+            params = fisheye ? [fx, fy, cx, cy, 0, 0, 0, 0] : [fx, fy, cx, cy];
+        } else {
+            name = fisheye ? "SIMPLE_RADIAL_FISHEYE" : "SIMPLE_RADIAL";
+            params = [(fx + fy) / 2, cx, cy, 0];
+        }
+        lines.push(
+            `${cam.id} ${name} ${cam.width} ${cam.height} ${params.map(fmt).join(" ")}`
+        );
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+// ── OpenCV FileStorage YAML ──────────────────────────────────────────────────
+
+function opencvMatrix(indent, name, rows, cols, data) {
+    return [
+        `${indent}${name}: !!opencv-matrix`,
+        `${indent}   rows: ${rows}`,
+        `${indent}   cols: ${cols}`,
+        `${indent}   dt: d`,
+        `${indent}   data: [ ${data.map(fmtFloat).join(", ")} ]`,
+    ];
+}
+
+function opencvCamera(cam, indent) {
+    const { fx, fy, cx, cy } = cam.intrinsics;
+    // OpenCV places pixel centres at integer coordinates
+    const K = [fx, 0, cx - 0.5, 0, fy, cy - 0.5, 0, 0, 1];
+    // cv::fisheye takes four coefficients, the standard model five
+    const fisheye = isFisheye(cam);
+    const D = fisheye ? [0, 0, 0, 0] : [0, 0, 0, 0, 0];
+    return [
+        `${indent}image_width: ${cam.width}`,
+        `${indent}image_height: ${cam.height}`,
+        `${indent}camera_model: ${fisheye ? "fisheye" : "pinhole"}`,
+        ...opencvMatrix(indent, "camera_matrix", 3, 3, K),
+        ...opencvMatrix(indent, "distortion_coefficients", 1, D.length, D),
+    ];
+}
+
+/**
+ * Render an OpenCV `FileStorage` YAML document.
+ *
+ * `camera_model` is `fisheye` for cameras meant for the `cv::fisheye` API.
+ *
+ * A single camera is written at the top level (readable with
+ * `fs["camera_matrix"]`); several cameras are nested under `camera_<id>` keys.
+ *
+ * @param {object[]} results – analyze() results
+ * @returns {string}
+ */
+export function toOpenCvYaml(results) {
+    const cameras = groupCameras(results);
+    const lines = ["%YAML:1.0", "---"];
+
+    if (cameras.length === 1) {
+        lines.push(...opencvCamera(cameras[0], ""));
+    } else {
+        for (const cam of cameras) {
+            lines.push(`camera_${cam.id}:`);
+            lines.push(...opencvCamera(cam, "   "));
+        }
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+// ── OpenSfM ──────────────────────────────────────────────────────────────────
+
+/**
+ * Build the OpenSfM `camera_models.json` object.
+ *
+ * OpenSfM normalises focal lengths and principal-point offsets by the larger
+ * image dimension. Square-pixel, centred cameras use the `perspective` (or
+ * `fisheye`) model; other rectilinear cameras are written as `brown`.
+ *
+ * @param {object[]} results – analyze() results
+ * @returns {object}
+ */
+export function toOpenSfm(results) {
+    const models = {};
+
+    for (const cam of groupCameras(results)) {
+        const { fx, fy, cx, cy } = cam.intrinsics;
+        const size = Math.max(cam.width, cam.height);
+        const centred = cx === cam.width / 2 && cy === cam.height / 2;
+        const simple = fx === fy && centred;
+        let projection = simple ? "perspective" : "brown";
+        if (isFisheye(cam)) {
+            if (!simple) {
+                throw new Error(
+                    `Cannot export camera ${cam.id} to OpenSfM: its fisheye model ` +
+                    "requires square pixels and a centred principal point."
+                );
+            }
+            projection = "fisheye";
+        }
+
+        const id = [
+            "v2",
+            [cam.make, cam.model].filter(Boolean).join(" ").toLowerCase() ||
+                "unknown",
+            cam.width,
+            cam.height,
+            projection,
+            fmt(fx / size),
+        ].join(" ");
+
+        models[id] =
+            projection !== "brown"
+                ? {
+                      projection_type: projection,
+                      width: cam.width,
+                      height: cam.height,
+                      focal: fx / size,
+                      k1: 0,
+                      k2: 0,
+                  }
+                : {
+                      projection_type: projection,
+                      width: cam.width,
+                      height: cam.height,
+                      focal_x: fx / size,
+                      focal_y: fy / size,
+                      c_x: (cx - cam.width / 2) / size,
+                      c_y: (cy - cam.height / 2) / size,
+                      k1: 0,
+                      k2: 0,
+                      k3: 0,
+                      p1: 0,
+                      p2: 0,
+                  };
+    }
+
+    return models;
+}
+
+// ── Kalibr ───────────────────────────────────────────────────────────────────
+
+/**
+ * Render a Kalibr camchain YAML with one `camN` entry per camera group.
+ * Fisheye cameras use the `equidistant` distortion model.
+ *
+ * Extrinsics between cameras are unknown and therefore omitted.
+ *
+ * @param {object[]} results – analyze() results
+ * @returns {string}
+ */
+export function toKalibr(results) {
+    const lines = [];
+
+    groupCameras(results).forEach((cam, i) => {
+        const { fx, fy, cx, cy } = cam.intrinsics;
+        // Kalibr (aslam) places pixel centres at integer coordinates
+        const intr = [fx, fy, cx - 0.5, cy - 0.5];
+        lines.push(
+            `cam${i}:`,
+            `  camera_model: pinhole`,
+            `  intrinsics: [${intr.map(fmtFloat).join(", ")}]`,
+            `  distortion_model: ${isFisheye(cam) ? "equidistant" : "radtan"}`,
+            `  distortion_coeffs: [0.0, 0.0, 0.0, 0.0]`,
+            `  resolution: [${cam.width}, ${cam.height}]`,
+            `  rostopic: /cam${i}/image_raw`
+        );
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+// ── Dispatch ─────────────────────────────────────────────────────────────────
+
+/**
+ * Render results in the given export format.
+ *
+ * @param {object[]} results – analyze() results
+ * @param {"colmap"|"opencv"|"opensfm"|"kalibr"} format
+ * @param {{ colmapModel?: "PINHOLE"|"SIMPLE_RADIAL" }} [options]
+ * @returns {string}
+ */
+export function renderExport(results, format, { colmapModel } = {}) {
+    if (results.length === 0) {
+        throw new Error("Nothing to export: no image was analysed successfully.");
+    }
+
+    switch (format) {
+        case "colmap":
+            return toColmap(results, { model: colmapModel });
+        case "opencv":
+            return toOpenCvYaml(results);
+        case "opensfm":
+            return JSON.stringify(toOpenSfm(results), null, 2) + "\n";
+        case "kalibr":
+            return toKalibr(results);
+        default:
+            throw new Error(
+                `Unknown export format "${format}". Expected one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.`
+            );
+    }
+}
+
+/**
+ * Render results and write them to disk.
+ *
+ * @param {object[]} results – analyze() results
+ * @param {string} format – export format (see EXPORT_FORMATS)
+ * @param {{ outPath?: string, colmapModel?: string }} [options] – outPath
+ *        defaults to the format's conventional file name in the cwd
+ * @returns {Promise<string>} – the path written
+ */
+export async function writeExport(results, format, { outPath, colmapModel } = {}) {
+    const text = renderExport(results, format, { colmapModel });
+    const path = outPath ?? EXPORT_FORMATS[format];
+    await writeFile(path, text, "utf8");
+    return path;
+}
@@ -0,0 +1,214 @@
+/**
+ * Input expansion for the batch CLI.
+ *
+ * Turns a mix of file paths, directories and glob patterns into a sorted,
+ * de-duplicated list of image and video files, applying include/exclude filters.
+ *
+ * Glob syntax:  `*` any run of characters except `/`, `**` any number of
+ * directories, `?` one character, `[abc]` a character class, `{a,b}`
+ * alternatives.
+ */
+
+import { readdir, stat } from "node:fs/promises";
+import { join, extname, basename, relative, sep } from "node:path";
+
+export const SUPPORTED_EXTENSIONS = new Set([
+    ".jpg",
+    ".jpeg",
+    ".png",
+    ".tiff",
+    ".tif",
+    ".heic",
+    ".heif",
+    ".avif",
+    ".webp",
+    ".dng",
+    ".cr2",
+    ".nef",
+    ".arw",
+    ".mp4",
+    ".mov",
+    ".m4v",
+    ".insv",
+]);
+
+const GLOB_CHARS = /[*?[\]{}]/;
+
+// ── Glob matching ─────────────────────────────────────────────────────────────
+
+function toPosix(path) {
+    return sep === "/" ? path : path.split(sep).join("/");
+}
+
+/**
+ * Compile a glob pattern into an anchored regular expression.
+ *
+ * @param {string} pattern – glob pattern using `/` as separator
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let re = "";
+    let inGroup = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === "*") {
+            if (pattern[i + 1] === "*") {
+                // "**/" matches zero or more directories, a trailing "**" anything
+                if (pattern[i + 2] === "/") {
+                    re += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    re += ".*";
+                    i += 1;
+                }
+            } else {
+                re += "[^/]*";
+            }
+        } else if (c === "?") {
+            re += "[^/]";
+        } else if (c === "[") {
+            const end = pattern.indexOf("]", i + 1);
+            if (end === -1) {
+                re += "\\[";
+            } else {
+                let cls = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+                if (cls.startsWith("!")) cls = "^" + cls.slice(1);
+                re += `[${cls}]`;
+                i = end;
+            }
+        } else if (c === "{") {
+            re += "(?:";
+            inGroup++;
+        } else if (c === "}" && inGroup > 0) {
+            re += ")";
+            inGroup--;
+        } else if (c === "," && inGroup > 0) {
+            re += "|";
+        } else {
+            re += c.replace(/[.+^$()|\\]/g, "\\$&");
+        }
+    }
+
+    return new RegExp(`^${re}$`);
+}
+
+/**
+ * Build a predicate from glob patterns. Patterns containing `/` are matched
+ * against the whole path, others against the file name only.
+ *
+ * @param {string[]} patterns
+ * @returns {(path: string) => boolean} – true when any pattern matches
+ */
+export function createMatcher(patterns) {
+    const compiled = patterns.map((p) => ({
+        re: globToRegExp(toPosix(p)),
+        byName: !p.includes("/"),
+    }));
+
+    return (path) => {
+        const posix = toPosix(path);
+        return compiled.some(({ re, byName }) =>
+            re.test(byName ? basename(posix) : posix)
+        );
+    };
+}
+
+// ── Directory walking ─────────────────────────────────────────────────────────
+
+async function walk(dir, recursive, out) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) await walk(path, recursive, out);
+        } else if (entry.isFile()) {
+            out.push(path);
+        }
+    }
+    return out;
+}
+
+/**
+ * Static directory prefix of a glob pattern ("photos/2024/*.jpg" → "photos/2024").
+ */
+function globBase(pattern) {
+    const parts = toPosix(pattern).split("/");
+    const firstGlob = parts.findIndex((p) => GLOB_CHARS.test(p));
+    const base = parts.slice(0, firstGlob).join("/");
+    return base || (pattern.startsWith("/") ? "/" : ".");
+}
+
+function hasImageExtension(path, extensions) {
+    return extensions.has(extname(path).toLowerCase());
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Expand file, directory and glob inputs into a list of image and video files.
+ *
+ * • Files are taken as given, whatever their extension.
+ * • Directories contribute every file with a supported extension
+ *   (recursively unless `recursive` is false).
+ * • Glob patterns are matched against paths below their static prefix and
+ *   also limited to supported extensions.
+ *
+ * Include patterns, when given, keep only matching files; exclude patterns
+ * then drop matching files.
+ *
+ * @param {string[]} inputs
+ * @param {{ recursive?: boolean, include?: string[], exclude?: string[],
+ *           extensions?: Set<string> }} [options]
+ * @returns {Promise<{ files: string[], missing: string[] }>} – `missing`
+ *          lists inputs that matched nothing
+ */
+export async function expandInputs(
+    inputs,
+    {
+        recursive = true,
+        include = [],
+        exclude = [],
+        extensions = SUPPORTED_EXTENSIONS,
+    } = {}
+) {
+    const found = new Set();
+    const missing = [];
+
+    for (const input of inputs) {
+        const info = await stat(input).catch(() => null);
+        let matches = [];
+
+        if (info?.isFile()) {
+            matches = [input];
+        } else if (info?.isDirectory()) {
+            matches = (await walk(input, recursive, [])).filter((p) =>
+                hasImageExtension(p, extensions)
+            );
+        } else if (GLOB_CHARS.test(input)) {
+            const base = globBase(input);
+            const re = globToRegExp(toPosix(input).replace(/^\.\//, ""));
+            const baseInfo = await stat(base).catch(() => null);
+            if (baseInfo?.isDirectory()) {
+                matches = (await walk(base, true, [])).filter((p) => {
+                    const candidate = input.startsWith("/")
+                        ? toPosix(p)
+                        : toPosix(relative(".", p));
+                    return re.test(candidate) && hasImageExtension(p, extensions);
+                });
+            }
+        }
+
+        if (matches.length === 0) missing.push(input);
+        for (const m of matches) found.add(m);
+    }
+
+    const isIncluded = include.length > 0 ? createMatcher(include) : () => true;
+    const isExcluded = exclude.length > 0 ? createMatcher(exclude) : () => false;
+
+    const files = [...found]
+        .filter((f) => isIncluded(f) && !isExcluded(f))
+        .sort();
+
+    return { files, missing };
+}
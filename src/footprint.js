@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+
+/**
+ * Ground footprint and ground sample distance of aerial images.
+ *
+ * Combines the intrinsics of analyze() with the position and pose a drone
+ * records (GPS position and altitude, DJI `RelativeAltitude`, gimbal
+ * pitch / yaw / roll or `CameraElevationAngle`) to project the image onto
+ * flat ground:
+ *
+ *   • the ground sample distance (GSD, metres per pixel) at the image
+ *     centre, and its range over the frame
+ *   • the ground points of the four image corners, as east / north offsets
+ *     from the camera and as latitude / longitude
+ *   • the footprint polygon as a GeoJSON Feature
+ *
+ * The ground is a level plane `height` metres below the camera; terrain
+ * relief and residual lens distortion are ignored.
+ *
+ * Usage:   node src/footprint.js <file|dir|glob>... [options]
+ *
+ *   --height <m>             height above ground (default: RelativeAltitude)
+ *   --ground-altitude <m>    ground altitude; height = GPS altitude − this
+ *   --out <file>             write the GeoJSON here instead of stdout
+ *   --projection <model>     force a lens projection model
+ *   --sensor-db <file>       register a user sensor database
+ *   --config <file>          per-camera overrides (see ./overrides.js); default:
+ *                            fov.config.json / .yaml in the working directory
+ *
+ * Exit codes:  0 – every file succeeded
+ *              1 – at least one file failed or an input matched nothing
+ *              2 – usage error, or no image to process
+ */
+
+import { parseArgs } from "node:util";
+import { writeFile } from "node:fs/promises";
+import { analyze } from "./index.js";
+import { shutdown } from "./exif.js";
+import { loadSensorDatabase } from "./sensors.js";
+import { loadOverrideConfig, findOverrideConfig } from "./overrides.js";
+import { PROJECTIONS } from "./compute.js";
+import { createCamera } from "./camera.js";
+import { expandInputs } from "./files.js";
+
+// WGS 84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_E2 = 6.69437999014e-3;
+
+const DEG = Math.PI / 180;
+
+// ── Geometry ─────────────────────────────────────────────────────────────────
+
+/**
+ * Rotation from camera coordinates to local east / north / up.
+ *
+ * At zero pitch, yaw and roll the camera looks level to the north with its
+ * x axis pointing east. Roll turns it about the optical axis (clockwise
+ * seen from behind), pitch tilts the optical axis up (negative: down),
+ * yaw turns it clockwise from north.
+ */
+function cameraToEnu(pitch, yaw, roll) {
+    const [sp, cp] = [Math.sin(pitch * DEG), Math.cos(pitch * DEG)];
+    const [sy, cy] = [Math.sin(yaw * DEG), Math.cos(yaw * DEG)];
+    const [sr, cr] = [Math.sin(roll * DEG), Math.cos(roll * DEG)];
+
+    const mul = (A, B) => A.map((row) => B[0].map((_, j) => row.reduce((acc, a, k) => acc + a * B[k][j], 0)));
+    const rollM = [
+        [cr, -sr, 0],
+        [sr, cr, 0],
+        [0, 0, 1],
+    ];
+    // Camera axes (right, down, forward) → (east, north, up) when level
+    const level = [
+        [1, 0, 0],
+        [0, 0, 1],
+        [0, -1, 0],
+    ];
+    const pitchM = [
+        [1, 0, 0],
+        [0, cp, -sp],
+        [0, sp, cp],
+    ];
+    const yawM = [
+        [cy, sy, 0],
+        [-sy, cy, 0],
+        [0, 0, 1],
+    ];
+    return mul(yawM, mul(pitchM, mul(level, rollM)));
+}
+
+/**
+ * Where the ray through a pixel meets the ground, as east / north offsets
+ * (metres) from the point below the camera; null above the horizon.
+ */
+function groundPoint(R, camera, height, u, v) {
+    const d = camera.pixelToRay(u, v);
+    const [e, n, up] = R.map((row) => row[0] * d[0] + row[1] * d[1] + row[2] * d[2]);
+    if (!(up < 0)) return null;
+    const t = height / -up;
+    return { east: e * t, north: n * t, distance: t };
+}
+
+/**
+ * Ground area covered by one pixel around (u, v), as the side of a square
+ * of that area (metres).
+ */
+function groundSampleDistance(R, camera, height, u, v) {
+    const p = groundPoint(R, camera, height, u, v);
+    const px = groundPoint(R, camera, height, u + 1, v);
+    const py = groundPoint(R, camera, height, u, v + 1);
+    if (!p || !px || !py) return null;
+    const [ax, ay] = [px.east - p.east, px.north - p.north];
+    const [bx, by] = [py.east - p.east, py.north - p.north];
+    return Math.sqrt(Math.abs(ax * by - ay * bx));
+}
+
+/**
+ * Latitude / longitude of an east / north offset from a position, on the
+ * WGS 84 ellipsoid (local tangent-plane approximation).
+ */
+function offsetPosition(latitude, longitude, east, north) {
+    const s = Math.sin(latitude * DEG);
+    const w = 1 - WGS84_E2 * s * s;
+    const meridian = (WGS84_A * (1 - WGS84_E2)) / w ** 1.5;
+    const normal = WGS84_A / Math.sqrt(w);
+    return {
+        latitude: latitude + north / meridian / DEG,
+        longitude: longitude + east / (normal * Math.cos(latitude * DEG)) / DEG,
+    };
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Height of the camera above the ground.
+ *
+ * @param {object} geo – `geo` of an analyze() result
+ * @param {{ height?: number, groundAltitude?: number }} [options]
+ * @returns {{ height: number, source: string }}
+ */
+export function resolveHeight(geo, { height, groundAltitude } = {}) {
+    if (height != null) return { height, source: "option" };
+    if (groundAltitude != null) {
+        if (geo?.altitude == null) {
+            throw new Error("A ground altitude was given, but the image records no GPS altitude.");
+        }
+        return { height: geo.altitude - groundAltitude, source: "groundAltitude" };
+    }
+    if (geo?.relativeAltitude != null) {
+        return { height: geo.relativeAltitude, source: "RelativeAltitude" };
+    }
+    throw new Error(
+        "Cannot determine the height above ground: the image records no RelativeAltitude; " +
+            "pass a height or the ground altitude."
+    );
+}
+
+/**
+ * Project an image onto level ground.
+ *
+ * Missing pose angles default to a nadir view (pitch −90°), north up
+ * (yaw 0°) and a level horizon (roll 0°); a warning names the defaults
+ * used for pitch and yaw.
+ *
+ * @param {object} result – analyze() result
+ * @param {{ height?: number, groundAltitude?: number }} [options] – height
+ *        above ground in metres, or the ground's altitude to subtract from
+ *        the GPS altitude; default: the recorded RelativeAltitude
+ * @returns {{ height: number, heightSource: string,
+ *             pose: { pitch: number, yaw: number, roll: number },
+ *             gsd: number, gsdRange: { min: number, max: number },
+ *             centre: { east: number, north: number, distance: number,
+ *                       latitude: number|null, longitude: number|null },
+ *             corners: { east: number, north: number, distance: number,
+ *                        latitude: number|null, longitude: number|null }[],
+ *             area: number, geojson: object|null, warnings: string[] }}
+ *          – distances in metres, GSD in metres per pixel, area in m²;
+ *          corners top-left, top-right, bottom-right, bottom-left of the
+ *          visual frame; geojson null without a GPS position
+ */
+export function computeFootprint(result, options = {}) {
+    const geo = result.geo ?? {};
+    const { height, source: heightSource } = resolveHeight(result.geo, options);
+    if (!(height > 0)) {
+        throw new Error(`The camera must be above the ground (height ${height} m).`);
+    }
+
+    const warnings = [];
+    if (geo.pitch == null) warnings.push("no gimbal pitch recorded; assuming a nadir view");
+    if (geo.yaw == null) warnings.push("no gimbal yaw recorded; assuming the image top faces north");
+    const pose = { pitch: geo.pitch ?? -90, yaw: geo.yaw ?? 0, roll: geo.roll ?? 0 };
+
+    const R = cameraToEnu(pose.pitch, pose.yaw, pose.roll);
+    const camera = createCamera(result, { distortion: false });
+    const { width: w, height: h, intrinsics } = camera;
+    const at = (u, v) => groundPoint(R, camera, height, u, v);
+
+    const pixels = [
+        [0, 0],
+        [w, 0],
+        [w, h],
+        [0, h],
+    ];
+    const corners = pixels.map(([u, v]) => at(u, v));
+    if (corners.some((c) => c === null)) {
+        throw new Error(
+            `The image reaches above the horizon (pitch ${pose.pitch}°); its footprint is unbounded.`
+        );
+    }
+    const centre = at(intrinsics.cx, intrinsics.cy);
+
+    // Sample the GSD one pixel inside each corner
+    const gsdAt = (u, v) => groundSampleDistance(R, camera, height, u, v);
+    const gsd = gsdAt(intrinsics.cx, intrinsics.cy);
+    const samples = [gsd, gsdAt(0, 0), gsdAt(w - 1, 0), gsdAt(w - 1, h - 1), gsdAt(0, h - 1)];
+
+    // Shoelace formula
+    const area =
+        Math.abs(
+            corners.reduce((acc, p, i) => {
+                const q = corners[(i + 1) % corners.length];
+                return acc + p.east * q.north - q.east * p.north;
+            }, 0)
+        ) / 2;
+
+    const located = geo.latitude != null && geo.longitude != null;
+    const position = (p) =>
+        located
+            ? { ...p, ...offsetPosition(geo.latitude, geo.longitude, p.east, p.north) }
+            : { ...p, latitude: null, longitude: null };
+
+    const footprint = {
+        height,
+        heightSource,
+        pose,
+        gsd,
+        gsdRange: { min: Math.min(...samples), max: Math.max(...samples) },
+        centre: position(centre),
+        corners: corners.map(position),
+        area,
+        geojson: null,
+        warnings,
+    };
+    if (located) footprint.geojson = footprintFeature(footprint, result.file);
+    return footprint;
+}
+
+/**
+ * GeoJSON Feature of a footprint: a polygon with [longitude, latitude]
+ * positions (RFC 7946), counter-clockwise, plus the file, GSD and height.
+ *
+ * @param {object} footprint – from computeFootprint(), with a GPS position
+ * @param {string|null} [file]
+ * @returns {object}
+ */
+export function footprintFeature(footprint, file = null) {
+    let ring = footprint.corners.map((c) => [c.longitude, c.latitude]);
+    // The image corners run clockwise on the ground when seen from above,
+    // unless the image is mirrored
+    const signedArea = ring.reduce((acc, p, i) => {
+        const q = ring[(i + 1) % ring.length];
+        return acc + p[0] * q[1] - q[0] * p[1];
+    }, 0);
+    if (signedArea < 0) ring = ring.reverse();
+
+    return {
+        type: "Feature",
+        geometry: { type: "Polygon", coordinates: [[...ring, ring[0]]] },
+        properties: {
+            file,
+            gsd: footprint.gsd,
+            height: footprint.height,
+            area: footprint.area,
+        },
+    };
+}
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
+
+const USAGE =
+    "Usage: node src/footprint.js <file|dir|glob>... [--height <m>] " +
+    "[--ground-altitude <m>] [--out <file>] [--projection <model>] " +
+    "[--sensor-db <file>] [--config <file>]";
+
+const EXIT_FAILURES = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parseCli() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                height: { type: "string" },
+                "ground-altitude": { type: "string" },
+                out: { type: "string" },
+                projection: { type: "string" },
+                "sensor-db": { type: "string" },
+                config: { type: "string" },
+            },
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    const { values, positionals } = args;
+
+    if (positionals.length === 0) throw new UsageError("No input given.");
+
+    const height = values.height != null ? Number(values.height) : null;
+    if (height != null && !(height > 0)) {
+        throw new UsageError(`--height must be a positive number of metres, got "${values.height}".`);
+    }
+    const groundAltitude = values["ground-altitude"] != null ? Number(values["ground-altitude"]) : null;
+    if (groundAltitude != null && !Number.isFinite(groundAltitude)) {
+        throw new UsageError(
+            `--ground-altitude must be a number of metres, got "${values["ground-altitude"]}".`
+        );
+    }
+    if (height != null && groundAltitude != null) {
+        throw new UsageError("Pass either --height or --ground-altitude, not both.");
+    }
+
+    if (values.projection && !PROJECTIONS.includes(values.projection)) {
+        throw new UsageError(`Unknown projection "${values.projection}".`);
+    }
+
+    return {
+        inputs: positionals,
+        height,
+        groundAltitude,
+        outPath: values.out,
+        projection: values.projection,
+        sensorDb: values["sensor-db"],
+        config: values.config,
+    };
+}
+
+async function main() {
+    let opts;
+    try {
+        opts = parseCli();
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        console.error(`Error: ${err.message}`);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    if (opts.sensorDb) await loadSensorDatabase(opts.sensorDb);
+    const configPath = opts.config ?? (await findOverrideConfig());
+    if (configPath) await loadOverrideConfig(configPath);
+
+    const { files, missing } = await expandInputs(opts.inputs);
+    for (const input of missing) console.error(`⚠ No image matched "${input}"`);
+    if (files.length === 0) {
+        console.error("Error: no image to process.");
+        return EXIT_USAGE;
+    }
+
+    const features = [];
+    let failures = 0;
+    try {
+        for (const file of files) {
+            try {
+                const result = await analyze(file, { projection: opts.projection });
+                const footprint = computeFootprint(result, {
+                    height: opts.height ?? undefined,
+                    groundAltitude: opts.groundAltitude ?? undefined,
+                });
+                if (!footprint.geojson) throw new Error("The image records no GPS position.");
+                for (const warning of footprint.warnings) console.error(`⚠ ${file}: ${warning}`);
+                features.push(footprint.geojson);
+            } catch (err) {
+                console.error(`⚠ ${file}: ${err.message}`);
+                failures++;
+            }
+        }
+    } finally {
+        await shutdown();
+    }
+
+    const geojson = JSON.stringify({ type: "FeatureCollection", features }, null, 2) + "\n";
+    if (opts.outPath) {
+        await writeFile(opts.outPath, geojson);
+        console.error(`Wrote ${features.length} footprint(s) to ${opts.outPath}`);
+    } else {
+        process.stdout.write(geojson);
+    }
+
+    return failures > 0 || missing.length > 0 ? EXIT_FAILURES : 0;
+}
+
+// Only run CLI when executed directly (not when imported)
+const isDirectRun =
+    process.argv[1] &&
+    import.meta.url.endsWith(process.argv[1].replace(/.*\//, ""));
+if (isDirectRun) {
+    main().then(
+        (code) => {
+            process.exitCode = code;
+        },
+        (err) => {
+            console.error(`Error: ${err.message}`);
+            process.exitCode = EXIT_USAGE;
+        }
+    );
+}
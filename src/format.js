@@ -0,0 +1,182 @@
+/**
+ * Machine-readable CLI output (JSON, NDJSON, CSV).
+ *
+ * Every analysed file becomes one record:
+ *
+ *   { schemaVersion: 1, status: "ok",    ...analyze() result }
+ *   { schemaVersion: 1, status: "error", file, error: { type, message } }
+ *
+ * The schema is additive: fields may be added in later versions, but
+ * existing fields keep their name, type and meaning unless schemaVersion
+ * changes. CSV flattens records into the fixed CSV_COLUMNS list, so its
+ * column order is stable too.
+ */
+
+export const OUTPUT_FORMATS = ["table", "json", "ndjson", "csv"];
+
+export const SCHEMA_VERSION = 1;
+
+// CSV columns as dot paths into a record. Append only.
+export const CSV_COLUMNS = [
+    "schemaVersion",
+    "status",
+    "file",
+    "error.type",
+    "error.message",
+    "make",
+    "model",
+    "lensModel",
+    "rawWidth",
+    "rawHeight",
+    "visualWidth",
+    "visualHeight",
+    "orientation",
+    "focalLength",
+    "focalLengthIn35mm",
+    "opticalFocalLengthIn35mm",
+    "digitalZoomRatio",
+    "scaleFactor35efl",
+    "fPixelDiagonal",
+    "intrinsics.fx",
+    "intrinsics.fy",
+    "intrinsics.cx",
+    "intrinsics.cy",
+    "projection",
+    "fovMode",
+    "hfov",
+    "vfov",
+    "dfov",
+    "focusDistance",
+    "provenance.f35mm.tier",
+    "confidence",
+    "warnings",
+    "adjustments",
+    "focusBreathing.model",
+    "focusBreathing.factor",
+    "distortion.source",
+    "distortion.coefficients.k1",
+    "distortion.coefficients.k2",
+    "distortion.coefficients.k3",
+    "distortion.coefficients.p1",
+    "distortion.coefficients.p2",
+    "distortion.correctedInCamera",
+    "video.duration",
+    "video.lensMode",
+    "video.stabilisation",
+    "cameraId",
+    "provenance.overrides",
+    "geo.latitude",
+    "geo.longitude",
+    "geo.altitude",
+    "geo.relativeAltitude",
+    "geo.pitch",
+    "geo.yaw",
+    "geo.roll",
+];
+
+// ── Records ───────────────────────────────────────────────────────────────────
+
+/**
+ * Record for a successfully analysed file.
+ *
+ * @param {object} result – analyze() result
+ * @returns {object}
+ */
+export function resultRecord(result) {
+    return { schemaVersion: SCHEMA_VERSION, status: "ok", ...result };
+}
+
+/**
+ * Record for a file that could not be analysed.
+ *
+ * @param {string} file
+ * @param {Error} err
+ * @returns {object}
+ */
+export function errorRecord(file, err) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        status: "error",
+        file,
+        error: { type: err.code ?? err.name ?? "Error", message: err.message },
+    };
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+function getPath(obj, path) {
+    return path.split(".").reduce((o, key) => (o == null ? undefined : o[key]), obj);
+}
+
+function csvCell(value) {
+    if (value == null) return "";
+    let str;
+    if (Array.isArray(value) && value.every((v) => typeof v === "string")) {
+        str = value.join("; ");
+    } else if (typeof value === "object") {
+        str = JSON.stringify(value);
+    } else {
+        str = String(value);
+    }
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Header line for CSV output.
+ * @returns {string}
+ */
+export function csvHeader() {
+    return CSV_COLUMNS.join(",");
+}
+
+/**
+ * One CSV line for a record. String lists (warnings) are joined with "; ",
+ * other nested values are JSON-encoded.
+ *
+ * @param {object} record
+ * @returns {string}
+ */
+export function csvRow(record) {
+    return CSV_COLUMNS.map((col) => csvCell(getPath(record, col))).join(",");
+}
+
+// ── Writers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Create a writer that emits records in a machine-readable format.
+ *
+ *   • json   – one JSON array, written by end()
+ *   • ndjson – one line per record, written as soon as it arrives
+ *   • csv    – header, then one line per record as it arrives
+ *
+ * @param {"json"|"ndjson"|"csv"} format
+ * @param {{ write: (chunk: string) => void }} [stream=process.stdout]
+ * @returns {{ write: (record: object) => void, end: () => void }}
+ */
+export function createRecordWriter(format, stream = process.stdout) {
+    switch (format) {
+        case "json": {
+            const records = [];
+            return {
+                write: (record) => records.push(record),
+                end: () => stream.write(JSON.stringify(records, null, 2) + "\n"),
+            };
+        }
+        case "ndjson":
+            return {
+                write: (record) => stream.write(JSON.stringify(record) + "\n"),
+                end: () => {},
+            };
+        case "csv": {
+            stream.write(csvHeader() + "\n");
+            return {
+                write: (record) => stream.write(csvRow(record) + "\n"),
+                end: () => {},
+            };
+        }
+        default:
+            throw new Error(
+                `Unknown output format "${format}". Expected one of: ${OUTPUT_FORMATS.join(", ")}.`
+            );
+    }
+}
@@ -3,137 +3,352 @@
 /**
  * FOV Estimation CLI
  *
- * Usage:   node src/index.js <image-path>
+ * Usage:   node src/index.js <image-path>... [--format table|json|ndjson|csv]
+ *                                          [--export <format>] [--out <file>]
  *
- * Extracts EXIF metadata from the supplied image and prints:
+ * Extracts EXIF metadata from the supplied images and videos and prints:
  *   • Diagonal pixel focal length (f_pixel)
  *   • Horizontal, Vertical, and Diagonal FOV in degrees
+ *
+ * --format selects machine-readable output instead of the text table (see
+ * ./format.js for the record schema). With --export, the intrinsics of all
+ * images are also written as a camera file for COLMAP, OpenCV, OpenSfM or
+ * Kalibr (see ./export.js).
+ *
+ * Per-camera corrections are read from --config, or from a fov.config.json /
+ * .yaml in the working directory (see ./overrides.js).
  */
 
-import { extractExif, shutdown } from "./exif.js";
+import { parseArgs } from "node:util";
+import {
+    extractExif,
+    extractExifFromBuffer,
+    extractExifFromStream,
+    setExifBackend,
+    shutdown,
+    EXIF_BACKENDS,
+} from "./exif.js";
+import { EXPORT_FORMATS, writeExport } from "./export.js";
+import { loadSensorDatabase } from "./sensors.js";
+import { loadBreathingDatabase } from "./breathing.js";
+import { loadLcpProfiles } from "./distortion.js";
+import { loadOverrideConfig, findOverrideConfig } from "./overrides.js";
 import {
-    getF35mm,
-    adjustForOrientation,
-    computeFov,
-    computeDiagonalPixelFocalLength,
-    closeFocusCorrectionFactor,
-} from "./compute.js";
+    OUTPUT_FORMATS,
+    createRecordWriter,
+    resultRecord,
+    errorRecord,
+} from "./format.js";
+import { PROJECTIONS, FOCUS_BREATHING_MODELS } from "./compute.js";
+import { analyzeMetadata } from "./core.js";
+
+export { analyzeTags } from "./core.js";
+export { createCamera } from "./camera.js";
 
 /**
- * Analyse an image and return all FOV / focal-length metrics.
+ * Analyse an image or video and return all FOV / focal-length metrics.
+ *
+ * FOV is computed from the 35 mm-equivalent diagonal projected onto the
+ * image's visual aspect ratio.  Pass `fovMode: "exiftool"` to use the fixed
+ * 36 × 24 mm frame instead, matching ExifTool's approach.
+ *
+ * `focusBreathing` selects how the focal length changes with the recorded
+ * focus distance: "none" (infinity focus, default), "thin-lens" or "table"
+ * (the lens's registered breathing profile, see ./breathing.js, or the one
+ * passed as `breathingProfile`).  The factor applies to every output — FOV,
+ * f_pixel, intrinsics and the effective 35 mm focal length.
+ * `applyCloseFocusCorrection: true` is a shorthand for "thin-lens".
+ *
+ * The lens projection model (rectilinear or one of the fisheye mappings) is
+ * detected from the lens/projection tags unless forced via `projection`.
+ *
+ * Digital zoom and crop tags narrow the result to the region that was
+ * actually captured; the applied corrections are listed in `adjustments`.
+ *
+ * `distortion` holds Brown–Conrady coefficients for the visual frame, from
+ * DNG opcodes, maker notes or a registered LCP profile (see
+ * ./distortion.js), and whether the camera already applied the correction.
+ *
+ * Videos (MP4, MOV, INSV) report the video track's dimensions and rotation,
+ * and the FOV of the recorded lens mode, stabilisation crop and zoom where
+ * the camera records it. `video.series` lists the FOV per timestamp when
+ * timed metadata shows the focal length changing during recording.
+ *
+ * `provenance` names the tag behind every input and the f_35mm tier used,
+ * with cross-check deltas to the other tiers; `confidence` and `warnings`
+ * summarise how far the result can be trusted.
  *
- * FOV is computed using the 35 mm full-frame model (36 × 24 mm sensor),
- * matching ExifTool's approach.  An optional close-focus correction can
- * be applied to account for the effective focal length increase when the
- * subject is at a finite distance (thin-lens equation).
+ * `geo` holds the GPS position and altitude and the gimbal pose of aerial
+ * images (see ./footprint.js), or null when none is recorded.
  *
- * @param {string}  filePath – path to an image file
- * @param {{ applyCloseFocusCorrection?: boolean }} [options]
+ * Registered per-camera overrides (see ./overrides.js) correct the inputs
+ * of matching cameras; the rules applied are listed in
+ * `provenance.overrides`.
+ *
+ * createCamera() (see ./camera.js) turns the result into a camera model
+ * mapping pixels to viewing directions and back.
+ *
+ * `cache`, a metadata cache opened with openMetadataCache() (see
+ * ./cache.js), answers for files that have not changed since it last read
+ * them.
+ *
+ * @param {string}  filePath – path to an image or video file
+ * @param {{ applyCloseFocusCorrection?: boolean, fovMode?: "aspect"|"exiftool",
+ *           projection?: string, applyDigitalZoom?: boolean,
+ *           applyCrop?: boolean, focusBreathing?: "none"|"thin-lens"|"table",
+ *           breathingProfile?: object, cache?: object }} [options]
  * @returns {Promise<object>} – result object with all computed values
  */
-export async function analyze(filePath, { applyCloseFocusCorrection = false } = {}) {
-    const meta = await extractExif(filePath);
+export async function analyze(filePath, options) {
+    const meta = options?.cache ? await options.cache.extract(filePath) : await extractExif(filePath);
+    return analyzeMetadata(meta, filePath, options);
+}
 
-    const f35mm = getF35mm(meta);
+/**
+ * Analyse an image held in memory, e.g. an upload. Gives the same result as
+ * analyze() for the same bytes, with `file` set to `filename` (or null).
+ *
+ * @param {Uint8Array} buffer – complete image file contents
+ * @param {{ filename?: string }} [options] – original file name, plus any
+ *        analyze() option. The extension helps identify the format.
+ * @returns {Promise<object>}
+ */
+export async function analyzeBuffer(buffer, { filename, ...options } = {}) {
+    const meta = await extractExifFromBuffer(buffer, { filename });
+    return analyzeMetadata(meta, filename ?? null, options);
+}
 
-    // Raw pixel dimensions (as stored in the file)
-    const rawWidth = meta.width;
-    const rawHeight = meta.height;
+/**
+ * Analyse an image delivered as a stream (e.g. an HTTP request body). Gives
+ * the same result as analyze() for the same bytes, with `file` set to
+ * `filename` (or null).
+ *
+ * @param {import("node:stream").Readable|AsyncIterable<Uint8Array>} stream
+ * @param {{ filename?: string }} [options] – original file name, plus any
+ *        analyze() option. The extension helps identify the format.
+ * @returns {Promise<object>}
+ */
+export async function analyzeStream(stream, { filename, ...options } = {}) {
+    const meta = await extractExifFromStream(stream, { filename });
+    return analyzeMetadata(meta, filename ?? null, options);
+}
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
 
-    // Visual dimensions after correcting for EXIF orientation
-    const { width, height } = adjustForOrientation(
-        rawWidth,
-        rawHeight,
-        meta.orientation
+const USAGE =
+    "Usage: node src/index.js <image-path>... " +
+    "[--format table|json|ndjson|csv] " +
+    "[--export colmap|opencv|opensfm|kalibr] [--out <file>] " +
+    "[--colmap-model PINHOLE|SIMPLE_RADIAL] [--projection <model>] " +
+    "[--sensor-db <file>] [--focus-breathing none|thin-lens|table] " +
+    "[--breathing-db <file>] [--lcp <file|dir>] [--backend exiftool|js] " +
+    "[--config <file>]";
+
+function printResult(result) {
+    console.log();
+    console.log("┌─────────────────────────────────────────────────┐");
+    console.log("│           FOV Estimation Results                │");
+    console.log("├─────────────────────────────────────────────────┤");
+    console.log(`│  File:               ${result.file}`);
+    console.log(`│  Camera:             ${result.cameraId}`);
+    console.log(
+        `│  Raw dimensions:     ${result.rawWidth} × ${result.rawHeight} px`
+    );
+    console.log(`│  Orientation:        ${result.orientation}`);
+    console.log(
+        `│  Visual dimensions:  ${result.visualWidth} × ${result.visualHeight} px`
+    );
+    console.log(
+        `│  Focal length:       ${result.focalLength?.toFixed(2) ?? "N/A"} mm`
+    );
+    console.log(
+        `│  Focal length (35mm):${result.focalLengthIn35mm.toFixed(2)} mm`
+    );
+    console.log(
+        `│  Scale Factor:      ${result.scaleFactor35efl?.toFixed(2) ?? "N/A"}`
+    );
+    if (result.adjustments.length > 0) {
+        const applied = result.adjustments.map((a) =>
+            a.type === "crop"
+                ? `crop ${a.width} × ${a.height} (${a.source})`
+                : `digital zoom ×${a.ratio}`
+        );
+        console.log(`│  Adjustments:        ${applied.join(", ")}`);
+    }
+    console.log("├─────────────────────────────────────────────────┤");
+    console.log(
+        `│  f_pixel (diagonal): ${result.fPixelDiagonal.toFixed(2)} px`
     );
+    console.log("├─────────────────────────────────────────────────┤");
+    console.log(`│  HFOV:               ${result.hfov.toFixed(2)}°`);
+    console.log(`│  VFOV:               ${result.vfov.toFixed(2)}°`);
+    console.log(`│  DFOV:               ${result.dfov.toFixed(2)}°`);
+    console.log(`│  Projection:         ${result.projection}`);
+    if (result.distortion.coefficients) {
+        const { k1, k2, k3, p1, p2 } = result.distortion.coefficients;
+        const note = result.distortion.correctedInCamera ? ", corrected in camera" : "";
+        console.log(
+            `│  Distortion:         k ${[k1, k2, k3].map((k) => k.toFixed(4)).join(" ")}` +
+                `  p ${[p1, p2].map((p) => p.toFixed(4)).join(" ")}`
+        );
+        console.log(
+            `│                      (${result.distortion.source}${note})`
+        );
+    }
+    if (result.video) {
+        const mode = [result.video.lensMode, result.video.stabilisation].filter(Boolean);
+        console.log(
+            `│  Video:              ${result.video.duration?.toFixed(2) ?? "?"} s` +
+                (mode.length > 0 ? `, ${mode.join(", ")}` : "")
+        );
+        if (result.video.series) {
+            const f35 = result.video.series.map((s) => s.focalLengthIn35mm);
+            console.log(
+                `│  Focal range (35mm): ${Math.min(...f35).toFixed(2)}–${Math.max(...f35).toFixed(2)} mm` +
+                    ` (${result.video.series.length} samples)`
+            );
+        }
+    }
+    if (result.focusBreathing.model !== "none") {
+        console.log(
+            `│  Focus breathing:    ${result.focusBreathing.model} ×${result.focusBreathing.factor.toFixed(4)}`
+        );
+    }
+    console.log("├─────────────────────────────────────────────────┤");
+    console.log(
+        `│  f_35mm source:      ${result.provenance.f35mm.tier} (${result.confidence} confidence)`
+    );
+    for (const o of result.provenance.overrides) {
+        console.log(`│  Override:           ${o.name ?? o.source ?? "rule"} (${o.fields.join(", ")})`);
+    }
+    for (const warning of result.warnings) {
+        console.log(`│  ⚠ ${warning}`);
+    }
+    console.log("└─────────────────────────────────────────────────┘");
+    console.log();
+}
 
-    const isRotated = meta.orientation >= 5 && meta.orientation <= 8;
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                export: { type: "string" },
+                out: { type: "string" },
+                "colmap-model": { type: "string" },
+                projection: { type: "string" },
+                "sensor-db": { type: "string" },
+                format: { type: "string", default: "table" },
+                "focus-breathing": { type: "string", default: "none" },
+                "breathing-db": { type: "string" },
+                lcp: { type: "string" },
+                backend: { type: "string", default: "exiftool" },
+                config: { type: "string" },
+            },
+        });
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    }
 
-    // Close-focus correction: when subject is at finite distance the
-    // effective focal length increases, narrowing the FOV (thin-lens eq).
-    const corr = applyCloseFocusCorrection
-        ? closeFocusCorrectionFactor(meta.focalLength, meta.focusDistance)
-        : 1;
+    const { positionals: filePaths, values } = args;
 
-    let { hfov, vfov, dfov } = computeFov(f35mm * corr);
+    if (filePaths.length === 0) {
+        console.error(USAGE);
+        process.exit(1);
+    }
 
-    // Swap HFOV/VFOV for portrait orientations so the labels match the
-    // visual on-screen directions.
-    if (isRotated) {
-        [hfov, vfov] = [vfov, hfov];
+    if (values.export && !(values.export in EXPORT_FORMATS)) {
+        console.error(`Error: unknown export format "${values.export}".`);
+        console.error(USAGE);
+        process.exit(1);
     }
 
-    // Diagonal pixel focal length (invariant under rotation)
-    const fPixel = computeDiagonalPixelFocalLength(f35mm, rawWidth, rawHeight);
-
-    return {
-        file: filePath,
-        rawWidth,
-        rawHeight,
-        visualWidth: width,
-        visualHeight: height,
-        orientation: meta.orientation,
-        focalLength: meta.focalLength,
-        focalLengthIn35mm: f35mm,
-        scaleFactor35efl: meta.scaleFactor35efl,
-        fPixelDiagonal: fPixel,
-        hfov,
-        vfov,
-        dfov,
-        focusDistance: meta.focusDistance,
-    };
-}
+    if (values.projection && !PROJECTIONS.includes(values.projection)) {
+        console.error(`Error: unknown projection "${values.projection}".`);
+        console.error(USAGE);
+        process.exit(1);
+    }
 
-// ── CLI ──────────────────────────────────────────────────────────────────────
+    if (!FOCUS_BREATHING_MODELS.includes(values["focus-breathing"])) {
+        console.error(
+            `Error: unknown focus-breathing model "${values["focus-breathing"]}".`
+        );
+        console.error(USAGE);
+        process.exit(1);
+    }
 
-async function main() {
-    const filePath = process.argv[2];
+    if (!OUTPUT_FORMATS.includes(values.format)) {
+        console.error(`Error: unknown output format "${values.format}".`);
+        console.error(USAGE);
+        process.exit(1);
+    }
 
-    if (!filePath) {
-        console.error("Usage: node src/index.js <image-path>");
+    if (!EXIF_BACKENDS.includes(values.backend)) {
+        console.error(`Error: unknown EXIF backend "${values.backend}".`);
+        console.error(USAGE);
         process.exit(1);
     }
+    setExifBackend(values.backend);
+
+    // Machine-readable formats own stdout; status messages go to stderr
+    const table = values.format === "table";
+    const writer = table ? null : createRecordWriter(values.format);
+    const log = table ? console.log : console.error;
+
+    const results = [];
+    let failed = false;
 
     try {
-        const result = await analyze(filePath);
+        if (values["sensor-db"]) {
+            await loadSensorDatabase(values["sensor-db"]);
+        }
+        if (values["breathing-db"]) {
+            await loadBreathingDatabase(values["breathing-db"]);
+        }
+        if (values.lcp) {
+            await loadLcpProfiles(values.lcp);
+        }
+        const configPath = values.config ?? (await findOverrideConfig());
+        if (configPath) {
+            await loadOverrideConfig(configPath);
+        }
 
-        console.log();
-        console.log("┌─────────────────────────────────────────────────┐");
-        console.log("│           FOV Estimation Results                │");
-        console.log("├─────────────────────────────────────────────────┤");
-        console.log(`│  File:               ${result.file}`);
-        console.log(
-            `│  Raw dimensions:     ${result.rawWidth} × ${result.rawHeight} px`
-        );
-        console.log(`│  Orientation:        ${result.orientation}`);
-        console.log(
-            `│  Visual dimensions:  ${result.visualWidth} × ${result.visualHeight} px`
-        );
-        console.log(
-            `│  Focal length:       ${result.focalLength?.toFixed(2) ?? "N/A"} mm`
-        );
-        console.log(
-            `│  Focal length (35mm):${result.focalLengthIn35mm.toFixed(2)} mm`
-        );
-        console.log(
-            `│  Scale Factor:      ${result.scaleFactor35efl?.toFixed(2) ?? "N/A"}`
-        );
-        console.log("├─────────────────────────────────────────────────┤");
-        console.log(
-            `│  f_pixel (diagonal): ${result.fPixelDiagonal.toFixed(2)} px`
-        );
-        console.log("├─────────────────────────────────────────────────┤");
-        console.log(`│  HFOV:               ${result.hfov.toFixed(2)}°`);
-        console.log(`│  VFOV:               ${result.vfov.toFixed(2)}°`);
-        console.log(`│  DFOV:               ${result.dfov.toFixed(2)}°`);
-        console.log("└─────────────────────────────────────────────────┘");
-        console.log();
+        for (const filePath of filePaths) {
+            try {
+                const result = await analyze(filePath, {
+                    projection: values.projection,
+                    focusBreathing: values["focus-breathing"],
+                });
+                results.push(result);
+                if (table) printResult(result);
+                else writer.write(resultRecord(result));
+            } catch (err) {
+                if (table) console.error(`Error (${filePath}): ${err.message}`);
+                else writer.write(errorRecord(filePath, err));
+                failed = true;
+            }
+        }
+
+        writer?.end();
+
+        if (values.export) {
+            const written = await writeExport(results, values.export, {
+                outPath: values.out,
+                colmapModel: values["colmap-model"],
+            });
+            log(`Wrote ${values.export} cameras to ${written}`);
+        }
     } catch (err) {
         console.error(`Error: ${err.message}`);
-        process.exit(1);
+        failed = true;
     } finally {
         await shutdown();
     }
+
+    if (failed) process.exit(1);
 }
 
 // Only run CLI when executed directly (not when imported)
@@ -0,0 +1,291 @@
+/**
+ * Per-camera overrides and corrections.
+ *
+ * Some bodies record systematically wrong focal data. Configuration rules,
+ * matched by camera identity, correct the inputs of analyze(); every applied
+ * rule is listed in the result's `provenance.overrides`.
+ *
+ * Configuration format (JSON, or the same structure in YAML):
+ *
+ *   {
+ *     "version": 1,
+ *     "overrides": [
+ *       { "name": "Mavic 2 Pro",
+ *         "match": { "make": "DJI", "model": "L1D-20c" },
+ *         "focalLengthIn35mm": 28 },
+ *       { "match": { "make": "Acme", "serial": "A1234" },
+ *         "sensor": { "width": 6.17, "height": 4.55 },
+ *         "principalPointOffset": { "x": 12.5, "y": -4 } }
+ *     ]
+ *   }
+ *
+ *   name                  – optional; reported in the provenance
+ *   match                 – at least one of:
+ *     make                – matched case-insensitively against the start of
+ *                           `Make`
+ *     model               – matched case-insensitively against `Model`,
+ *                           ignoring a leading make
+ *     lens                – matched case-insensitively as a substring of the
+ *                           lens model
+ *     serial              – equal to the body serial number
+ *   focalLengthIn35mm     – force the 35 mm-equivalent focal length (not
+ *                           scaled by focalLengthScale)
+ *   sensor                – force the sensor size (mm, landscape); the
+ *                           35 mm equivalent becomes FocalLength × its crop
+ *                           factor
+ *   focalLengthScale      – multiply the optical 35 mm equivalent derived
+ *                           from recorded tags
+ *   principalPointOffset  – shift the principal point (pixels of the stored
+ *                           image, before orientation)
+ *   projection            – force the lens projection model
+ *
+ * All matching rules apply in order; a later rule replaces the fields an
+ * earlier one set. A forced focalLengthIn35mm takes precedence over a forced
+ * sensor. Numbers may also be given as numeric strings. Without `--config`,
+ * the CLIs load the first of CONFIG_FILES found in the working directory.
+ */
+
+import { PROJECTIONS } from "./compute.js";
+import { parseYaml } from "./yaml.js";
+
+const SUPPORTED_VERSION = 1;
+
+// Configuration files looked for in the working directory, in order
+export const CONFIG_FILES = ["fov.config.json", "fov.config.yaml", "fov.config.yml"];
+
+const MATCH_KEYS = ["make", "model", "lens", "serial"];
+
+// Override fields, in the order they are reported
+const OVERRIDE_FIELDS = [
+    "focalLengthIn35mm",
+    "sensor",
+    "focalLengthScale",
+    "principalPointOffset",
+    "projection",
+];
+
+// Registered rules, in order of application
+const rules = [];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function normalise(str) {
+    return String(str ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * A configured number, also written as a numeric string (e.g. a quoted YAML
+ * scalar); NaN for anything else.
+ */
+function toNumber(value) {
+    if (typeof value === "number") return value;
+    return typeof value === "string" && value.trim() !== "" ? Number(value) : NaN;
+}
+
+/**
+ * Validate a rule and return a normalised copy.
+ * @private
+ */
+function validateRule(entry, source) {
+    const { name, match } = entry ?? {};
+    const label = name ? `Override "${name}"` : "Override";
+
+    if (match == null || typeof match !== "object" || !MATCH_KEYS.some((k) => match[k] != null)) {
+        throw new Error(`${label} must match on at least one of: ${MATCH_KEYS.join(", ")}.`);
+    }
+    const unknown = Object.keys(entry).filter(
+        (k) => k !== "name" && k !== "match" && !OVERRIDE_FIELDS.includes(k)
+    );
+    if (unknown.length > 0) {
+        throw new Error(`${label} has unknown field(s): ${unknown.join(", ")}.`);
+    }
+    if (!OVERRIDE_FIELDS.some((k) => entry[k] != null)) {
+        throw new Error(`${label} overrides nothing.`);
+    }
+
+    const rule = {
+        name: name != null ? String(name) : null,
+        source,
+        match: Object.fromEntries(
+            MATCH_KEYS.filter((k) => match[k] != null).map((k) => [k, String(match[k])])
+        ),
+    };
+
+    if (entry.focalLengthIn35mm != null) {
+        const f35mm = toNumber(entry.focalLengthIn35mm);
+        if (!(f35mm > 0)) {
+            throw new Error(`${label}: focalLengthIn35mm must be a positive number (mm).`);
+        }
+        rule.focalLengthIn35mm = f35mm;
+    }
+    if (entry.sensor != null) {
+        const width = toNumber(entry.sensor.width);
+        const height = toNumber(entry.sensor.height);
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error(`${label}: sensor must have a positive width and height (mm).`);
+        }
+        rule.sensor = { width, height };
+    }
+    if (entry.focalLengthScale != null) {
+        const scale = toNumber(entry.focalLengthScale);
+        if (!(scale > 0)) {
+            throw new Error(`${label}: focalLengthScale must be a positive number.`);
+        }
+        rule.focalLengthScale = scale;
+    }
+    if (entry.principalPointOffset != null) {
+        const x = toNumber(entry.principalPointOffset.x ?? 0);
+        const y = toNumber(entry.principalPointOffset.y ?? 0);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            throw new Error(`${label}: principalPointOffset must have numeric x and y (px).`);
+        }
+        rule.principalPointOffset = { x, y };
+    }
+    if (entry.projection != null) {
+        if (!PROJECTIONS.includes(entry.projection)) {
+            throw new Error(`${label}: unknown projection "${entry.projection}".`);
+        }
+        rule.projection = entry.projection;
+    }
+    return rule;
+}
+
+/**
+ * Rules of a configuration object, checking its version.
+ * @private
+ */
+function configRules(config) {
+    if (Array.isArray(config)) return config;
+
+    if (config?.version !== SUPPORTED_VERSION || !Array.isArray(config.overrides)) {
+        throw new Error(
+            `Unsupported override configuration: expected { "version": ${SUPPORTED_VERSION}, "overrides": [...] }.`
+        );
+    }
+    return config.overrides;
+}
+
+/**
+ * Whether a rule's match describes the camera.
+ * @private
+ */
+function matches({ make, model, lens, serial }, meta) {
+    const metaMake = normalise(meta.make);
+    if (make != null && !(meta.make && metaMake.startsWith(normalise(make)))) return false;
+
+    if (model != null) {
+        if (!meta.model) return false;
+        const prefix = make != null ? normalise(make) : metaMake;
+        const stripMake = (m) => (prefix && m.startsWith(prefix + " ") ? m.slice(prefix.length + 1) : m);
+        if (stripMake(normalise(model)) !== stripMake(normalise(meta.model))) return false;
+    }
+
+    if (lens != null && !normalise(meta.lensModel).includes(normalise(lens))) return false;
+    if (serial != null && String(meta.serialNumber ?? "").trim() !== serial.trim()) return false;
+    return true;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Collect the overrides that apply to a camera.
+ *
+ * @param {object} meta – normalised metadata from extractExif()
+ * @returns {{ focalLengthIn35mm?: number, sensor?: { width: number, height: number },
+ *             focalLengthScale?: number, principalPointOffset?: { x: number, y: number },
+ *             projection?: string,
+ *             applied: { name: string|null, source: string|null, fields: string[] }[]
+ *          }|null} – the effective fields, and the rules they came from
+ *          (fields replaced by a later rule are not listed); null when no
+ *          rule matches
+ */
+export function resolveOverrides(meta) {
+    const matched = rules.filter((rule) => matches(rule.match, meta));
+    if (matched.length === 0) return null;
+
+    const effective = {};
+    const owner = {};
+    for (const rule of matched) {
+        for (const field of OVERRIDE_FIELDS) {
+            if (rule[field] == null) continue;
+            effective[field] = rule[field];
+            owner[field] = rule;
+        }
+    }
+
+    const applied = matched
+        .map((rule) => ({
+            name: rule.name,
+            source: rule.source,
+            fields: OVERRIDE_FIELDS.filter((f) => owner[f] === rule),
+        }))
+        .filter((a) => a.fields.length > 0);
+
+    return { ...effective, applied };
+}
+
+/**
+ * Register override rules, applied after those registered before.
+ *
+ * Accepts a single rule, an array of rules, or a configuration object in
+ * the documented format.
+ *
+ * @param {object|object[]} entries
+ * @param {{ source?: string }} [options] – where the rules came from, for
+ *        the provenance (e.g. the configuration file)
+ */
+export function registerOverrides(entries, { source = null } = {}) {
+    const list = Array.isArray(entries) || entries?.overrides ? configRules(entries) : [entries];
+    rules.push(...list.map((entry) => validateRule(entry, source)));
+}
+
+/**
+ * Load a configuration file (JSON, or YAML by its `.yaml` / `.yml`
+ * extension) and register its rules.
+ *
+ * @param {string} filePath
+ * @returns {Promise<number>} – number of rules registered
+ */
+export async function loadOverrideConfig(filePath) {
+    // Imported on demand: the rest of this module also runs in browsers
+    const { readFile } = await import("node:fs/promises");
+    let config;
+    try {
+        const text = await readFile(filePath, "utf8");
+        config = /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Cannot read override configuration "${filePath}": ${err.message}`);
+    }
+    const entries = configRules(config);
+    registerOverrides(entries, { source: filePath });
+    return entries.length;
+}
+
+/**
+ * Find the default configuration file in a directory.
+ *
+ * @param {string} [dir] – defaults to the working directory
+ * @returns {Promise<string|null>} – path of the first of CONFIG_FILES that
+ *          exists, or null
+ */
+export async function findOverrideConfig(dir = process.cwd()) {
+    const { access } = await import("node:fs/promises");
+    const { join } = await import("node:path");
+    for (const name of CONFIG_FILES) {
+        const path = join(dir, name);
+        try {
+            await access(path);
+            return path;
+        } catch {
+            // try the next name
+        }
+    }
+    return null;
+}
+
+/**
+ * Remove all registered rules.
+ */
+export function clearRegisteredOverrides() {
+    rules.length = 0;
+}
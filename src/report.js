@@ -0,0 +1,332 @@
+/**
+ * Summary report of a batch run, for dataset QA.
+ *
+ * Groups analyze() results by camera module, lens and focal length and
+ * gives per group:
+ *
+ *   • the number of images
+ *   • min / median / max of HFOV, VFOV, DFOV and f_pixel
+ *   • a histogram of the f_35mm tier used (see resolveF35mm() in
+ *     ./compute.js)
+ *
+ * along with the tier histogram of the whole run, its outliers and its
+ * failures, grouped by error type and message. Outliers are images whose
+ *
+ *   • f_pixel is far from their group's median, e.g. a resized copy
+ *   • crop factor disagrees with their camera module's (groupByCameraId()
+ *     in ./cameras.js), e.g. a 35 mm tag that describes another zoom level
+ *
+ * formatBatchReport() renders the report as a text table, JSON or Markdown;
+ * formatOutliers() renders the outliers alone.
+ *
+ * No Node.js APIs are used, so the module also runs in browsers.
+ */
+
+import { F35MM_TIERS } from "./compute.js";
+import { groupByCameraId } from "./cameras.js";
+import { range, medianOutliers } from "./stats.js";
+
+export const REPORT_FORMATS = ["table", "json", "markdown"];
+
+// Relative f_pixel deviation from the group median that makes an outlier
+const OUTLIER_TOLERANCE = 0.05;
+
+// Histogram order of the f_35mm tiers
+const TIER_ORDER = ["override", ...F35MM_TIERS];
+
+// ── Statistics ───────────────────────────────────────────────────────────────
+
+/**
+ * Count the f_35mm tier of each result, in TIER_ORDER.
+ */
+function tierHistogram(results) {
+    const counts = {};
+    for (const r of results) {
+        const tier = r.provenance?.f35mm?.tier ?? "unknown";
+        counts[tier] = (counts[tier] ?? 0) + 1;
+    }
+    const rank = (tier) => (TIER_ORDER.includes(tier) ? TIER_ORDER.indexOf(tier) : TIER_ORDER.length);
+    return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => rank(a) - rank(b)));
+}
+
+function summariseGroup({ cameraId, lensModel, focalLength, members }) {
+    return {
+        cameraId,
+        lensModel,
+        focalLength,
+        count: members.length,
+        hfov: range(members.map((r) => r.hfov)),
+        vfov: range(members.map((r) => r.vfov)),
+        dfov: range(members.map((r) => r.dfov)),
+        fPixel: range(members.map((r) => r.fPixelDiagonal)),
+        tiers: tierHistogram(members),
+    };
+}
+
+/**
+ * f_pixel outliers of each report group, then crop-factor outliers of each
+ * camera module, in group order.
+ */
+function findOutliers(groups, results, tolerance) {
+    const outliers = [];
+    for (const { cameraId, focalLength, members } of groups) {
+        const { median, outliers: found } = medianOutliers(members, (r) => r.fPixelDiagonal, tolerance);
+        for (const { item, value, deviation } of found) {
+            outliers.push({ cameraId, focalLength, file: item.file, metric: "fPixel", value, median, deviation });
+        }
+    }
+    for (const { cameraId, cropFactor, inconsistent } of groupByCameraId(results)) {
+        for (const { file, cropFactor: value, delta } of inconsistent) {
+            outliers.push({
+                cameraId,
+                focalLength: null,
+                file,
+                metric: "cropFactor",
+                value,
+                median: cropFactor,
+                deviation: delta,
+            });
+        }
+    }
+    return outliers;
+}
+
+/**
+ * Group failures by error type, then by message. File names in a message
+ * are replaced with "<file>" so that the same reason groups together.
+ */
+function summariseFailures(failures) {
+    const byType = new Map();
+    for (const { file, error } of failures) {
+        const type = error.code ?? error.name ?? "Error";
+        const message = file ? error.message.split(file).join("<file>") : error.message;
+        if (!byType.has(type)) byType.set(type, new Map());
+        const reasons = byType.get(type);
+        if (!reasons.has(message)) reasons.set(message, []);
+        reasons.get(message).push(file);
+    }
+
+    return [...byType.entries()]
+        .map(([type, reasons]) => ({
+            type,
+            count: [...reasons.values()].reduce((n, files) => n + files.length, 0),
+            reasons: [...reasons.entries()]
+                .map(([message, files]) => ({ message, count: files.length, files }))
+                .sort((a, b) => b.count - a.count),
+        }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Summarise a batch run.
+ *
+ * Groups are keyed by `cameraId`, lens model and physical focal length, and
+ * ordered by size. Outliers are only flagged in groups (for crop factors:
+ * camera modules) of three or more images.
+ *
+ * @param {object[]} results – analyze() results
+ * @param {{ file: string, error: Error }[]} [failures] – files that failed
+ * @param {{ outlierTolerance?: number }} [options] – relative f_pixel
+ *        deviation from the group median above which an image is an outlier
+ *        (default 0.05)
+ * @returns {{ total: number, succeeded: number, failed: number,
+ *             tiers: Record<string, number>,
+ *             groups: { cameraId: string, lensModel: string|null,
+ *                       focalLength: number|null, count: number,
+ *                       hfov: { min: number, median: number, max: number },
+ *                       vfov: object, dfov: object, fPixel: object,
+ *                       tiers: Record<string, number> }[],
+ *             outliers: { cameraId: string, focalLength: number|null,
+ *                         file: string, metric: "fPixel"|"cropFactor",
+ *                         value: number, median: number,
+ *                         deviation: number }[],
+ *             failures: { type: string, count: number,
+ *                         reasons: { message: string, count: number,
+ *                                    files: string[] }[] }[] }}
+ */
+export function summariseBatch(results, failures = [], { outlierTolerance = OUTLIER_TOLERANCE } = {}) {
+    const groups = new Map();
+    for (const r of results) {
+        const lensModel = r.lensModel ?? null;
+        const focalLength = r.focalLength ?? null;
+        const key = JSON.stringify([r.cameraId, lensModel, focalLength]);
+        if (!groups.has(key)) groups.set(key, { cameraId: r.cameraId, lensModel, focalLength, members: [] });
+        groups.get(key).members.push(r);
+    }
+
+    const ordered = [...groups.values()].sort(
+        (a, b) => b.members.length - a.members.length || a.cameraId.localeCompare(b.cameraId)
+    );
+    return {
+        total: results.length + failures.length,
+        succeeded: results.length,
+        failed: failures.length,
+        tiers: tierHistogram(results),
+        groups: ordered.map(summariseGroup),
+        outliers: findOutliers(ordered, results, outlierTolerance),
+        failures: summariseFailures(failures),
+    };
+}
+
+// ── Rendering ────────────────────────────────────────────────────────────────
+
+const deg = (v) => `${v.toFixed(2)}°`;
+const px = (v) => `${v.toFixed(1)} px`;
+const spread = (r, fmt) => `${fmt(r.min)} / ${fmt(r.median)} / ${fmt(r.max)}`;
+const factor = (v) => `×${v.toFixed(2)}`;
+const pct = (v) => `${v >= 0 ? "+" : ""}${(v * 100).toFixed(1)}%`;
+const histogram = (tiers) => Object.entries(tiers).map(([tier, n]) => `${tier} ${n}`).join(", ");
+
+// Name and unit of each outlier metric
+const METRICS = {
+    fPixel: { label: "f_pixel", format: px },
+    cropFactor: { label: "crop factor", format: factor },
+};
+
+function groupLabel(g) {
+    const parts = [g.cameraId];
+    if (g.focalLength != null) parts.push(`${g.focalLength} mm`);
+    return parts.join(" @ ");
+}
+
+/**
+ * Render the outliers of a summariseBatch() report as a text section, one
+ * block per group; an empty string when there are none.
+ *
+ * @param {object} report – from summariseBatch()
+ * @returns {string}
+ */
+export function formatOutliers(report) {
+    if (report.outliers.length === 0) return "";
+
+    const lines = ["Outliers"];
+    let label = null;
+    for (const o of report.outliers) {
+        if (groupLabel(o) !== label) {
+            label = groupLabel(o);
+            lines.push(`  ${label}`);
+        }
+        const { label: name, format } = METRICS[o.metric];
+        lines.push(`    ${o.file}: ${name} ${format(o.value)}, median ${format(o.median)} (${pct(o.deviation)})`);
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Align the columns of a text table.
+ */
+function textTable(header, rows) {
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+    const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+    return [line(header), widths.map((w) => "─".repeat(w)).join("  "), ...rows.map(line)];
+}
+
+const GROUP_COLUMNS = [
+    "Group",
+    "Lens",
+    "n",
+    "HFOV min / median / max",
+    "VFOV min / median / max",
+    "f_pixel min / median / max",
+    "f_35mm tiers",
+];
+
+function groupCells(g) {
+    return [
+        groupLabel(g),
+        g.lensModel ?? "—",
+        String(g.count),
+        spread(g.hfov, deg),
+        spread(g.vfov, deg),
+        spread(g.fPixel, px),
+        histogram(g.tiers),
+    ];
+}
+
+function renderTable(report) {
+    const lines = [
+        `Batch report: ${report.succeeded} of ${report.total} image(s) analysed, ${report.failed} failed`,
+    ];
+    if (report.succeeded > 0) lines.push(`f_35mm tiers: ${histogram(report.tiers)}`);
+
+    if (report.groups.length > 0) {
+        lines.push("", ...textTable(GROUP_COLUMNS, report.groups.map(groupCells)));
+    }
+
+    if (report.outliers.length > 0) lines.push("", formatOutliers(report).trimEnd());
+
+    if (report.failures.length > 0) {
+        lines.push("", "Failures");
+        for (const f of report.failures) {
+            lines.push(`  ${f.type} (${f.count})`);
+            for (const r of f.reasons) lines.push(`    ${r.count} × ${r.message}`);
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+function markdownCell(text) {
+    return String(text).replace(/\|/g, "\\|");
+}
+
+function markdownTable(header, rows) {
+    return [
+        `| ${header.map(markdownCell).join(" | ")} |`,
+        `|${header.map(() => "---").join("|")}|`,
+        ...rows.map((row) => `| ${row.map(markdownCell).join(" | ")} |`),
+    ];
+}
+
+function renderMarkdown(report) {
+    const lines = [
+        "# Batch report",
+        "",
+        `${report.succeeded} of ${report.total} image(s) analysed, ${report.failed} failed.`,
+    ];
+
+    if (report.succeeded > 0) {
+        const rows = Object.entries(report.tiers).map(([tier, n]) => [`\`${tier}\``, String(n)]);
+        lines.push("", "## f_35mm tiers", "", ...markdownTable(["Tier", "Images"], rows));
+    }
+
+    if (report.groups.length > 0) {
+        lines.push("", "## Groups", "", ...markdownTable(GROUP_COLUMNS, report.groups.map(groupCells)));
+    }
+
+    if (report.outliers.length > 0) {
+        const rows = report.outliers.map((o) => {
+            const { label, format } = METRICS[o.metric];
+            return [groupLabel(o), o.file, label, format(o.value), format(o.median), pct(o.deviation)];
+        });
+        const header = ["Group", "File", "Metric", "Value", "Group median", "Deviation"];
+        lines.push("", "## Outliers", "", ...markdownTable(header, rows));
+    }
+
+    if (report.failures.length > 0) {
+        const rows = report.failures.flatMap((f) => f.reasons.map((r) => [f.type, r.message, String(r.count)]));
+        lines.push("", "## Failures", "", ...markdownTable(["Type", "Reason", "Images"], rows));
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Render a summariseBatch() report.
+ *
+ * @param {object} report – from summariseBatch()
+ * @param {"table"|"json"|"markdown"} [format] – default "table"
+ * @returns {string}
+ */
+export function formatBatchReport(report, format = "table") {
+    switch (format) {
+        case "table":
+            return renderTable(report);
+        case "json":
+            return JSON.stringify(report, null, 2) + "\n";
+        case "markdown":
+            return renderMarkdown(report);
+        default:
+            throw new Error(`Unknown report format "${format}". Expected one of: ${REPORT_FORMATS.join(", ")}.`);
+    }
+}
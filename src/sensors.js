@@ -0,0 +1,176 @@
+/**
+ * Offline camera sensor-size database.
+ *
+ * Provides physical sensor dimensions for cameras whose files lack the tags
+ * needed to derive a 35 mm-equivalent focal length (see the `sensorDatabase`
+ * tier in compute.js). A bundled database ships in ./sensors.json; user
+ * entries registered at runtime take precedence over it.
+ *
+ * Database format (JSON):
+ *
+ *   {
+ *     "version": 1,
+ *     "sensors": [
+ *       { "make": "Canon", "model": "Canon EOS 80D",
+ *         "sensorWidth": 22.5, "sensorHeight": 15.0 },
+ *       { "make": "Acme", "model": "Rig-1", "lens": "wide",
+ *         "sensorWidth": 6.17, "sensorHeight": 4.55 }
+ *     ]
+ *   }
+ *
+ *   make          – matched case-insensitively against the start of `Make`
+ *                   ("Nikon" matches "NIKON CORPORATION")
+ *   model         – matched case-insensitively against `Model`, ignoring a
+ *                   leading make ("EOS 80D" matches "Canon EOS 80D")
+ *   lens          – optional; matched case-insensitively as a substring of
+ *                   the lens model. Entries with a matching lens win over
+ *                   entries without one.
+ *   sensorWidth,
+ *   sensorHeight  – physical sensor dimensions in mm, landscape
+ */
+
+import BUNDLED_DATABASE from "./sensors.json" with { type: "json" };
+
+const SUPPORTED_VERSION = 1;
+
+// User-registered entries, newest first
+const userSensors = [];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function normalise(str) {
+    return String(str ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Validate a database entry and return a normalised copy.
+ * @private
+ */
+function validateEntry(entry) {
+    const { make, model, lens, sensorWidth, sensorHeight } = entry ?? {};
+
+    if (!make || !model) {
+        throw new Error("Sensor entry must have a make and a model.");
+    }
+    if (!(sensorWidth > 0) || !(sensorHeight > 0)) {
+        throw new Error(
+            `Sensor entry "${make} ${model}" must have positive sensorWidth and sensorHeight (mm).`
+        );
+    }
+
+    return {
+        make: String(make),
+        model: String(model),
+        lens: lens != null ? String(lens) : null,
+        sensorWidth: Number(sensorWidth),
+        sensorHeight: Number(sensorHeight),
+    };
+}
+
+/**
+ * Entries of a database object, checking its version.
+ * @private
+ */
+function databaseEntries(db) {
+    if (Array.isArray(db)) return db;
+
+    if (db?.version !== SUPPORTED_VERSION || !Array.isArray(db.sensors)) {
+        throw new Error(
+            `Unsupported sensor database: expected { "version": ${SUPPORTED_VERSION}, "sensors": [...] }.`
+        );
+    }
+    return db.sensors;
+}
+
+const bundledSensors = databaseEntries(BUNDLED_DATABASE).map(validateEntry);
+
+/**
+ * Whether `entry` describes the camera, and how specifically.
+ * @returns {number} 0 = no match, 1 = make/model, 2 = make/model/lens
+ * @private
+ */
+function matchScore(entry, make, model, lensModel) {
+    const entryMake = normalise(entry.make);
+    if (!make.startsWith(entryMake)) return 0;
+
+    const stripMake = (m) => (m.startsWith(entryMake + " ") ? m.slice(entryMake.length + 1) : m);
+    if (stripMake(normalise(entry.model)) !== stripMake(model)) return 0;
+
+    if (entry.lens === null) return 1;
+    return lensModel.includes(normalise(entry.lens)) ? 2 : 0;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Look up the sensor dimensions for a camera.
+ *
+ * User entries are searched before the bundled database; within each, a
+ * lens-specific match beats a make/model-only match.
+ *
+ * @param {{ make?: string|null, model?: string|null, lensModel?: string|null }} meta
+ * @returns {{ make: string, model: string, lens: string|null, sensorWidth: number,
+ *             sensorHeight: number, source: "user"|"bundled" }|null}
+ */
+export function lookupSensor(meta) {
+    if (!meta.make || !meta.model) return null;
+
+    const make = normalise(meta.make);
+    const model = normalise(meta.model);
+    const lensModel = normalise(meta.lensModel);
+
+    for (const [source, entries] of [["user", userSensors], ["bundled", bundledSensors]]) {
+        let best = null;
+        let bestScore = 0;
+        for (const entry of entries) {
+            const score = matchScore(entry, make, model, lensModel);
+            if (score > bestScore) {
+                best = entry;
+                bestScore = score;
+            }
+        }
+        if (best) return { ...best, source };
+    }
+
+    return null;
+}
+
+/**
+ * Register user sensor entries, overriding the bundled database.
+ *
+ * Accepts a single entry, an array of entries, or a database object in the
+ * documented JSON format. Later registrations take precedence.
+ *
+ * @param {object|object[]} entries
+ */
+export function registerSensors(entries) {
+    const list = Array.isArray(entries) || entries?.sensors ? databaseEntries(entries) : [entries];
+    userSensors.unshift(...list.map(validateEntry).reverse());
+}
+
+/**
+ * Load a sensor database JSON file and register its entries.
+ *
+ * @param {string} filePath – path to a database in the documented format
+ * @returns {Promise<number>} – number of entries registered
+ */
+export async function loadSensorDatabase(filePath) {
+    // Imported on demand: the rest of this module also runs in browsers
+    const { readFile } = await import("node:fs/promises");
+    let db;
+    try {
+        db = JSON.parse(await readFile(filePath, "utf8"));
+    } catch (err) {
+        throw new Error(`Cannot read sensor database "${filePath}": ${err.message}`);
+    }
+    const entries = databaseEntries(db);
+    registerSensors(entries);
+    return entries.length;
+}
+
+/**
+ * Remove all user-registered entries, leaving only the bundled database.
+ */
+export function clearRegisteredSensors() {
+    userSensors.length = 0;
+}
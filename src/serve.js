@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP API for FOV analysis.
+ *
+ * Serves analyze() to services that cannot call it directly:
+ *
+ *   GET  /health                health check: { status: "ok", backend }
+ *   GET  /analyze?path=<file>   analyse a file on this machine; the path must
+ *                               lie in one of the served roots
+ *   POST /analyze               analyse the request body: the image itself
+ *                               (name it with `filename=<name>`), or a
+ *                               multipart/form-data upload whose first file
+ *                               part is the image
+ *
+ * Query parameters of /analyze select the analyze() options:
+ *
+ *   projection=<model>          force a lens projection model
+ *   fov-mode=aspect|exiftool
+ *   focus-breathing=none|thin-lens|table
+ *   close-focus=true            shorthand for focus-breathing=thin-lens
+ *   crop=false                  ignore crop tags
+ *   digital-zoom=false          ignore the digital zoom ratio
+ *
+ * Responses are the JSON records of ./format.js: `status: "ok"` with the
+ * result, or `status: "error"` with 400 (bad request), 403 (path outside
+ * the roots), 404, 405, 413 (body too large), 422 (the image could not be
+ * analysed) or 503 (too many analyses in progress; retry later).
+ *
+ * Usage:   node src/serve.js [options]
+ *
+ *   --port <n>               port to listen on (default 8080; 0: any free port)
+ *   --host <addr>            address to bind (default 127.0.0.1)
+ *   --root <dir>             directory GET paths may lie in (repeatable;
+ *                            default: the working directory)
+ *   --max-body <MB>          largest accepted upload (default 50)
+ *   --max-requests <n>       analyses in progress at a time; more are refused
+ *                            with 503 (default 8)
+ *   --backend <name>         EXIF reader: exiftool (default) or js
+ *   --sensor-db <file>       register a user sensor database
+ *   --breathing-db <file>    register lens breathing tables (see ./breathing.js)
+ *   --lcp <file|dir>         register Adobe lens profiles (see ./distortion.js)
+ *   --config <file>          per-camera overrides (see ./overrides.js); default:
+ *                            fov.config.json / .yaml in the working directory
+ *
+ * SIGINT / SIGTERM stop accepting connections, let requests in progress
+ * finish and shut ExifTool down; a second signal drops open connections.
+ *
+ * Exit codes:  0 – stopped by a signal
+ *              2 – usage error, or the server could not start
+ */
+
+import { parseArgs } from "node:util";
+import { createServer, STATUS_CODES } from "node:http";
+import { once } from "node:events";
+import { realpath, stat } from "node:fs/promises";
+import { relative, isAbsolute, sep } from "node:path";
+import { analyze, analyzeBuffer } from "./index.js";
+import { setExifBackend, getExifBackend, shutdown, EXIF_BACKENDS } from "./exif.js";
+import { loadSensorDatabase } from "./sensors.js";
+import { loadBreathingDatabase } from "./breathing.js";
+import { loadLcpProfiles } from "./distortion.js";
+import { loadOverrideConfig, findOverrideConfig } from "./overrides.js";
+import { PROJECTIONS, FOV_MODES, FOCUS_BREATHING_MODELS } from "./compute.js";
+import { resultRecord, errorRecord } from "./format.js";
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_MAX_BODY_MB = 50;
+// Bounds the memory held by uploads to about this many times --max-body
+const DEFAULT_MAX_REQUESTS = 8;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+        this.code = STATUS_CODES[status];
+    }
+}
+
+// ── Requests ─────────────────────────────────────────────────────────────────
+
+function parseBoolean(params, name) {
+    const value = params.get(name);
+    if (value == null) return undefined;
+    if (value === "" || value === "true" || value === "1") return true;
+    if (value === "false" || value === "0") return false;
+    throw new HttpError(400, `${name} must be true or false, got "${value}".`);
+}
+
+function parseChoice(params, name, choices) {
+    const value = params.get(name);
+    if (value == null) return undefined;
+    if (!choices.includes(value)) {
+        throw new HttpError(400, `Unknown ${name} "${value}". Expected one of: ${choices.join(", ")}.`);
+    }
+    return value;
+}
+
+/**
+ * analyze() options from the query parameters of a request (see the module
+ * comment).
+ *
+ * @param {URLSearchParams} params
+ * @returns {object}
+ */
+export function analyzeOptionsFromQuery(params) {
+    const options = {
+        projection: parseChoice(params, "projection", PROJECTIONS),
+        fovMode: parseChoice(params, "fov-mode", FOV_MODES),
+        focusBreathing: parseChoice(params, "focus-breathing", FOCUS_BREATHING_MODELS),
+        applyCloseFocusCorrection: parseBoolean(params, "close-focus"),
+        applyCrop: parseBoolean(params, "crop"),
+        applyDigitalZoom: parseBoolean(params, "digital-zoom"),
+    };
+    // Leave unset options to analyze()'s defaults
+    return Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * Read a request body, refusing more than `limit` bytes.
+ */
+async function readBody(req, limit) {
+    if (Number(req.headers["content-length"]) > limit) {
+        throw new HttpError(413, `The body exceeds the limit of ${limit} bytes.`);
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > limit) throw new HttpError(413, `The body exceeds the limit of ${limit} bytes.`);
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * The image of a POST body: the body itself, or the first file part of a
+ * multipart upload.
+ */
+async function uploadedImage(req, params, limit) {
+    const body = await readBody(req, limit);
+    const type = req.headers["content-type"] ?? "";
+
+    if (/^multipart\/form-data/i.test(type)) {
+        let form;
+        try {
+            form = await new Response(body, { headers: { "content-type": type } }).formData();
+        } catch (err) {
+            throw new HttpError(400, `Malformed multipart body: ${err.message}`);
+        }
+        const file = [...form.values()].find((value) => typeof value === "object");
+        if (!file) throw new HttpError(400, "The multipart body holds no file.");
+        return { bytes: new Uint8Array(await file.arrayBuffer()), filename: file.name || null };
+    }
+
+    if (body.length === 0) throw new HttpError(400, "The request body is empty.");
+    return { bytes: body, filename: params.get("filename") };
+}
+
+/**
+ * Resolve a requested local path, which must exist inside one of `roots`
+ * (real paths, see resolveRoots()).
+ */
+async function localPath(path, roots) {
+    if (!path) throw new HttpError(400, "Pass the image as ?path=<file>, or POST it.");
+    let real;
+    try {
+        real = await realpath(path);
+    } catch {
+        throw new HttpError(404, `No such file: "${path}".`);
+    }
+    for (const root of roots) {
+        const rel = relative(root, real);
+        if (rel !== ".." && !rel.startsWith(".." + sep) && !isAbsolute(rel)) return real;
+    }
+    throw new HttpError(403, `"${path}" is outside the served directories.`);
+}
+
+/**
+ * The real paths of the served directories, which must exist.
+ */
+async function resolveRoots(roots) {
+    return Promise.all(
+        roots.map(async (root) => {
+            let real;
+            try {
+                real = await realpath(root);
+            } catch (err) {
+                throw new Error(`Cannot serve "${root}": ${err.message}`, { cause: err });
+            }
+            if (!(await stat(real)).isDirectory()) throw new Error(`Cannot serve "${root}": not a directory.`);
+            return real;
+        })
+    );
+}
+
+function sendJson(res, status, body) {
+    const text = JSON.stringify(body);
+    res.writeHead(status, {
+        "content-type": "application/json; charset=utf-8",
+        "content-length": Buffer.byteLength(text),
+    });
+    res.end(text);
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Create the HTTP server (not yet listening; see the module comment for the
+ * endpoints). Metadata is read through the active EXIF backend.
+ *
+ * @param {{ roots?: string[], maxBodySize?: number, maxRequests?: number }}
+ *        [options] – directories GET paths may lie in (default: the working
+ *        directory), the largest accepted upload in bytes, and how many
+ *        analyses may be in progress before requests are refused with 503
+ * @returns {Promise<import("node:http").Server>} – rejects when a root is
+ *          not an existing directory
+ */
+export async function createAnalysisServer({
+    roots = [process.cwd()],
+    maxBodySize = DEFAULT_MAX_BODY_MB * 1024 * 1024,
+    maxRequests = DEFAULT_MAX_REQUESTS,
+} = {}) {
+    const resolvedRoots = await resolveRoots(roots);
+    let inProgress = 0;
+
+    return createServer(async (req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        let file = null;
+        try {
+            if (url.pathname === "/health") {
+                if (req.method !== "GET" && req.method !== "HEAD") throw new HttpError(405, "Use GET.");
+                sendJson(res, 200, { status: "ok", backend: getExifBackend().name ?? "custom" });
+                return;
+            }
+            if (url.pathname !== "/analyze") throw new HttpError(404, `No endpoint ${url.pathname}.`);
+
+            // Refused before the body is read, so that it is never buffered
+            if (inProgress >= maxRequests) {
+                throw new HttpError(503, `Too many analyses in progress (limit ${maxRequests}); retry later.`);
+            }
+            inProgress++;
+            try {
+                const options = analyzeOptionsFromQuery(url.searchParams);
+                let result;
+                if (req.method === "GET") {
+                    file = url.searchParams.get("path");
+                    const path = await localPath(file, resolvedRoots);
+                    result = await analyzeOrReject(() => analyze(path, options));
+                } else if (req.method === "POST") {
+                    const { bytes, filename } = await uploadedImage(req, url.searchParams, maxBodySize);
+                    file = filename;
+                    result = await analyzeOrReject(() => analyzeBuffer(bytes, { ...options, filename }));
+                } else {
+                    throw new HttpError(405, "Use GET with ?path=<file>, or POST the image.");
+                }
+                sendJson(res, 200, resultRecord(result));
+            } finally {
+                inProgress--;
+            }
+        } catch (err) {
+            const status = err instanceof HttpError ? err.status : 500;
+            if (status === 413 || status === 503) res.setHeader("connection", "close");
+            if (status === 503) res.setHeader("retry-after", "1");
+            sendJson(res, status, errorRecord(file, err));
+        }
+    });
+}
+
+/**
+ * Run an analysis, reporting its failure as 422 Unprocessable Content.
+ */
+async function analyzeOrReject(run) {
+    try {
+        return await run();
+    } catch (err) {
+        const rejected = new HttpError(422, err.message);
+        rejected.code = err.code ?? err.name ?? rejected.code;
+        throw rejected;
+    }
+}
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
+
+const USAGE =
+    "Usage: node src/serve.js [--port <n>] [--host <addr>] [--root <dir>]... " +
+    "[--max-body <MB>] [--max-requests <n>] [--backend exiftool|js] [--sensor-db <file>] " +
+    "[--breathing-db <file>] [--lcp <file|dir>] [--config <file>]";
+
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parseCli() {
+    let args;
+    try {
+        args = parseArgs({
+            options: {
+                port: { type: "string" },
+                host: { type: "string", default: DEFAULT_HOST },
+                root: { type: "string", multiple: true },
+                "max-body": { type: "string" },
+                "max-requests": { type: "string" },
+                backend: { type: "string", default: "exiftool" },
+                "sensor-db": { type: "string" },
+                "breathing-db": { type: "string" },
+                lcp: { type: "string" },
+                config: { type: "string" },
+            },
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const { values } = args;
+
+    const port = values.port != null ? Number(values.port) : DEFAULT_PORT;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError(`--port must be an integer from 0 to 65535, got "${values.port}".`);
+    }
+
+    const maxBody = values["max-body"] != null ? Number(values["max-body"]) : DEFAULT_MAX_BODY_MB;
+    if (!(maxBody > 0)) {
+        throw new UsageError(`--max-body must be a positive number of MB, got "${values["max-body"]}".`);
+    }
+
+    const maxRequests = values["max-requests"] != null ? Number(values["max-requests"]) : DEFAULT_MAX_REQUESTS;
+    if (!Number.isInteger(maxRequests) || maxRequests < 1) {
+        throw new UsageError(`--max-requests must be a positive integer, got "${values["max-requests"]}".`);
+    }
+
+    if (!EXIF_BACKENDS.includes(values.backend)) {
+        throw new UsageError(`Unknown EXIF backend "${values.backend}".`);
+    }
+
+    return {
+        port,
+        host: values.host,
+        roots: values.root ?? [process.cwd()],
+        maxBodySize: Math.round(maxBody * 1024 * 1024),
+        maxRequests,
+        backend: values.backend,
+        sensorDb: values["sensor-db"],
+        breathingDb: values["breathing-db"],
+        lcp: values.lcp,
+        config: values.config,
+    };
+}
+
+async function main() {
+    let opts;
+    try {
+        opts = parseCli();
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        console.error(`Error: ${err.message}`);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    if (opts.sensorDb) await loadSensorDatabase(opts.sensorDb);
+    if (opts.breathingDb) await loadBreathingDatabase(opts.breathingDb);
+    if (opts.lcp) await loadLcpProfiles(opts.lcp);
+    const configPath = opts.config ?? (await findOverrideConfig());
+    if (configPath) await loadOverrideConfig(configPath);
+    setExifBackend(opts.backend);
+
+    let server;
+    try {
+        server = await createAnalysisServer({
+            roots: opts.roots,
+            maxBodySize: opts.maxBodySize,
+            maxRequests: opts.maxRequests,
+        });
+    } catch (err) {
+        console.error(`Error: --root: ${err.message}`);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+    server.listen(opts.port, opts.host);
+    await once(server, "listening");
+    const { address, port } = server.address();
+    console.error(`Serving FOV analysis on http://${address.includes(":") ? `[${address}]` : address}:${port}`);
+
+    const signal = await new Promise((resolveSignal) => {
+        for (const sig of ["SIGINT", "SIGTERM"]) process.once(sig, () => resolveSignal(sig));
+    });
+    console.error(`${signal}: finishing requests in progress…`);
+    for (const sig of ["SIGINT", "SIGTERM"]) process.once(sig, () => server.closeAllConnections());
+
+    server.close();
+    await once(server, "close");
+    await shutdown();
+    return 0;
+}
+
+// Only run CLI when executed directly (not when imported)
+const isDirectRun =
+    process.argv[1] &&
+    import.meta.url.endsWith(process.argv[1].replace(/.*\//, ""));
+if (isDirectRun) {
+    main().then(
+        (code) => {
+            process.exitCode = code;
+        },
+        (err) => {
+            console.error(`Error: ${err.message}`);
+            process.exitCode = EXIT_USAGE;
+        }
+    );
+}
@@ -0,0 +1,74 @@
+/**
+ * Descriptive statistics shared by the batch report (./report.js), the
+ * camera-module check (./cameras.js) and calibration validation
+ * (./validate.js).
+ *
+ * No Node.js APIs are used, so the module also runs in browsers.
+ */
+
+// Smallest group in which a median is meaningful enough to flag outliers
+export const OUTLIER_MIN_GROUP = 3;
+
+/**
+ * @param {number[]} values – at least one
+ * @returns {number}
+ */
+export function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * @param {number[]} values – at least one
+ * @returns {{ min: number, median: number, max: number }}
+ */
+export function range(values) {
+    return { min: Math.min(...values), median: median(values), max: Math.max(...values) };
+}
+
+/**
+ * Summary of signed errors.
+ *
+ * @param {number[]} values – at least one
+ * @returns {{ n: number, mean: number, meanAbs: number, rms: number, maxAbs: number }}
+ */
+export function errorStats(values) {
+    const n = values.length;
+    const abs = values.map(Math.abs);
+    return {
+        n,
+        mean: values.reduce((a, b) => a + b, 0) / n,
+        meanAbs: abs.reduce((a, b) => a + b, 0) / n,
+        rms: Math.sqrt(values.reduce((a, b) => a + b * b, 0) / n),
+        maxAbs: Math.max(...abs),
+    };
+}
+
+/**
+ * Items whose value deviates from the median of all values by more than
+ * `tolerance` (relative). Outliers are only flagged among `minCount` or
+ * more values; with fewer, there is no telling which one is off.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => number} valueOf
+ * @param {number} tolerance – e.g. 0.05 for 5 %
+ * @param {{ minCount?: number }} [options] – default OUTLIER_MIN_GROUP
+ * @returns {{ median: number|null,
+ *             outliers: { item: T, value: number, deviation: number }[] }}
+ *          `median` is null without items; `deviation` is relative to it
+ */
+export function medianOutliers(items, valueOf, tolerance, { minCount = OUTLIER_MIN_GROUP } = {}) {
+    if (items.length === 0) return { median: null, outliers: [] };
+
+    const values = items.map(valueOf);
+    const mid = median(values);
+    const outliers =
+        items.length >= minCount
+            ? items
+                  .map((item, i) => ({ item, value: values[i], deviation: values[i] / mid - 1 }))
+                  .filter((o) => Math.abs(o.deviation) > tolerance)
+            : [];
+    return { median: mid, outliers };
+}
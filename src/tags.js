@@ -0,0 +1,358 @@
+/**
+ * EXIF tag normalisation.
+ *
+ * Turns the tags of any EXIF reader, keyed by ExifTool tag names, into the
+ * metadata object the computations in ./compute.js work on. Shared by the
+ * Node backends (./exif.js) and the browser entry point (./browser.js).
+ */
+
+// Descriptive Orientation strings, in case a print-converted value slips through.
+// Mirrored forms come first because they also contain "rotate …".
+const ORIENTATION_STRINGS = [
+    [/mirror horizontal and rotate 270/i, 5],
+    [/mirror horizontal and rotate 90/i, 7],
+    [/mirror horizontal/i, 2],
+    [/mirror vertical/i, 4],
+    [/rotate 180/i, 3],
+    [/rotate 90/i, 6],
+    [/rotate 270/i, 8],
+];
+
+// QuickTime track rotation (degrees clockwise) as an EXIF Orientation value
+const ROTATION_ORIENTATIONS = { 0: 1, 90: 6, 180: 3, 270: 8 };
+
+// Stabilisation settings that mean "off" (GoPro EISA / EISE)
+const STABILISATION_OFF = /^(n|no|off|n\/a|none)$/i;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * exiftool-vendored may return values as strings with units (e.g. "78 mm")
+ * or as plain numbers. This helper extracts the numeric value in either case.
+ */
+function parseNum(val) {
+    if (val == null) return null;
+    if (typeof val === "number") return val;
+    const n = parseFloat(String(val));
+    return isNaN(n) ? null : n;
+}
+
+/**
+ * Parse a pair of numbers given either as an array or as a space/comma
+ * separated string (e.g. DefaultCropSize "6000 4000").
+ */
+function parseNumPair(val) {
+    if (val == null) return null;
+    const parts = Array.isArray(val) ? val : String(val).split(/[\s,]+/);
+    const nums = parts.map(parseNum);
+    return nums.length === 2 && nums.every((n) => n != null) ? nums : null;
+}
+
+/**
+ * Parse a list of numbers given either as an array or as a space/comma
+ * separated string (e.g. maker-note distortion tables).
+ */
+function parseNumList(val) {
+    if (val == null) return null;
+    const parts = Array.isArray(val) ? val : String(val).trim().split(/[\s,]+/);
+    const nums = parts.map(parseNum);
+    return nums.length > 0 && nums.every((n) => n != null) ? nums : null;
+}
+
+/**
+ * Parse a GPS coordinate given as signed decimal degrees, a [deg, min, sec]
+ * list or an ExifTool DMS string (`47 deg 30' 12.5" S`). Southern and
+ * western values are made negative from `ref` or the string's hemisphere.
+ */
+function parseCoordinate(val, ref) {
+    if (val == null) return null;
+    let parts;
+    if (Array.isArray(val)) parts = val.map(parseNum);
+    else if (typeof val === "number") parts = [val];
+    else parts = (String(val).match(/[-+]?\d+(?:\.\d+)?/g) ?? []).map(Number);
+    if (parts.length === 0 || parts.length > 3 || parts.some((n) => n == null)) return null;
+
+    const [d, m = 0, sec = 0] = parts;
+    const value = Math.sign(d || 1) * (Math.abs(d) + m / 60 + sec / 3600);
+    const hemisphere = `${ref ?? ""} ${typeof val === "string" ? val : ""}`;
+    return value > 0 && /\b(S|W|South|West)\b/i.test(hemisphere) ? -value : value;
+}
+
+/**
+ * Return the first numeric value among `tags`, recording the tag it came from
+ * in `sources[key]`.
+ */
+function pickNum(raw, tags, sources, key) {
+    for (const tag of tags) {
+        const n = parseNum(raw[tag]);
+        if (n != null) {
+            sources[key] = tag;
+            return n;
+        }
+    }
+    return null;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Turn tags read under ExifTool's names into the cleaned metadata object used
+ * by the computations.
+ *
+ * Values may be numbers or ExifTool's print-converted strings ("4.2 mm",
+ * "Rotate 90 CW"). `OpcodeList3`, when present, must hold the opcode bytes.
+ *
+ * Videos may come with the samples of their timed metadata tracks (GoPro
+ * GPMF, DJI, …), each holding the tags that apply from `time` (seconds) on.
+ * Every sample is normalised on top of `raw` into `samples[i].meta`; the
+ * returned object itself describes the first sample.
+ *
+ * @param {object} raw – tags under ExifTool names, e.g. from exiftool-vendored,
+ *        ./exifparser.js or another EXIF reader
+ * @param {string} [label] – file name for error messages
+ * @param {{ time: number|null, tags: object }[]} [samples] – timed metadata
+ * @returns {object} – cleaned metadata object
+ */
+export function normaliseTags(raw, label = "<tags>", samples = []) {
+    if (!raw || samples.length === 0) return normaliseStatic(raw, label);
+
+    const normalised = samples.map(({ time, tags }) => ({
+        time,
+        meta: normaliseStatic({ ...raw, ...tags }, label),
+    }));
+    return { ...normalised[0].meta, samples: normalised };
+}
+
+/**
+ * Normalise one set of tags (a still image, or a video at one instant).
+ */
+function normaliseStatic(raw, label) {
+    if (!raw) {
+        throw new Error(`No EXIF data found in "${label}".`);
+    }
+
+    // Tag each normalised value was read from (for provenance reporting)
+    const sources = {};
+
+    // ── Normalise image dimensions ──────────────────────────────────────
+    const width = pickNum(raw, ["ImageWidth", "ExifImageWidth", "PixelXDimension"], sources, "width");
+    const height = pickNum(raw, ["ImageHeight", "ExifImageHeight", "PixelYDimension"], sources, "height");
+
+    if (!width || !height) {
+        throw new Error(
+            "Could not determine image pixel dimensions from EXIF data."
+        );
+    }
+
+    // ── Orientation (default 1 = normal) ────────────────────────────────
+    let orientation = 1;
+    if (raw.Orientation != null) {
+        sources.orientation = "Orientation";
+        const val = raw.Orientation;
+        const num = parseNum(val);
+        if (num != null && Number.isInteger(num)) {
+            orientation = num >= 1 && num <= 8 ? num : 1;
+        } else {
+            // Descriptive strings like "Horizontal (normal)", "Rotate 90 CW",
+            // "Mirror horizontal and rotate 270 CW", etc.
+            const str = String(val);
+            const match = ORIENTATION_STRINGS.find(([re]) => re.test(str));
+            orientation = match ? match[1] : 1;
+        }
+    } else if (raw.Rotation != null) {
+        // Videos store the display rotation in the track header matrix
+        const rotation = ((Math.round(parseNum(raw.Rotation) ?? 0) % 360) + 360) % 360;
+        if (rotation in ROTATION_ORIENTATIONS) {
+            sources.orientation = "Rotation";
+            orientation = ROTATION_ORIENTATIONS[rotation];
+        }
+    }
+
+    // ── Camera / lens identity ──────────────────────────────────────────
+    const make = raw.Make != null ? String(raw.Make).trim() : null;
+    const model = raw.Model != null ? String(raw.Model).trim() : null;
+    const lensTag = ["LensModel", "LensID", "Lens"].find((t) => raw[t] != null);
+    const lensModel = lensTag ? String(raw[lensTag]).trim() : null;
+    if (lensTag) sources.lensModel = lensTag;
+    const lensMake = raw.LensMake != null ? String(raw.LensMake).trim() : null;
+    if (lensMake) sources.lensMake = "LensMake";
+
+    // Apple maker note: the phone camera module ("Back Wide Angle", "Front", …).
+    // Other makes use the tag name for the body class.
+    const cameraType =
+        raw.CameraType != null && /^apple\b/i.test(make ?? "") ? String(raw.CameraType).trim() : null;
+    if (cameraType) sources.cameraType = "CameraType";
+
+    // Body serial number (identifies one camera for configuration overrides)
+    const serialTag = ["SerialNumber", "BodySerialNumber", "InternalSerialNumber"].find(
+        (t) => raw[t] != null && String(raw[t]).trim() !== ""
+    );
+    const serialNumber = serialTag ? String(raw[serialTag]).trim() : null;
+    if (serialTag) sources.serialNumber = serialTag;
+
+    // Lens projection hints (maker-note lens type, XMP GPano ProjectionType)
+    const lensType = raw.LensType != null ? String(raw.LensType).trim() : null;
+    const projectionType =
+        raw.ProjectionType != null ? String(raw.ProjectionType).trim() : null;
+    if (lensType) sources.lensType = "LensType";
+    if (projectionType) sources.projectionType = "ProjectionType";
+
+    // ── Focal lengths ───────────────────────────────────────────────────
+    const focalLength = pickNum(raw, ["FocalLength"], sources, "focalLength");
+    const focalLengthIn35mm = pickNum(
+        raw,
+        ["FocalLengthIn35mmFormat"],
+        sources,
+        "focalLengthIn35mm"
+    );
+
+    // ── Crop-factor helpers ─────────────────────────────────────────────
+    const scaleFactor35efl = pickNum(raw, ["ScaleFactor35efl"], sources, "scaleFactor35efl");
+
+    // Focal-plane resolution (fallback for computing sensor size)
+    const focalPlaneXRes = pickNum(raw, ["FocalPlaneXResolution"], sources, "focalPlaneXRes");
+    const focalPlaneYRes = pickNum(raw, ["FocalPlaneYResolution"], sources, "focalPlaneYRes");
+    const focalPlaneUnit = pickNum(raw, ["FocalPlaneResolutionUnit"], sources, "focalPlaneUnit");
+
+    // Recorded diagonal field of view (GoPro): it already covers the lens
+    // mode, stabilisation crop and digital zoom of the recording
+    const diagonalFov = pickNum(raw, ["DiagonalFieldOfView"], sources, "diagonalFov");
+
+    // DJI records its zoom per frame as DigitalZoom
+    const digitalZoomRatio = diagonalFov
+        ? null
+        : pickNum(raw, ["DigitalZoomRatio", "DigitalZoom"], sources, "digitalZoomRatio");
+
+    // ── Crops ───────────────────────────────────────────────────────────
+    // DNG default crop, in stored raw pixels
+    const defaultCropOrigin = parseNumPair(raw.DefaultCropOrigin);
+    const defaultCropSize = parseNumPair(raw.DefaultCropSize);
+
+    // Camera Raw (XMP-crs) crop rectangle, as fractions of the stored image
+    const hasCrop = raw.HasCrop === true || /^true$/i.test(String(raw.HasCrop));
+    const cropEdges = [raw.CropLeft, raw.CropTop, raw.CropRight, raw.CropBottom].map(parseNum);
+    const cropRect = cropEdges.every((n) => n != null)
+        ? {
+              left: cropEdges[0],
+              top: cropEdges[1],
+              right: cropEdges[2],
+              bottom: cropEdges[3],
+          }
+        : null;
+
+    // Focus / subject distance (metres) — used for close-focus FOV correction
+    const focusDistance = pickNum(
+        raw,
+        ["FocusDistance", "SubjectDistance", "ApproximateFocusDistance"],
+        sources,
+        "focusDistance"
+    );
+
+    // ── Lens distortion ─────────────────────────────────────────────────
+    const fileType = raw.FileType != null ? String(raw.FileType) : null;
+
+    // In-camera correction setting (Sony, Olympus, Canon, Nikon, …)
+    const correctionTag = [
+        "DistortionCorrection",
+        "DistortionCorrection2",
+        "DistortionCorrectionSetting",
+    ].find((t) => raw[t] != null);
+    const distortionCorrection = correctionTag ? String(raw[correctionTag]) : null;
+    if (correctionTag) sources.distortionCorrection = correctionTag;
+
+    const sonyDistortionParams = parseNumList(raw.DistortionCorrParams);
+    const sonyDistortionParamsNumber = parseNum(raw.DistortionCorrParamsNumber);
+    if (sonyDistortionParams) sources.sonyDistortionParams = "DistortionCorrParams";
+
+    const fujifilmDistortionParams = parseNumList(raw.GeometricDistortionParams);
+    if (fujifilmDistortionParams) {
+        sources.fujifilmDistortionParams = "GeometricDistortionParams";
+    }
+
+    // DNG warp opcodes (binary)
+    const opcodeList3 = raw.OpcodeList3 instanceof Uint8Array ? raw.OpcodeList3 : null;
+    if (opcodeList3) sources.opcodeList3 = "OpcodeList3";
+
+    // ── Position and pose (aerial imagery) ──────────────────────────────
+    const latitude = parseCoordinate(raw.GPSLatitude, raw.GPSLatitudeRef);
+    const longitude = parseCoordinate(raw.GPSLongitude, raw.GPSLongitudeRef);
+    if (latitude != null) sources.latitude = "GPSLatitude";
+    if (longitude != null) sources.longitude = "GPSLongitude";
+
+    let altitude = pickNum(raw, ["GPSAltitude", "AbsoluteAltitude"], sources, "altitude");
+    if (
+        altitude > 0 &&
+        sources.altitude === "GPSAltitude" &&
+        (raw.GPSAltitudeRef === 1 || /below/i.test(String(raw.GPSAltitudeRef ?? "")))
+    ) {
+        altitude = -altitude;
+    }
+    // DJI: height above the take-off point
+    const relativeAltitude = pickNum(raw, ["RelativeAltitude"], sources, "relativeAltitude");
+
+    // Degrees: pitch 0 = level, −90 = straight down; yaw clockwise from north
+    const pitch = pickNum(raw, ["GimbalPitchDegree", "CameraElevationAngle"], sources, "pitch");
+    const yaw = pickNum(raw, ["GimbalYawDegree", "FlightYawDegree", "GPSImgDirection"], sources, "yaw");
+    const roll = pickNum(raw, ["GimbalRollDegree"], sources, "roll");
+
+    const geoValues = { latitude, longitude, altitude, relativeAltitude, pitch, yaw, roll };
+    const geo = Object.values(geoValues).some((v) => v != null) ? geoValues : null;
+
+    // ── Video ───────────────────────────────────────────────────────────
+    let video = null;
+    if (/^video\//i.test(String(raw.MIMEType ?? ""))) {
+        const stabilisationTag = [
+            "ElectronicImageStabilization",
+            "ElectronicStabilizationOn",
+        ].find((t) => raw[t] != null);
+        const stabilisation = stabilisationTag ? String(raw[stabilisationTag]).trim() : null;
+        if (stabilisationTag) sources.stabilisation = stabilisationTag;
+
+        video = {
+            duration: parseNum(raw.Duration),
+            frameRate: parseNum(raw.VideoFrameRate),
+            rotation: parseNum(raw.Rotation) ?? 0,
+            // GoPro lens mode ("Wide", "Linear", "Super View", …)
+            lensMode: raw.FieldOfView != null ? String(raw.FieldOfView).trim() : null,
+            stabilisation,
+            stabilised: stabilisation != null && !STABILISATION_OFF.test(stabilisation),
+        };
+    }
+
+    return {
+        make,
+        model,
+        lensModel,
+        lensMake,
+        cameraType,
+        serialNumber,
+        lensType,
+        projectionType,
+        width,
+        height,
+        orientation,
+        focalLength,
+        focalLengthIn35mm,
+        scaleFactor35efl,
+        focalPlaneXRes,
+        focalPlaneYRes,
+        focalPlaneUnit,
+        digitalZoomRatio,
+        defaultCropOrigin,
+        defaultCropSize,
+        hasCrop,
+        cropRect,
+        focusDistance,
+        fileType,
+        distortionCorrection,
+        sonyDistortionParams,
+        sonyDistortionParamsNumber,
+        fujifilmDistortionParams,
+        opcodeList3,
+        diagonalFov,
+        geo,
+        video,
+        samples: null,
+        sources,
+    };
+}
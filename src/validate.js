@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+
+/**
+ * Validation against calibrated cameras.
+ *
+ * Runs analyze() on images of cameras with known (checkerboard-calibrated)
+ * intrinsics and reports how far the EXIF estimate is off: per image, per
+ * camera (`cameraId`), per f_35mm resolution tier, and overall. Tells how
+ * far each tier can be trusted for a camera model, and catches regressions
+ * in the resolution logic.
+ *
+ * Usage:   node src/validate.js --calibration <file> <file|dir|glob>... [options]
+ *
+ *   --calibration <file>     OpenCV YAML or COLMAP cameras.txt (see
+ *                            ./calibration.js)
+ *   --camera <id>            compare every image with this calibrated camera
+ *   --max-focal-error <pct>  fail when an image's focal length is off by more
+ *   --format <name>          table (default) or json
+ *   --sensor-db <file>       register a user sensor database
+ *   --focus-breathing <m>    none (default), thin-lens or table
+ *   --breathing-db <file>    register lens breathing tables (see ./breathing.js)
+ *   --config <file>          per-camera overrides (see ./overrides.js); default:
+ *                            fov.config.json / .yaml in the working directory
+ *
+ * Exit codes:  0 – every image was compared and within --max-focal-error
+ *              1 – an image failed, matched no camera or exceeded the limit
+ *              2 – usage error, or no image to process
+ */
+
+import { parseArgs } from "node:util";
+import { readFile } from "node:fs/promises";
+import { analyze } from "./index.js";
+import { shutdown } from "./exif.js";
+import { loadSensorDatabase } from "./sensors.js";
+import { loadBreathingDatabase } from "./breathing.js";
+import { loadOverrideConfig, findOverrideConfig } from "./overrides.js";
+import { parseCalibration } from "./calibration.js";
+import { FOCUS_BREATHING_MODELS, projectionAngle, orientIntrinsics, invertTransform } from "./compute.js";
+import { expandInputs } from "./files.js";
+import { errorStats } from "./stats.js";
+
+export const VALIDATION_FORMATS = ["table", "json"];
+
+// Relative aspect-ratio difference within which a calibration made at
+// another resolution is rescaled to the image
+const ASPECT_TOLERANCE = 0.005;
+
+// ── Comparison ───────────────────────────────────────────────────────────────
+
+/**
+ * HFOV / VFOV / DFOV (degrees) of pinhole-style intrinsics.
+ */
+function fovFromIntrinsics({ fx, fy }, width, height, projection) {
+    const angle = (x, y) => (2 * projectionAngle(Math.hypot(x, y), 1, projection) * 180) / Math.PI;
+    return {
+        hfov: angle(width / 2 / fx, 0),
+        vfov: angle(0, height / 2 / fy),
+        dfov: angle(width / 2 / fx, height / 2 / fy),
+    };
+}
+
+function sameAspect(w1, h1, w2, h2) {
+    return Math.abs((w1 / h1) / (w2 / h2) - 1) <= ASPECT_TOLERANCE;
+}
+
+/**
+ * Find the calibrated camera for an analyze() result and the frame to
+ * compare in.
+ *
+ * Cameras whose image size equals the visual size are compared as is; equal
+ * to the stored size of a rotated image, in the stored frame. A single
+ * camera of another size but the same aspect ratio is rescaled to the image;
+ * one without a recorded size is taken as is.
+ *
+ * @param {object[]} cameras – from parseCalibration()
+ * @param {object} result – analyze() result
+ * @param {{ camera?: string }} [options] – id of the camera to use
+ * @returns {{ camera: object, rotated: boolean }} – `camera` scaled to the
+ *          compared frame; `rotated` when that is the stored frame
+ */
+export function matchCalibration(cameras, result, { camera: id } = {}) {
+    const rotated = result.orientation >= 5 && result.orientation <= 8;
+    let candidates = cameras;
+    if (id != null) {
+        candidates = cameras.filter((c) => c.id === String(id));
+        if (candidates.length === 0) throw new Error(`No calibrated camera "${id}".`);
+    }
+
+    const frames = [{ width: result.visualWidth, height: result.visualHeight, rotated: false }];
+    if (rotated) frames.push({ width: result.rawWidth, height: result.rawHeight, rotated: true });
+
+    for (const frame of frames) {
+        const exact = candidates.filter((c) => c.width === frame.width && c.height === frame.height);
+        if (exact.length > 1) {
+            throw new Error(
+                `Several calibrated cameras match ${frame.width} × ${frame.height} px ` +
+                    `(${exact.map((c) => c.id).join(", ")}); choose one.`
+            );
+        }
+        if (exact.length === 1) return { camera: exact[0], rotated: frame.rotated };
+    }
+
+    if (candidates.length === 1) {
+        const [cam] = candidates;
+        if (cam.width == null) return { camera: cam, rotated: false };
+        for (const frame of frames) {
+            if (sameAspect(cam.width, cam.height, frame.width, frame.height)) {
+                const s = frame.width / cam.width;
+                return {
+                    camera: {
+                        ...cam,
+                        width: frame.width,
+                        height: frame.height,
+                        fx: cam.fx * s,
+                        fy: cam.fy * s,
+                        cx: cam.cx * s,
+                        cy: cam.cy * s,
+                    },
+                    rotated: frame.rotated,
+                };
+            }
+        }
+    }
+
+    throw new Error(
+        `No calibrated camera matches ${result.visualWidth} × ${result.visualHeight} px.`
+    );
+}
+
+/**
+ * Compare an analyze() result with a calibrated camera (see
+ * matchCalibration()).
+ *
+ * Focal lengths are compared as the geometric mean of fx and fy; the FOV of
+ * both sides is computed from its intrinsics under its own projection.
+ *
+ * @returns {{ file: string, calibration: string, cameraId: string,
+ *             tier: string, confidence: string,
+ *             estimated: { f: number, hfov: number, vfov: number, dfov: number },
+ *             calibrated: { f: number, hfov: number, vfov: number, dfov: number },
+ *             focalError: number, hfovError: number, vfovError: number,
+ *             dfovError: number, principalPointError: number }}
+ *          – focalError is relative (estimate / calibration − 1), FOV
+ *          errors in degrees, the principal-point error in pixels
+ */
+export function compareToCalibration(result, { camera, rotated }) {
+    let { fx, fy, cx, cy } = result.intrinsics;
+    let width = result.visualWidth;
+    let height = result.visualHeight;
+    if (rotated) {
+        // The calibration is in the stored frame: map the estimate back
+        ({ fx, fy, cx, cy } = orientIntrinsics(result.intrinsics, invertTransform(result.rawToVisual)));
+        [width, height] = [result.rawWidth, result.rawHeight];
+    }
+    const w = camera.width ?? width;
+    const h = camera.height ?? height;
+
+    const estimated = { f: Math.sqrt(fx * fy), ...fovFromIntrinsics({ fx, fy }, width, height, result.projection) };
+    const calibrated = {
+        f: Math.sqrt(camera.fx * camera.fy),
+        ...fovFromIntrinsics(camera, w, h, camera.projection),
+    };
+
+    return {
+        file: result.file,
+        calibration: camera.id,
+        cameraId: result.cameraId,
+        tier: result.provenance.f35mm.tier,
+        confidence: result.confidence,
+        estimated,
+        calibrated,
+        focalError: estimated.f / calibrated.f - 1,
+        hfovError: estimated.hfov - calibrated.hfov,
+        vfovError: estimated.vfov - calibrated.vfov,
+        dfovError: estimated.dfov - calibrated.dfov,
+        principalPointError: Math.hypot(cx - camera.cx, cy - camera.cy),
+    };
+}
+
+// ── Statistics ───────────────────────────────────────────────────────────────
+
+const ERROR_FIELDS = ["focalError", "hfovError", "vfovError", "dfovError", "principalPointError"];
+
+function groupStats(rows) {
+    return Object.fromEntries(ERROR_FIELDS.map((field) => [field, errorStats(rows.map((r) => r[field]))]));
+}
+
+function groupBy(rows, key) {
+    const groups = new Map();
+    for (const row of rows) {
+        const k = row[key] ?? "unknown";
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(row);
+    }
+    return [...groups.entries()].map(([k, members]) => ({ [key]: k, ...groupStats(members) }));
+}
+
+/**
+ * Aggregate statistics of compareToCalibration() rows: n, mean, mean
+ * absolute, RMS and maximum absolute value of every error, per camera,
+ * per f_35mm tier and overall.
+ *
+ * @param {object[]} rows
+ * @returns {{ byCamera: object[], byTier: object[], overall: object|null }}
+ */
+export function summariseValidation(rows) {
+    if (rows.length === 0) return { byCamera: [], byTier: [], overall: null };
+    return {
+        byCamera: groupBy(rows, "cameraId"),
+        byTier: groupBy(rows, "tier"),
+        overall: groupStats(rows),
+    };
+}
+
+/**
+ * Validate the EXIF estimates of images against a calibration file.
+ *
+ * @param {string} calibrationPath – OpenCV YAML or COLMAP cameras.txt
+ * @param {string[]} files – image paths
+ * @param {{ camera?: string }} [options] – calibrated camera to use for
+ *        every image, plus any analyze() option
+ * @returns {Promise<{ rows: object[], failures: { file: string, error: string }[],
+ *          summary: object }>}
+ */
+export async function validate(calibrationPath, files, { camera, ...options } = {}) {
+    const cameras = parseCalibration(await readFile(calibrationPath, "utf8"));
+    const rows = [];
+    const failures = [];
+
+    for (const file of files) {
+        try {
+            const result = await analyze(file, options);
+            rows.push(compareToCalibration(result, matchCalibration(cameras, result, { camera })));
+        } catch (err) {
+            failures.push({ file, error: err.message });
+        }
+    }
+
+    return { rows, failures, summary: summariseValidation(rows) };
+}
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
+
+const USAGE =
+    "Usage: node src/validate.js --calibration <file> <file|dir|glob>... " +
+    "[--camera <id>] [--max-focal-error <pct>] [--format table|json] " +
+    "[--sensor-db <file>] [--focus-breathing <model>] [--breathing-db <file>] " +
+    "[--config <file>]";
+
+const EXIT_FAILURES = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parseCli() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                calibration: { type: "string" },
+                camera: { type: "string" },
+                "max-focal-error": { type: "string" },
+                format: { type: "string", default: "table" },
+                "sensor-db": { type: "string" },
+                "focus-breathing": { type: "string", default: "none" },
+                "breathing-db": { type: "string" },
+                config: { type: "string" },
+            },
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    const { values, positionals } = args;
+
+    if (!values.calibration) throw new UsageError("--calibration is required.");
+    if (positionals.length === 0) throw new UsageError("No input given.");
+
+    const maxFocalError =
+        values["max-focal-error"] != null ? Number(values["max-focal-error"]) : null;
+    if (maxFocalError != null && !(maxFocalError >= 0)) {
+        throw new UsageError(
+            `--max-focal-error must be a non-negative percentage, got "${values["max-focal-error"]}".`
+        );
+    }
+
+    if (!VALIDATION_FORMATS.includes(values.format)) {
+        throw new UsageError(`Unknown output format "${values.format}".`);
+    }
+
+    if (!FOCUS_BREATHING_MODELS.includes(values["focus-breathing"])) {
+        throw new UsageError(`Unknown focus-breathing model "${values["focus-breathing"]}".`);
+    }
+
+    return {
+        calibration: values.calibration,
+        inputs: positionals,
+        camera: values.camera,
+        maxFocalError,
+        format: values.format,
+        sensorDb: values["sensor-db"],
+        focusBreathing: values["focus-breathing"],
+        breathingDb: values["breathing-db"],
+        config: values.config,
+    };
+}
+
+const pct = (x) => `${x >= 0 ? "+" : ""}${(x * 100).toFixed(2)}%`;
+const deg = (x) => `${x >= 0 ? "+" : ""}${x.toFixed(2)}°`;
+
+function formatStats(label, s) {
+    return (
+        `  ${label.padEnd(40)} n=${String(s.focalError.n).padEnd(4)}` +
+        ` f ${pct(s.focalError.mean)} (rms ${(s.focalError.rms * 100).toFixed(2)}%, max ${(s.focalError.maxAbs * 100).toFixed(2)}%)` +
+        `  HFOV rms ${s.hfovError.rms.toFixed(2)}°  VFOV rms ${s.vfovError.rms.toFixed(2)}°`
+    );
+}
+
+function formatReport({ rows, failures, summary }) {
+    const lines = ["Per image"];
+    for (const r of rows) {
+        lines.push(
+            `  ${r.file}`,
+            `    ${r.cameraId} vs ${r.calibration} (${r.tier}, ${r.confidence}): ` +
+                `f ${pct(r.focalError)}  HFOV ${deg(r.hfovError)}  VFOV ${deg(r.vfovError)}  ` +
+                `DFOV ${deg(r.dfovError)}  c ${r.principalPointError.toFixed(1)} px`
+        );
+    }
+    for (const f of failures) lines.push(`  ${f.file}`, `    ⚠ ${f.error}`);
+
+    if (summary.overall) {
+        lines.push("", "By camera");
+        for (const g of summary.byCamera) lines.push(formatStats(g.cameraId, g));
+        lines.push("", "By f_35mm tier");
+        for (const g of summary.byTier) lines.push(formatStats(g.tier, g));
+        lines.push("", "Overall", formatStats(`${rows.length} image(s)`, summary.overall));
+    }
+    return lines.join("\n") + "\n";
+}
+
+async function main() {
+    let opts;
+    try {
+        opts = parseCli();
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        console.error(`Error: ${err.message}`);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    if (opts.sensorDb) await loadSensorDatabase(opts.sensorDb);
+    if (opts.breathingDb) await loadBreathingDatabase(opts.breathingDb);
+    const configPath = opts.config ?? (await findOverrideConfig());
+    if (configPath) await loadOverrideConfig(configPath);
+
+    const { files, missing } = await expandInputs(opts.inputs);
+    for (const input of missing) console.error(`⚠ No image matched "${input}"`);
+    if (files.length === 0) {
+        console.error("Error: no image to process.");
+        return EXIT_USAGE;
+    }
+
+    let report;
+    try {
+        report = await validate(opts.calibration, files, {
+            camera: opts.camera,
+            focusBreathing: opts.focusBreathing,
+        });
+    } finally {
+        await shutdown();
+    }
+
+    const exceeded =
+        opts.maxFocalError != null
+            ? report.rows.filter((r) => Math.abs(r.focalError) * 100 > opts.maxFocalError)
+            : [];
+
+    if (opts.format === "json") {
+        console.log(JSON.stringify({ ...report, exceeded: exceeded.map((r) => r.file) }, null, 2));
+    } else {
+        process.stdout.write(formatReport(report));
+        if (exceeded.length > 0) {
+            console.log(
+                `\n⚠ ${exceeded.length} image(s) off by more than ${opts.maxFocalError}% in focal length`
+            );
+        }
+    }
+
+    return report.failures.length > 0 || missing.length > 0 || exceeded.length > 0
+        ? EXIT_FAILURES
+        : 0;
+}
+
+// Only run CLI when executed directly (not when imported)
+const isDirectRun =
+    process.argv[1] &&
+    import.meta.url.endsWith(process.argv[1].replace(/.*\//, ""));
+if (isDirectRun) {
+    main().then(
+        (code) => {
+            process.exitCode = code;
+        },
+        (err) => {
+            console.error(`Error: ${err.message}`);
+            process.exitCode = EXIT_USAGE;
+        }
+    );
+}
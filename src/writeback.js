@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+
+/**
+ * Metadata writeback.
+ *
+ * Persists computed values so that other tools (photogrammetry suites, DAMs)
+ * can read them:
+ *
+ *   • the image gets `FocalLengthIn35mmFormat` when it has none
+ *   • optionally, an XMP sidecar (`photo.jpg` → `photo.xmp`) gets the full
+ *     camera model: `XMP-exif` 35 mm and focal-plane tags, and Pix4D's
+ *     `Camera:` tags (see data/pix4d.config)
+ *
+ * Usage:   node src/writeback.js <file|dir|glob>... [options]
+ *
+ *   --sidecar              also write the XMP sidecar
+ *   --dry-run              print what would be written, change nothing
+ *   --no-backup            do not keep `<file>_original` copies
+ *   --projection <model>   force a lens projection model
+ *   --sensor-db <file>     register a user sensor database
+ *   --lcp <file|dir>       register Adobe lens profiles (see ./distortion.js)
+ *   --config <file>        per-camera overrides (see ./overrides.js); default:
+ *                          fov.config.json / .yaml in the working directory
+ *
+ * Exit codes:  0 – every file succeeded
+ *              1 – at least one file failed or an input matched nothing
+ *              2 – usage error, or no image to process
+ */
+
+import { parseArgs } from "node:util";
+import { join, dirname, basename, extname } from "node:path";
+import { analyze } from "./index.js";
+import { writeTags, shutdown } from "./exif.js";
+import { loadSensorDatabase } from "./sensors.js";
+import { loadLcpProfiles } from "./distortion.js";
+import { loadOverrideConfig, findOverrideConfig } from "./overrides.js";
+import { PROJECTIONS, invertTransform, orientIntrinsics, orientDistortion } from "./compute.js";
+import { expandInputs } from "./files.js";
+
+// ── Planning ─────────────────────────────────────────────────────────────────
+
+/**
+ * Default sidecar path: the image path with its extension replaced by `.xmp`.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+export function sidecarPathFor(file) {
+    return join(dirname(file), basename(file, extname(file)) + ".xmp");
+}
+
+/**
+ * Pix4D camera-model tags, in mm on the sensor, plus the focal-plane
+ * resolution that relates them to pixels. Like the EXIF focal-plane tags,
+ * they describe the raw (stored) frame: the intrinsics of the result are
+ * turned back from the visual frame. Null when the physical focal length is
+ * unknown (the pixel pitch cannot be derived) or the lens is not
+ * rectilinear.
+ */
+function cameraModelTags(result) {
+    if (!(result.focalLength > 0) || result.projection !== "rectilinear") return null;
+
+    // Pixel pitch of the stored image on each axis; a digital zoom makes
+    // it finer than the sensor's
+    const visualToRaw = invertTransform(result.rawToVisual);
+    const focalMm = result.focalLength;
+    const { fx, fy, cx, cy } = orientIntrinsics(result.intrinsics, visualToRaw);
+    const pitchX = focalMm / fx;
+    const pitchY = focalMm / fy;
+
+    const tags = {
+        "XMP-exif:FocalPlaneXResolution": round(1 / pitchX, 6),
+        "XMP-exif:FocalPlaneYResolution": round(1 / pitchY, 6),
+        "XMP-exif:FocalPlaneResolutionUnit": 4, // mm
+        "XMP-Camera:ModelType": "perspective",
+        "XMP-Camera:PerspectiveFocalLength": round(focalMm, 6),
+        "XMP-Camera:PerspectiveFocalLengthUnits": "mm",
+        "XMP-Camera:PrincipalPoint": `${round(cx * pitchX, 6)},${round(cy * pitchY, 6)}`,
+    };
+
+    // Residual distortion of the image as stored; none if the camera
+    // already corrected it
+    const { coefficients, correctedInCamera } = result.distortion;
+    if (coefficients && !correctedInCamera) {
+        const { k1, k2, k3, p1, p2 } = orientDistortion(coefficients, visualToRaw);
+        tags["XMP-Camera:PerspectiveDistortion"] = [k1, k2, k3, p1, p2]
+            .map((k) => round(k, 8))
+            .join(",");
+    }
+    return tags;
+}
+
+function round(n, digits) {
+    return Number(n.toFixed(digits));
+}
+
+/**
+ * Work out what writeback() would write for an analyze() result.
+ *
+ * @param {object} result – analyze() result, computed without crop and
+ *        focus-breathing adjustments (they do not describe the stored image)
+ * @param {{ sidecar?: boolean, sidecarPath?: string }} [options]
+ * @returns {{ image: object|null, sidecar: { path: string, tags: object }|null,
+ *             notes: string[] }} – tags per destination (null: nothing to
+ *          write) and why anything was left out
+ */
+export function planWriteback(result, { sidecar = false, sidecarPath } = {}) {
+    const notes = [];
+    const f35 = Math.round(result.focalLengthIn35mm);
+
+    let image = null;
+    if (result.provenance.sources.focalLengthIn35mm) {
+        notes.push("FocalLengthIn35mmFormat already present");
+    } else {
+        image = { FocalLengthIn35mmFormat: f35 };
+    }
+
+    let xmp = null;
+    if (sidecar) {
+        const tags = { "XMP-exif:FocalLengthIn35mmFormat": f35 };
+        if (result.focalLength > 0) tags["XMP-exif:FocalLength"] = result.focalLength;
+
+        const model = cameraModelTags(result);
+        if (model) {
+            Object.assign(tags, model);
+        } else {
+            notes.push(
+                result.projection !== "rectilinear"
+                    ? `no camera model for the ${result.projection} projection`
+                    : "no camera model without a physical FocalLength"
+            );
+        }
+        xmp = { path: sidecarPath ?? sidecarPathFor(result.file), tags };
+    }
+
+    return { image, sidecar: xmp, notes };
+}
+
+// ── Writeback ────────────────────────────────────────────────────────────────
+
+/**
+ * Analyse an image and write the computed values back (see the module
+ * comment). Crop and focus-breathing adjustments are never applied: the
+ * values describe the image as stored.
+ *
+ * @param {string} filePath – path to an image
+ * @param {{ sidecar?: boolean, sidecarPath?: string, dryRun?: boolean,
+ *           backup?: boolean }} [options] – plus any analyze() option;
+ *        `backup` (default true) keeps `<file>_original` copies
+ * @returns {Promise<{ file: string, image: object|null,
+ *          sidecar: { path: string, tags: object }|null, notes: string[],
+ *          warnings: string[], dryRun: boolean }>}
+ */
+export async function writeback(
+    filePath,
+    { sidecar = false, sidecarPath, dryRun = false, backup = true, ...options } = {}
+) {
+    const result = await analyze(filePath, {
+        ...options,
+        applyCrop: false,
+        focusBreathing: "none",
+    });
+    if (result.video) {
+        throw new Error(`Writeback is not supported for video files ("${filePath}").`);
+    }
+
+    const plan = planWriteback(result, { sidecar, sidecarPath });
+    const warnings = [];
+
+    if (!dryRun) {
+        if (plan.image) warnings.push(...(await writeTags(filePath, plan.image, { backup })));
+        if (plan.sidecar) {
+            warnings.push(...(await writeTags(plan.sidecar.path, plan.sidecar.tags, { backup })));
+        }
+    }
+
+    return { file: filePath, ...plan, warnings, dryRun };
+}
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
+
+const USAGE =
+    "Usage: node src/writeback.js <file|dir|glob>... [--sidecar] [--dry-run] " +
+    "[--no-backup] [--projection <model>] [--sensor-db <file>] [--lcp <file|dir>] " +
+    "[--config <file>]";
+
+const EXIT_FAILURES = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parseCli() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                sidecar: { type: "boolean" },
+                "dry-run": { type: "boolean" },
+                "no-backup": { type: "boolean" },
+                projection: { type: "string" },
+                "sensor-db": { type: "string" },
+                lcp: { type: "string" },
+                config: { type: "string" },
+            },
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    const { values, positionals } = args;
+
+    if (positionals.length === 0) {
+        throw new UsageError("No input given.");
+    }
+
+    if (values.projection && !PROJECTIONS.includes(values.projection)) {
+        throw new UsageError(`Unknown projection "${values.projection}".`);
+    }
+
+    return {
+        inputs: positionals,
+        sidecar: Boolean(values.sidecar),
+        dryRun: Boolean(values["dry-run"]),
+        backup: !values["no-backup"],
+        projection: values.projection,
+        sensorDb: values["sensor-db"],
+        lcp: values.lcp,
+        config: values.config,
+    };
+}
+
+function formatTags(tags) {
+    return Object.entries(tags).map(([tag, value]) => `    ${tag} = ${value}`);
+}
+
+/**
+ * Render one file's outcome as a single string.
+ */
+function formatOutcome(outcome) {
+    const lines = [outcome.file];
+    if (outcome.image) lines.push("  image:", ...formatTags(outcome.image));
+    if (outcome.sidecar) {
+        lines.push(`  sidecar ${outcome.sidecar.path}:`, ...formatTags(outcome.sidecar.tags));
+    }
+    for (const note of outcome.notes) lines.push(`  – ${note}`);
+    for (const warning of outcome.warnings) lines.push(`  ⚠ ${warning}`);
+    return lines.join("\n");
+}
+
+async function main() {
+    let opts;
+    try {
+        opts = parseCli();
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        console.error(`Error: ${err.message}`);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    if (opts.sensorDb) await loadSensorDatabase(opts.sensorDb);
+    if (opts.lcp) await loadLcpProfiles(opts.lcp);
+    const configPath = opts.config ?? (await findOverrideConfig());
+    if (configPath) await loadOverrideConfig(configPath);
+
+    const { files, missing } = await expandInputs(opts.inputs);
+    for (const input of missing) console.error(`⚠ No image matched "${input}"`);
+    if (files.length === 0) {
+        console.error("Error: no image to process.");
+        return EXIT_USAGE;
+    }
+
+    if (opts.dryRun) console.log("Dry run: nothing is written.\n");
+
+    let failures = 0;
+    try {
+        for (const file of files) {
+            try {
+                const outcome = await writeback(file, {
+                    sidecar: opts.sidecar,
+                    dryRun: opts.dryRun,
+                    backup: opts.backup,
+                    projection: opts.projection,
+                });
+                console.log(formatOutcome(outcome));
+            } catch (err) {
+                console.log(`${file}\n  ⚠ Error: ${err.message}`);
+                failures++;
+            }
+        }
+    } finally {
+        await shutdown();
+    }
+
+    return failures > 0 || missing.length > 0 ? EXIT_FAILURES : 0;
+}
+
+// Only run CLI when executed directly (not when imported)
+const isDirectRun =
+    process.argv[1] &&
+    import.meta.url.endsWith(process.argv[1].replace(/.*\//, ""));
+if (isDirectRun) {
+    main().then(
+        (code) => {
+            process.exitCode = code;
+        },
+        (err) => {
+            console.error(`Error: ${err.message}`);
+            process.exitCode = EXIT_USAGE;
+        }
+    );
+}
@@ -0,0 +1,247 @@
+/**
+ * Minimal YAML reader for configuration files.
+ *
+ * Covers the subset hand-written configs use: block mappings and sequences
+ * (nested by indentation), `# comments`, single- and double-quoted strings,
+ * numbers, booleans, `null` / `~`, and single-line flow collections
+ * (`[1, 2]`, `{ x: 1, y: 2 }`). Anchors, tags, multi-line strings and
+ * multiple documents are not supported and raise an error rather than being
+ * misread.
+ *
+ * No Node.js APIs are used, so the module also runs in browsers.
+ */
+
+// ── Scalars ───────────────────────────────────────────────────────────────────
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Remove a trailing comment outside quotes.
+ */
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+/**
+ * Split a flow collection's contents at top-level commas.
+ */
+function splitFlow(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === "[" || c === "{") {
+            depth++;
+        } else if (c === "]" || c === "}") {
+            depth--;
+        } else if (c === "," && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map((p) => p.trim()).filter((p) => p !== "");
+}
+
+/**
+ * Position of the `:` that ends a mapping key, or -1.
+ */
+function keySeparator(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === ":" && (i === text.length - 1 || text[i + 1] === " ")) {
+            return i;
+        } else if (c === "[" || c === "{") {
+            return -1;
+        }
+    }
+    return -1;
+}
+
+function parseKey(text, lineNo) {
+    const key = parseScalar(text.trim(), lineNo);
+    if (key == null || typeof key === "object") {
+        throw new Error(`YAML line ${lineNo}: invalid mapping key "${text.trim()}".`);
+    }
+    return String(key);
+}
+
+function parseScalar(text, lineNo) {
+    if (text === "" || text === "~" || text === "null") return null;
+    if (text === "true") return true;
+    if (text === "false") return false;
+    if (NUMBER.test(text)) return Number(text);
+
+    if (text.startsWith('"')) {
+        if (!text.endsWith('"') || text.length < 2) {
+            throw new Error(`YAML line ${lineNo}: unterminated string.`);
+        }
+        return JSON.parse(text);
+    }
+    if (text.startsWith("'")) {
+        if (!text.endsWith("'") || text.length < 2) {
+            throw new Error(`YAML line ${lineNo}: unterminated string.`);
+        }
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+
+    if (text.startsWith("[")) {
+        if (!text.endsWith("]")) throw new Error(`YAML line ${lineNo}: unterminated flow sequence.`);
+        return splitFlow(text.slice(1, -1)).map((p) => parseScalar(p, lineNo));
+    }
+    if (text.startsWith("{")) {
+        if (!text.endsWith("}")) throw new Error(`YAML line ${lineNo}: unterminated flow mapping.`);
+        const map = {};
+        for (const part of splitFlow(text.slice(1, -1))) {
+            const sep = keySeparator(part);
+            if (sep < 0) throw new Error(`YAML line ${lineNo}: expected "key: value" in "${part}".`);
+            map[parseKey(part.slice(0, sep), lineNo)] = parseScalar(part.slice(sep + 1).trim(), lineNo);
+        }
+        return map;
+    }
+
+    if (/^[&*!|>]/.test(text)) {
+        throw new Error(`YAML line ${lineNo}: anchors, tags and block scalars are not supported.`);
+    }
+    return text;
+}
+
+// ── Blocks ────────────────────────────────────────────────────────────────────
+
+const isSequenceItem = (text) => text === "-" || text.startsWith("- ");
+
+/**
+ * Parse the block starting at `lines[state.i]`, indented by `indent`.
+ */
+function parseBlock(lines, state, indent) {
+    return isSequenceItem(lines[state.i].text)
+        ? parseSequence(lines, state, indent)
+        : parseMapping(lines, state, indent);
+}
+
+/**
+ * The value of a key or item whose text is empty: a nested block or null.
+ * A sequence may sit at its parent key's indentation.
+ */
+function parseNested(lines, state, indent) {
+    const next = lines[state.i];
+    if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.text)))) {
+        return parseBlock(lines, state, next.indent);
+    }
+    return null;
+}
+
+function parseSequence(lines, state, indent) {
+    const items = [];
+    while (state.i < lines.length) {
+        const line = lines[state.i];
+        // A sequence under a key may share the key's indentation
+        if (line.indent < indent || !isSequenceItem(line.text)) break;
+        if (line.indent > indent) throw new Error(`YAML line ${line.no}: bad indentation.`);
+
+        const rest = line.text.slice(1).trimStart();
+        if (rest === "") {
+            state.i++;
+            items.push(parseNested(lines, state, indent + 1));
+        } else if (isSequenceItem(rest) || keySeparator(rest) >= 0) {
+            // "- key: value" opens a mapping (or "- - x" a sequence) whose
+            // entries continue at the column of its first key
+            const column = indent + line.text.length - rest.length;
+            lines[state.i] = { ...line, indent: column, text: rest };
+            items.push(parseBlock(lines, state, column));
+        } else {
+            state.i++;
+            items.push(parseScalar(rest, line.no));
+        }
+    }
+    return items;
+}
+
+function parseMapping(lines, state, indent) {
+    const map = {};
+    while (state.i < lines.length) {
+        const line = lines[state.i];
+        if (line.indent < indent) break;
+        if (line.indent > indent) throw new Error(`YAML line ${line.no}: bad indentation.`);
+        if (isSequenceItem(line.text)) break;
+
+        const sep = keySeparator(line.text);
+        if (sep < 0) throw new Error(`YAML line ${line.no}: expected "key: value".`);
+        const key = parseKey(line.text.slice(0, sep), line.no);
+        if (Object.hasOwn(map, key)) throw new Error(`YAML line ${line.no}: duplicate key "${key}".`);
+
+        const value = line.text.slice(sep + 1).trim();
+        state.i++;
+        map[key] = value === "" ? parseNested(lines, state, indent) : parseScalar(value, line.no);
+    }
+    return map;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a YAML document (see the module comment for the supported subset).
+ *
+ * @param {string} text
+ * @returns {*} – the document's value; null for an empty document
+ */
+export function parseYaml(text) {
+    const lines = [];
+    // A "---" start marker may only open the first document, and nothing
+    // but comments may follow a "..." end marker
+    let started = false;
+    let ended = false;
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const multiple = () => new Error(`YAML line ${index + 1}: multiple documents are not supported.`);
+        if (/^---\s*$/.test(raw)) {
+            if (started || ended || lines.length > 0) throw multiple();
+            started = true;
+            return;
+        }
+        if (/^\.\.\.\s*$/.test(raw)) {
+            ended = true;
+            return;
+        }
+        if (raw.startsWith("%") && !started && !ended && lines.length === 0) return;
+        const line = stripComment(raw).trimEnd();
+        if (line.trim() === "") return;
+        if (ended) throw multiple();
+        if (/^\s*\t/.test(line)) throw new Error(`YAML line ${index + 1}: tabs are not allowed for indentation.`);
+        const indent = line.length - line.trimStart().length;
+        lines.push({ no: index + 1, indent, text: line.trim() });
+    });
+    if (lines.length === 0) return null;
+
+    const state = { i: 0 };
+    // A single scalar or flow collection
+    if (lines.length === 1 && !isSequenceItem(lines[0].text) && keySeparator(lines[0].text) < 0) {
+        return parseScalar(lines[0].text, lines[0].no);
+    }
+    const value = parseBlock(lines, state, lines[0].indent);
+    if (state.i < lines.length) {
+        throw new Error(`YAML line ${lines[state.i].no}: bad indentation.`);
+    }
+    return value;
+}
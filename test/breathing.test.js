@@ -0,0 +1,81 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+    lookupBreathingProfile,
+    registerBreathingProfiles,
+    loadBreathingDatabase,
+    clearBreathingProfiles,
+} from "../src/breathing.js";
+
+const POINTS = [{ distance: 0.45, magnification: 0.93 }];
+
+describe("lookupBreathingProfile", () => {
+    afterEach(() => clearBreathingProfiles());
+
+    it("should return null without profiles or a lens model", () => {
+        assert.equal(lookupBreathingProfile({ lensModel: "RF50mm F1.8 STM" }), null);
+        registerBreathingProfiles({ lens: "RF50mm", points: POINTS });
+        assert.equal(lookupBreathingProfile({ lensModel: null }), null);
+    });
+
+    it("should match the lens as a case-insensitive substring", () => {
+        registerBreathingProfiles({ lens: "rf50mm", points: POINTS });
+        const p = lookupBreathingProfile({ make: "Canon", lensModel: "RF50mm F1.8 STM" });
+        assert.deepEqual(p.points, POINTS);
+    });
+
+    it("should prefer the profile for the recorded focal length", () => {
+        registerBreathingProfiles([
+            { lens: "RF24-105mm", points: [{ distance: 1, magnification: 0.99 }] },
+            { lens: "RF24-105mm", focalLength: 105, points: POINTS },
+            { lens: "RF24-105mm", focalLength: 24, points: [{ distance: 1, magnification: 0.97 }] },
+        ]);
+        const meta = { lensModel: "RF24-105mm F4 L IS USM" };
+        assert.deepEqual(lookupBreathingProfile({ ...meta, focalLength: 105 }).points, POINTS);
+        assert.equal(lookupBreathingProfile({ ...meta, focalLength: 24 }).points[0].magnification, 0.97);
+        assert.equal(lookupBreathingProfile({ ...meta, focalLength: 50 }).points[0].magnification, 0.99);
+    });
+
+    it("should honour an optional make", () => {
+        registerBreathingProfiles({ make: "Sigma", lens: "35mm", points: POINTS });
+        assert.equal(lookupBreathingProfile({ make: "Canon", lensModel: "EF35mm f/2" }), null);
+        assert.ok(lookupBreathingProfile({ make: "SIGMA", lensModel: "35mm F1.4 DG" }));
+    });
+
+    it("should reject invalid profiles", () => {
+        assert.throws(() => registerBreathingProfiles({ points: POINTS }), /must have a lens/);
+        assert.throws(() => registerBreathingProfiles({ lens: "x", points: [] }), /at least one point/);
+        assert.throws(
+            () => registerBreathingProfiles({ lens: "x", points: [{ distance: -1, magnification: 1 }] }),
+            /positive distance/
+        );
+        assert.throws(() => registerBreathingProfiles({ version: 2, lenses: [] }), /Unsupported/);
+    });
+});
+
+describe("loadBreathingDatabase", () => {
+    afterEach(() => clearBreathingProfiles());
+
+    it("should register profiles from a JSON file", async () => {
+        const dir = await mkdtemp(join(tmpdir(), "fov-breathing-"));
+        try {
+            const file = join(dir, "breathing.json");
+            await writeFile(
+                file,
+                JSON.stringify({ version: 1, lenses: [{ lens: "RF50mm", points: POINTS }] })
+            );
+            assert.equal(await loadBreathingDatabase(file), 1);
+            assert.ok(lookupBreathingProfile({ lensModel: "RF50mm F1.8 STM" }));
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("should report unreadable files", async () => {
+        await assert.rejects(loadBreathingDatabase("/nonexistent/breathing.json"), /Cannot read/);
+    });
+});
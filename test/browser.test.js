@@ -0,0 +1,129 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, readFile, rm } from "node:fs/promises";
+import { execFileSync } from "node:child_process";
+import { tmpdir } from "node:os";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { exiftool } from "exiftool-vendored";
+
+import * as browser from "../src/browser.js";
+import { analyze, analyzeTags } from "../src/index.js";
+import { shutdown } from "../src/exif.js";
+import { minimalJpeg } from "./fixtures.js";
+
+const SRC_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "src");
+
+/**
+ * Helper: module specifiers a source file imports or re-exports statically.
+ */
+function staticImports(source) {
+    const specifiers = [];
+    for (const m of source.matchAll(/^(?:import|export)\b[^;]*?\bfrom\s+"([^"]+)"/gm)) {
+        specifiers.push(m[1]);
+    }
+    for (const m of source.matchAll(/^import\s+"([^"]+)"/gm)) specifiers.push(m[1]);
+    return specifiers;
+}
+
+describe("browser entry point", () => {
+    it("should only import project modules statically", async () => {
+        const seen = new Set();
+        const visit = async (file) => {
+            if (seen.has(file)) return;
+            seen.add(file);
+            const source = await readFile(join(SRC_DIR, file), "utf8");
+            for (const specifier of staticImports(source)) {
+                assert.ok(specifier.startsWith("./"), `${file} imports "${specifier}"`);
+                if (specifier.endsWith(".js")) await visit(specifier.slice(2));
+            }
+        };
+        await visit("browser.js");
+        assert.ok(seen.has("compute.js") && seen.has("exifparser.js"));
+        assert.ok(!seen.has("exif.js") && !seen.has("files.js"));
+    });
+
+    it("should be selected by the browser export condition", () => {
+        const probe =
+            'const m = await import("exif-fov-estimation"); ' +
+            "console.log(typeof m.analyze, typeof m.analyzeTags);";
+        const run = (args) =>
+            execFileSync(process.execPath, [...args, "--input-type=module", "-e", probe], {
+                encoding: "utf8",
+            }).trim();
+
+        assert.equal(run(["--conditions=browser"]), "undefined function");
+        assert.equal(run([]), "function function");
+    });
+
+    it("should analyse plain tag objects with ExifTool-style values", () => {
+        const result = browser.analyzeTags({
+            Make: "Apple",
+            Model: "iPhone 12",
+            ImageWidth: 4032,
+            ImageHeight: 3024,
+            FocalLength: "4.2 mm",
+            FocalLengthIn35mmFormat: "26 mm",
+            Orientation: "Rotate 90 CW",
+        });
+        assert.equal(result.file, null);
+        assert.equal(result.orientation, 6);
+        assert.equal(result.visualWidth, 3024);
+        assert.equal(result.focalLengthIn35mm, 26);
+        assert.equal(result.provenance.f35mm.tier, "focalLengthIn35mm");
+        assert.equal(analyzeTags, browser.analyzeTags);
+    });
+
+    it("should reject tags without pixel dimensions", () => {
+        assert.throws(() => browser.analyzeTags({ FocalLength: 50 }), /pixel dimensions/);
+    });
+
+    describe("analyzeBuffer", () => {
+        let dir;
+        let file;
+
+        before(async () => {
+            dir = await mkdtemp(join(tmpdir(), "fov-browser-"));
+            file = join(dir, "phone.jpg");
+            await writeFile(file, minimalJpeg());
+            await exiftool.write(
+                file,
+                {
+                    Make: "Apple",
+                    Model: "iPhone 12",
+                    FocalLength: 4.2,
+                    FocalLengthIn35mmFormat: 26,
+                    Orientation: 8,
+                    SubjectDistance: 0.6,
+                },
+                ["-overwrite_original", "-n"]
+            );
+        });
+
+        after(async () => {
+            await shutdown();
+            await rm(dir, { recursive: true, force: true });
+        });
+
+        it("should match the Node result for the same bytes", async () => {
+            const options = { focusBreathing: "thin-lens" };
+            const expected = await analyze(file, options);
+            const bytes = await readFile(file);
+
+            const fromBlob = await browser.analyzeBuffer(new Blob([bytes]), { filename: file, ...options });
+            const fromArrayBuffer = await browser.analyzeBuffer(
+                bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length),
+                { filename: file, ...options }
+            );
+            assert.deepEqual(fromBlob, expected);
+            assert.deepEqual(fromArrayBuffer, expected);
+        });
+
+        it("should take the file name from a File", async () => {
+            const upload = new File([await readFile(file)], "upload.jpg");
+            const result = await browser.analyzeBuffer(upload);
+            assert.equal(result.file, "upload.jpg");
+            assert.equal(result.visualHeight, 4032);
+        });
+    });
+});
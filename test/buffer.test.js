@@ -0,0 +1,168 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, readFile, rm } from "node:fs/promises";
+import { createReadStream } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { exiftool, ExifDateTime } from "exiftool-vendored";
+
+import { analyze, analyzeBuffer, analyzeStream } from "../src/index.js";
+import { shutdown, setExifBackend, getExifBackend, configureExifTool, extractExifFromBuffer } from "../src/exif.js";
+import { minimalJpeg } from "./fixtures.js";
+
+/**
+ * Helper: little-endian TIFF with a single IFD holding the dimensions of a
+ * 6000 × 4000 image; tags are written into it below.
+ */
+function minimalTiff() {
+    const ifd = Buffer.alloc(2 + 2 * 12 + 4);
+    ifd.writeUInt16LE(2, 0);
+    [
+        [256, 6000],
+        [257, 4000],
+    ].forEach(([tag, value], i) => {
+        const offset = 2 + i * 12;
+        ifd.writeUInt16LE(tag, offset);
+        ifd.writeUInt16LE(3, offset + 2); // SHORT
+        ifd.writeUInt32LE(1, offset + 4);
+        ifd.writeUInt16LE(value, offset + 8);
+    });
+    return Buffer.concat([Buffer.from("49492a0008000000", "hex"), ifd]);
+}
+
+describe("analyzeBuffer / analyzeStream", () => {
+    let dir;
+    let file;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "fov-buffer-"));
+        file = join(dir, "phone.jpg");
+        await writeFile(file, minimalJpeg());
+        await exiftool.write(
+            file,
+            {
+                Make: "Apple",
+                Model: "iPhone 12",
+                FocalLength: 4.2,
+                FocalLengthIn35mmFormat: 26,
+                Orientation: 6,
+                SubjectDistance: 0.8,
+            },
+            ["-overwrite_original", "-n"]
+        );
+    });
+
+    after(async () => {
+        await shutdown();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should match the path-based result for the same bytes", async () => {
+        const options = { focusBreathing: "thin-lens" };
+        const expected = await analyze(file, options);
+        const bytes = await readFile(file);
+
+        const fromBuffer = await analyzeBuffer(bytes, { filename: file, ...options });
+        const fromStream = await analyzeStream(createReadStream(file), { filename: file, ...options });
+
+        assert.deepEqual(fromBuffer, expected);
+        assert.deepEqual(fromStream, expected);
+        assert.equal(expected.visualWidth, 3024);
+        assert.ok(expected.focusBreathing.factor > 1);
+    });
+
+    it("should report the file as null without a filename", async () => {
+        const result = await analyzeBuffer(await readFile(file));
+        assert.equal(result.file, null);
+        assert.equal(result.focalLengthIn35mm, 26);
+    });
+
+    it("should accept any async iterable of chunks", async () => {
+        const bytes = await readFile(file);
+        async function* chunks() {
+            for (let i = 0; i < bytes.length; i += 100) yield bytes.subarray(i, i + 100);
+        }
+        const result = await analyzeStream(chunks(), { filename: "upload.jpg" });
+        assert.equal(result.file, "upload.jpg");
+        assert.equal(result.hfov, (await analyze(file)).hfov);
+    });
+
+    it("should tell TIFF-based raws apart by the filename's extension", async () => {
+        const raw = join(dir, "body.nef");
+        await writeFile(raw, minimalTiff());
+        await exiftool.write(
+            raw,
+            {
+                Make: "NIKON CORPORATION",
+                Model: "NIKON D7500",
+                FocalLength: 35,
+                FocalLengthIn35mmFormat: 52,
+            },
+            ["-overwrite_original", "-n"]
+        );
+        const bytes = await readFile(raw);
+
+        assert.deepEqual(await analyzeBuffer(bytes, { filename: raw }), await analyze(raw));
+        assert.equal((await extractExifFromBuffer(bytes, { filename: "upload.nef" })).fileType, "NEF");
+        assert.equal((await extractExifFromBuffer(bytes)).fileType, "TIFF");
+    });
+
+    it("should parse piped tags like ExifTool#read() parses a file", async () => {
+        const dated = join(dir, "dated.jpg");
+        await writeFile(dated, minimalJpeg());
+        await exiftool.write(
+            dated,
+            {
+                FocalLength: 4.2,
+                DateTimeOriginal: "2024:05:06 07:08:09",
+                OffsetTimeOriginal: "+02:00",
+                GPSLatitude: 47.5,
+                GPSLatitudeRef: "N",
+                GPSLongitude: 8.25,
+                GPSLongitudeRef: "E",
+            },
+            ["-overwrite_original"]
+        );
+        const { read, readBuffer } = getExifBackend();
+        const fromPath = await read(dated);
+        const fromBuffer = await readBuffer(await readFile(dated), { filename: dated });
+
+        // Only the file-system tags differ
+        const fileTags = /^(SourceFile|FileName|Directory|FileSize|File\w+Date|FilePermissions)$/;
+        const withoutFileTags = (tags) => Object.fromEntries(Object.entries(tags).filter(([k]) => !fileTags.test(k)));
+        assert.deepEqual(withoutFileTags(fromBuffer), withoutFileTags(fromPath));
+        assert.ok(fromBuffer.DateTimeOriginal instanceof ExifDateTime);
+        assert.equal(fromBuffer.GPSLatitude, 47.5);
+    });
+
+    it("should queue buffer reads beyond maxProcs", async () => {
+        const bytes = await readFile(file);
+        await configureExifTool({ maxProcs: 1 });
+        try {
+            const results = await Promise.all([1, 2, 3].map(() => analyzeBuffer(bytes)));
+            assert.deepEqual(
+                results.map((r) => r.focalLengthIn35mm),
+                [26, 26, 26]
+            );
+        } finally {
+            await configureExifTool({});
+        }
+    });
+
+    it("should fall back to the JavaScript parser for backends that read files only", async () => {
+        setExifBackend({ name: "files-only", read: async () => assert.fail("read() called") });
+        try {
+            const result = await analyzeBuffer(await readFile(file), { filename: "upload.jpg" });
+            assert.equal(result.focalLengthIn35mm, 26);
+        } finally {
+            setExifBackend("exiftool");
+        }
+    });
+
+    it("should reject data that is not an image", async () => {
+        await assert.rejects(
+            analyzeBuffer(Buffer.from("not an image"), { filename: "upload.jpg" }),
+            /pixel dimensions/
+        );
+    });
+});
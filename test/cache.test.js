@@ -0,0 +1,127 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, readFile, rm, utimes } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { analyze } from "../src/index.js";
+import { setExifBackend } from "../src/exif.js";
+import { openMetadataCache, CACHE_VERSION } from "../src/cache.js";
+
+const TAGS = {
+    ImageWidth: 4032,
+    ImageHeight: 3024,
+    FocalLength: 4.2,
+    FocalLengthIn35mmFormat: 26,
+};
+
+describe("openMetadataCache", () => {
+    let dir;
+    let image;
+    let cachePath;
+    let reads;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), "fov-cache-"));
+        image = join(dir, "IMG_0001.JPG");
+        cachePath = join(dir, "cache", "metadata.json");
+        await writeFile(image, "not really a JPEG");
+        reads = 0;
+        setExifBackend({
+            name: "counting",
+            read: async () => {
+                reads++;
+                return { ...TAGS };
+            },
+        });
+    });
+
+    afterEach(async () => {
+        setExifBackend("exiftool");
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should read unchanged files only once, across runs", async () => {
+        const cache = await openMetadataCache(cachePath);
+        const first = await analyze(image, { cache });
+        await analyze(image, { cache });
+        assert.equal(reads, 1);
+        assert.deepEqual(cache.stats(), { hits: 1, misses: 1, entries: 1 });
+        assert.equal(await cache.save(), true);
+        assert.equal(await cache.save(), false, "nothing new to write");
+
+        const reopened = await openMetadataCache(cachePath);
+        const again = await analyze(image, { cache: reopened });
+        assert.equal(reads, 1);
+        assert.deepEqual(again, first);
+    });
+
+    it("should re-read files whose size or modification time changed", async () => {
+        const cache = await openMetadataCache(cachePath);
+        await cache.extract(image);
+
+        await utimes(image, new Date(2020, 0, 1), new Date(2020, 0, 1));
+        await cache.extract(image);
+        assert.equal(reads, 2);
+
+        await writeFile(image, "a different, longer body");
+        await cache.extract(image);
+        assert.equal(reads, 3);
+        assert.equal(cache.stats().entries, 1);
+    });
+
+    it("should not reuse entries of another backend", async () => {
+        const cache = await openMetadataCache(cachePath);
+        await cache.extract(image);
+        setExifBackend({ name: "other", read: async () => ({ ...TAGS }) });
+        await cache.extract(image);
+        assert.deepEqual(cache.stats(), { hits: 0, misses: 2, entries: 1 });
+    });
+
+    it("should discard caches of another version, and everything on rebuild", async () => {
+        const cache = await openMetadataCache(cachePath);
+        await cache.extract(image);
+        await cache.save();
+
+        const data = JSON.parse(await readFile(cachePath, "utf8"));
+        assert.equal(data.version, CACHE_VERSION);
+        await writeFile(cachePath, JSON.stringify({ ...data, version: CACHE_VERSION - 1 }));
+        assert.equal((await openMetadataCache(cachePath)).stats().entries, 0);
+
+        await writeFile(cachePath, JSON.stringify(data));
+        const rebuilt = await openMetadataCache(cachePath, { rebuild: true });
+        assert.equal(rebuilt.stats().entries, 0);
+        assert.equal(await rebuilt.save(), true, "a rebuild replaces the file");
+    });
+
+    it("should keep binary tags", async () => {
+        const opcodes = Buffer.from([0, 0, 0, 1, 0xff, 0x80]);
+        setExifBackend({
+            name: "binary",
+            read: async () => ({ ...TAGS, OpcodeList3: "WarpRectilinear" }),
+            readBinary: async () => opcodes,
+        });
+        const cache = await openMetadataCache(cachePath);
+        await cache.extract(image);
+        await cache.save();
+
+        const meta = await (await openMetadataCache(cachePath)).extract(image);
+        assert.ok(meta.opcodeList3 instanceof Uint8Array);
+        assert.deepEqual([...meta.opcodeList3], [...opcodes]);
+    });
+
+    it("should bypass unnamed backends and not cache errors", async () => {
+        const cache = await openMetadataCache(cachePath);
+        setExifBackend({ read: async () => ({ ...TAGS }) });
+        await cache.extract(image);
+        setExifBackend({ name: "failing", read: async () => null });
+        await assert.rejects(cache.extract(image), /No EXIF data/);
+        assert.equal(cache.stats().entries, 0);
+    });
+
+    it("should refuse to overwrite a file that is not a cache", async () => {
+        const path = join(dir, "settings.json");
+        await writeFile(path, '{ "important": true }');
+        await assert.rejects(openMetadataCache(path), { code: "ENOTCACHE", message: /not a metadata cache file/ });
+    });
+});
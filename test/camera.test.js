@@ -0,0 +1,133 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { analyzeTags } from "../src/index.js";
+import { createCamera } from "../src/camera.js";
+import { PROJECTIONS } from "../src/compute.js";
+
+function assertClose(actual, expected, tol, msg) {
+    assert.ok(
+        Math.abs(actual - expected) <= tol,
+        `${msg ?? ""} expected ${expected} ± ${tol}, got ${actual}`
+    );
+}
+
+// 4:3 phone image, 26 mm equivalent
+const PHONE = {
+    ImageWidth: 4032,
+    ImageHeight: 3024,
+    FocalLength: 4.2,
+    FocalLengthIn35mmFormat: 26,
+};
+
+const BARREL = { k1: -0.08, k2: 0.02, k3: 0, p1: 0.001, p2: -0.0005 };
+
+function withDistortion(result, correctedInCamera = false) {
+    return { ...result, distortion: { ...result.distortion, coefficients: BARREL, correctedInCamera } };
+}
+
+describe("createCamera", () => {
+    it("should map the principal point to the optical axis", () => {
+        const r = analyzeTags(PHONE);
+        const camera = createCamera(r);
+        assert.deepEqual(camera.pixelToRay(r.intrinsics.cx, r.intrinsics.cy), [0, 0, 1]);
+        assert.equal(camera.width, 4032);
+        assert.equal(camera.height, 3024);
+    });
+
+    it("should span the FOV with a box covering the whole image", () => {
+        for (const projection of PROJECTIONS) {
+            const r = analyzeTags(PHONE, { projection });
+            const size = createCamera(r).angularSizeOfBox({ x: 0, y: 0, width: 4032, height: 3024 });
+            assertClose(size.width, r.hfov, 1e-9, `${projection} width`);
+            assertClose(size.height, r.vfov, 1e-9, `${projection} height`);
+            assertClose(size.diagonal, r.dfov, 1e-9, `${projection} diagonal`);
+        }
+    });
+
+    it("should invert pixelToRay with rayToPixel for every projection", () => {
+        for (const projection of PROJECTIONS) {
+            const camera = createCamera(analyzeTags(PHONE, { projection }));
+            for (const [x, y] of [[0, 0], [4032, 3024], [100.5, 2900], [3000, 12]]) {
+                const p = camera.rayToPixel(camera.pixelToRay(x, y));
+                assertClose(p.x, x, 1e-6, `${projection} x`);
+                assertClose(p.y, y, 1e-6, `${projection} y`);
+            }
+        }
+    });
+
+    it("should return unit rays in the visual camera frame", () => {
+        const camera = createCamera(analyzeTags(PHONE));
+        const ray = camera.pixelToRay(0, 0);
+        assertClose(Math.hypot(...ray), 1, 1e-12);
+        // Top-left: left of and above the optical axis
+        assert.ok(ray[0] < 0 && ray[1] < 0 && ray[2] > 0);
+        // rayToPixel accepts rays of any length
+        const p = camera.rayToPixel(ray.map((c) => c * 5));
+        assertClose(p.x, 0, 1e-9);
+        assertClose(p.y, 0, 1e-9);
+    });
+
+    it("should measure angles between pixels independently of position along a ray", () => {
+        const r = analyzeTags(PHONE);
+        const camera = createCamera(r);
+        const { cx, cy, fx } = r.intrinsics;
+        const angle = camera.angleBetweenPixels({ x: cx, y: cy }, { x: cx + fx, y: cy });
+        assertClose(angle, 45, 1e-9);
+        assert.equal(camera.angleBetweenPixels({ x: 10, y: 20 }, { x: 10, y: 20 }), 0);
+    });
+
+    it("should take raw-frame pixels of rotated images", () => {
+        // Stored landscape, displayed portrait (rotate 90° clockwise)
+        const r = analyzeTags({ ...PHONE, Orientation: 6 });
+        const visual = createCamera(r);
+        const raw = createCamera(r, { frame: "raw" });
+
+        assert.equal(raw.width, 4032);
+        assert.equal(raw.height, 3024);
+        assert.equal(visual.width, 3024);
+        // The stored image's top-left corner is the displayed top-right one
+        assert.deepEqual(raw.pixelToRay(0, 0), visual.pixelToRay(3024, 0));
+
+        // ... and its top-right corner the displayed bottom-right one
+        const p = raw.rayToPixel(visual.pixelToRay(3024, 4032));
+        assertClose(p.x, 4032, 1e-9);
+        assertClose(p.y, 0, 1e-9);
+
+        const size = raw.angularSizeOfBox({ x: 0, y: 0, width: 4032, height: 3024 });
+        assertClose(size.width, r.vfov, 1e-9, "stored width spans the displayed height");
+    });
+
+    it("should not map rays behind a rectilinear camera", () => {
+        const camera = createCamera(analyzeTags(PHONE));
+        assert.equal(camera.rayToPixel([0, 0, -1]), null);
+        assert.equal(camera.rayToPixel([1, 0, 0]), null);
+        assert.throws(() => camera.rayToPixel([0, 0, 0]), /non-zero/);
+
+        // A fisheye sees sideways
+        const fisheye = createCamera(analyzeTags(PHONE, { projection: "equidistant" }));
+        assert.ok(fisheye.rayToPixel([1, 0, 0]).x > 4032);
+    });
+
+    it("should apply lens distortion unless it was corrected in camera", () => {
+        const r = analyzeTags(PHONE);
+        const camera = createCamera(withDistortion(r));
+        assert.deepEqual(camera.distortion, BARREL);
+
+        for (const [x, y] of [[0, 0], [4032, 3024], [1000, 2500]]) {
+            const p = camera.rayToPixel(camera.pixelToRay(x, y));
+            assertClose(p.x, x, 1e-6, "x");
+            assertClose(p.y, y, 1e-6, "y");
+        }
+        // Barrel distortion squeezes the edges: the frame sees wider
+        const full = { x: 0, y: 0, width: 4032, height: 3024 };
+        assert.ok(camera.angularSizeOfBox(full).width > r.hfov);
+
+        assert.equal(createCamera(withDistortion(r, true)).distortion, null);
+        assert.equal(createCamera(withDistortion(r), { distortion: false }).distortion, null);
+    });
+
+    it("should reject unknown frames", () => {
+        assert.throws(() => createCamera(analyzeTags(PHONE), { frame: "sensor" }), /Unknown camera frame "sensor"/);
+    });
+});
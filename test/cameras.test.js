@@ -0,0 +1,128 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { identifyCameraModule, groupByCameraId } from "../src/cameras.js";
+import { analyzeTags } from "../src/index.js";
+
+const IPHONE = { make: "Apple", model: "iPhone 13 Pro" };
+
+describe("identifyCameraModule", () => {
+    it("should read the module from a phone lens model", () => {
+        const m = identifyCameraModule({
+            ...IPHONE,
+            lensModel: "iPhone 13 Pro back triple camera 5.7mm f/1.5",
+            focalLength: 5.7,
+        });
+        assert.equal(m.cameraId, "apple/iphone-13-pro/back-5.7mm-f-1.5");
+        assert.equal(m.facing, "back");
+        assert.equal(m.focalLength, 5.7);
+        assert.equal(m.source, "LensModel");
+        assert.deepEqual(m.warnings, []);
+    });
+
+    it("should keep the id stable across zoom levels of one module", () => {
+        const lensModel = "iPhone 13 Pro back triple camera 1.57mm f/1.8";
+        const a = identifyCameraModule({ ...IPHONE, lensModel, focalLength: 1.57, focalLengthIn35mm: 13 });
+        const b = identifyCameraModule({ ...IPHONE, lensModel, focalLength: 1.57, focalLengthIn35mm: 20 });
+        assert.equal(a.cameraId, b.cameraId);
+    });
+
+    it("should tell the front camera apart", () => {
+        const m = identifyCameraModule({
+            ...IPHONE,
+            lensModel: "iPhone 13 Pro front TrueDepth camera 2.71mm f/2.2",
+        });
+        assert.equal(m.facing, "front");
+        assert.equal(m.cameraId, "apple/iphone-13-pro/front-2.71mm-f-2.2");
+    });
+
+    it("should warn when FocalLength does not match the named module", () => {
+        const m = identifyCameraModule({
+            ...IPHONE,
+            lensModel: "iPhone 13 Pro back triple camera 5.7mm f/1.5",
+            focalLength: 9,
+        });
+        assert.match(m.warnings[0], /differs from the 5.7 mm module/);
+    });
+
+    it("should prefix a third-party lens make", () => {
+        const m = identifyCameraModule({
+            make: "SONY",
+            model: "ILCE-7M3",
+            lensMake: "SIGMA",
+            lensModel: "24-70mm F2.8 DG DN | Art 019",
+        });
+        assert.equal(m.cameraId, "sony/ilce-7m3/sigma-24-70mm-f2.8-dg-dn-art-019");
+    });
+
+    it("should fall back to the maker-note camera type and the focal length", () => {
+        assert.equal(
+            identifyCameraModule({ ...IPHONE, cameraType: "Back Wide Angle", focalLength: 1.57 }).cameraId,
+            "apple/iphone-13-pro/back-wide-angle"
+        );
+        const m = identifyCameraModule({ make: "samsung", model: "SM-S901B", focalLength: 2.2 });
+        assert.equal(m.cameraId, "samsung/sm-s901b/2.2mm");
+        assert.equal(m.source, "FocalLength");
+        assert.equal(identifyCameraModule({}).cameraId, "unknown/unknown/default");
+    });
+});
+
+describe("groupByCameraId", () => {
+    const result = (file, cameraId, focalLength, f35) => ({
+        file,
+        cameraId,
+        focalLength,
+        opticalFocalLengthIn35mm: f35,
+    });
+
+    it("should group by module and flag inconsistent 35 mm values", () => {
+        const groups = groupByCameraId([
+            result("a.jpg", "apple/iphone/back-5.7mm", 5.7, 26),
+            result("b.jpg", "apple/iphone/back-1.57mm", 1.57, 13),
+            result("c.jpg", "apple/iphone/back-5.7mm", 5.7, 26),
+            result("d.jpg", "apple/iphone/back-5.7mm", 5.7, 52),
+        ]);
+        assert.equal(groups.length, 2);
+        assert.deepEqual(groups[0].files, ["a.jpg", "c.jpg", "d.jpg"]);
+        assert.ok(Math.abs(groups[0].cropFactor - 26 / 5.7) < 1e-9);
+        assert.deepEqual(groups[0].inconsistent.map((f) => f.file), ["d.jpg"]);
+        assert.ok(Math.abs(groups[0].inconsistent[0].delta - 1) < 1e-9);
+        assert.deepEqual(groups[1].inconsistent, []);
+    });
+
+    it("should skip images without a physical focal length", () => {
+        const [group] = groupByCameraId([result("a.mp4", "gopro/hero/default", null, 13)]);
+        assert.equal(group.cropFactor, null);
+        assert.deepEqual(group.inconsistent, []);
+    });
+});
+
+describe("analyze() cameraId", () => {
+    it("should expose the module and its id", () => {
+        const r = analyzeTags({
+            Make: "Apple",
+            Model: "iPhone 13 Pro",
+            LensModel: "iPhone 13 Pro back triple camera 5.7mm f/1.5",
+            ImageWidth: 4032,
+            ImageHeight: 3024,
+            FocalLength: 5.7,
+            FocalLengthIn35mmFormat: 26,
+        });
+        assert.equal(r.cameraId, "apple/iphone-13-pro/back-5.7mm-f-1.5");
+        assert.deepEqual(r.cameraModule, {
+            module: "back 5.7mm f/1.5",
+            facing: "back",
+            focalLength: 5.7,
+            source: "LensModel",
+        });
+    });
+
+    it("should only read CameraType from Apple maker notes", () => {
+        const tags = { Model: "X", ImageWidth: 10, ImageHeight: 10, FocalLengthIn35mmFormat: 26 };
+        assert.equal(
+            analyzeTags({ ...tags, Make: "Apple", CameraType: "Front" }).cameraModule.facing,
+            "front"
+        );
+        assert.equal(analyzeTags({ ...tags, Make: "Canon", CameraType: "Compact" }).cameraModule.module, null);
+    });
+});
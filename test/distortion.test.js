@@ -0,0 +1,218 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+    parseWarpRectilinear,
+    correctedInCamera,
+    parseLcp,
+    lookupLcpProfile,
+    registerLcpProfiles,
+    loadLcpProfiles,
+    clearLcpProfiles,
+    resolveDistortion,
+} from "../src/distortion.js";
+import { analyzeTags } from "../src/index.js";
+
+/**
+ * Helper: big-endian DNG opcode list from [id, float64 params] pairs, with
+ * a uint32 plane count in front of WarpRectilinear parameters.
+ */
+function opcodeList(opcodes) {
+    const size = opcodes.reduce((s, [, params]) => s + 16 + 4 + params.length * 8, 4);
+    const view = new DataView(new ArrayBuffer(size));
+    view.setUint32(0, opcodes.length);
+    let offset = 4;
+    for (const [id, params, planes] of opcodes) {
+        view.setUint32(offset, id);
+        view.setUint32(offset + 4, 0x01030000);
+        view.setUint32(offset + 12, 4 + params.length * 8);
+        view.setUint32(offset + 16, planes);
+        params.forEach((v, i) => view.setFloat64(offset + 20 + i * 8, v));
+        offset += 20 + params.length * 8;
+    }
+    return new Uint8Array(view.buffer);
+}
+
+const WARP = [1, -0.05, 0.02, 0, 0.001, -0.002, 0.5, 0.5];
+
+const LCP = `<?xml version="1.0"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF><rdf:Description><photoshop:CameraProfiles><rdf:Seq>
+ <rdf:li rdf:parseType="Resource">
+  <stCamera:Make>Canon</stCamera:Make>
+  <stCamera:Lens>EF24-70mm f/2.8L II USM</stCamera:Lens>
+  <stCamera:CameraRawProfile>True</stCamera:CameraRawProfile>
+  <stCamera:FocalLength>24</stCamera:FocalLength>
+  <stCamera:PerspectiveModel rdf:parseType="Resource">
+   <stCamera:FocalLengthX>0.7</stCamera:FocalLengthX>
+   <stCamera:RadialDistortParam1>-0.1</stCamera:RadialDistortParam1>
+  </stCamera:PerspectiveModel>
+ </rdf:li>
+ <rdf:li><rdf:Description stCamera:Make="Canon" stCamera:Lens="EF24-70mm f/2.8L II USM"
+   stCamera:CameraRawProfile="True" stCamera:FocalLength="70">
+  <stCamera:PerspectiveModel><rdf:Description stCamera:RadialDistortParam1="0.02"
+   stCamera:TangentialDistortParam1="0.001"/></stCamera:PerspectiveModel>
+ </rdf:Description></rdf:li>
+ <rdf:li><rdf:Description stCamera:Lens="No perspective model" stCamera:FocalLength="8"/></rdf:li>
+</rdf:Seq></photoshop:CameraProfiles></rdf:Description></rdf:RDF></x:xmpmeta>`;
+
+describe("parseWarpRectilinear", () => {
+    it("should find the opcode among others", () => {
+        const buf = opcodeList([
+            [3, [0.5, 0.5], 0],
+            [1, WARP, 1],
+        ]);
+        const warp = parseWarpRectilinear(buf);
+        assert.deepEqual(warp, {
+            planes: [{ kr: [1, -0.05, 0.02, 0], kt: [0.001, -0.002] }],
+            cx: 0.5,
+            cy: 0.5,
+        });
+    });
+
+    it("should return null without a WarpRectilinear opcode", () => {
+        assert.equal(parseWarpRectilinear(opcodeList([[3, [0.5, 0.5], 0]])), null);
+    });
+
+    it("should reject truncated lists", () => {
+        const buf = opcodeList([[1, WARP, 1]]);
+        assert.throws(() => parseWarpRectilinear(buf.subarray(0, 40)), /Malformed/);
+    });
+});
+
+describe("correctedInCamera", () => {
+    it("should never report raw files as corrected", () => {
+        assert.equal(correctedInCamera({ fileType: "ARW", distortionCorrection: "Auto" }), false);
+    });
+
+    it("should read the camera's correction setting", () => {
+        assert.equal(correctedInCamera({ fileType: "JPEG", distortionCorrection: "Applied" }), true);
+        assert.equal(correctedInCamera({ fileType: "JPEG", distortionCorrection: "On (Required)" }), true);
+        assert.equal(correctedInCamera({ fileType: "JPEG", distortionCorrection: "Off" }), false);
+        assert.equal(correctedInCamera({ fileType: "JPEG", distortionCorrection: "None" }), false);
+    });
+
+    it("should assume Fujifilm JPEGs are corrected and otherwise not know", () => {
+        assert.equal(correctedInCamera({ fileType: "JPEG", make: "FUJIFILM" }), true);
+        assert.equal(correctedInCamera({ fileType: "JPEG", make: "Apple" }), null);
+    });
+});
+
+describe("LCP profiles", () => {
+    afterEach(() => clearLcpProfiles());
+
+    it("should parse element and attribute forms, skipping non-perspective profiles", () => {
+        const profiles = parseLcp(LCP);
+        assert.equal(profiles.length, 2);
+        assert.equal(profiles[0].lens, "EF24-70mm f/2.8L II USM");
+        assert.equal(profiles[0].focalLengthX, 0.7);
+        assert.equal(profiles[0].rawProfile, true);
+        assert.deepEqual(profiles[1].coefficients, { k1: 0.02, k2: 0, k3: 0, p1: 0.001, p2: 0 });
+    });
+
+    it("should pick the nearest focal length", () => {
+        registerLcpProfiles(parseLcp(LCP));
+        const meta = { make: "Canon", lensModel: "EF24-70mm f/2.8L II USM", fileType: "CR2" };
+        assert.equal(lookupLcpProfile({ ...meta, focalLength: 28 }).focalLength, 24);
+        assert.equal(lookupLcpProfile({ ...meta, focalLength: 60 }).focalLength, 70);
+        assert.equal(lookupLcpProfile({ ...meta, make: "Nikon", focalLength: 28 }), null);
+    });
+
+    it("should load every .lcp file in a directory", async () => {
+        const dir = await mkdtemp(join(tmpdir(), "fov-lcp-"));
+        try {
+            await mkdir(join(dir, "Canon"));
+            await writeFile(join(dir, "Canon", "ef2470.lcp"), LCP);
+            await writeFile(join(dir, "readme.txt"), "not a profile");
+            assert.equal(await loadLcpProfiles(dir), 2);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+        await assert.rejects(loadLcpProfiles("/nonexistent/profiles"), /Cannot read/);
+    });
+});
+
+describe("resolveDistortion", () => {
+    afterEach(() => clearLcpProfiles());
+
+    const frame = { width: 6000, height: 4000 };
+
+    it("should report no coefficients without a source", () => {
+        const d = resolveDistortion({ ...frame, fileType: "JPEG" }, { focalPx: 5000 });
+        assert.equal(d.coefficients, null);
+        assert.equal(d.source, null);
+    });
+
+    it("should prefer the DNG opcode over maker notes and profiles", () => {
+        registerLcpProfiles(parseLcp(LCP));
+        const d = resolveDistortion(
+            {
+                ...frame,
+                fileType: "DNG",
+                lensModel: "EF24-70mm f/2.8L II USM",
+                opcodeList3: opcodeList([[1, WARP, 1]]),
+                sonyDistortionParams: [2, 0, -100],
+            },
+            { focalPx: 5000 }
+        );
+        assert.equal(d.source, "dngWarpRectilinear");
+        assert.equal(d.correctedInCamera, false);
+        assert.ok(d.coefficients.k1 < 0);
+    });
+
+    it("should fit Sony tables in both EXIF and maker-note form", () => {
+        const values = Array.from({ length: 11 }, (_, i) => -Math.round(600 * (i / 10) ** 2));
+        const exifForm = resolveDistortion(
+            { ...frame, sonyDistortionParams: [11, ...values, 0, 0, 0, 0, 0] },
+            { focalPx: 5000 }
+        );
+        const makerNoteForm = resolveDistortion(
+            { ...frame, sonyDistortionParams: [...values, 0, 0, 0, 0, 0], sonyDistortionParamsNumber: 11 },
+            { focalPx: 5000 }
+        );
+        assert.equal(exifForm.source, "sonyMakerNote");
+        assert.ok(exifForm.coefficients.k1 < 0, "barrel distortion");
+        assert.deepEqual(exifForm.coefficients, makerNoteForm.coefficients);
+    });
+
+    it("should fit Fujifilm tables", () => {
+        const knots = [0, 0.25, 0.5, 0.75, 1];
+        const percent = knots.map((r) => 1.5 * r * r);
+        const d = resolveDistortion(
+            { ...frame, fujifilmDistortionParams: [0, ...knots, ...percent] },
+            { focalPx: 5000 }
+        );
+        assert.equal(d.source, "fujifilmMakerNote");
+        assert.ok(d.coefficients.k1 > 0, "pincushion distortion");
+    });
+
+    it("should fit a zoomed JPEG on the optical frame", () => {
+        const values = Array.from({ length: 11 }, (_, i) => -Math.round(600 * (i / 10) ** 2));
+        const tags = {
+            Make: "SONY",
+            Model: "ILCE-7M3",
+            FileType: "JPEG",
+            ImageWidth: 6000,
+            ImageHeight: 4000,
+            FocalLength: 35,
+            ScaleFactor35efl: 1,
+            DistortionCorrParams: [11, ...values, 0, 0, 0, 0, 0].join(" "),
+        };
+        const plain = analyzeTags(tags);
+        const zoomed = analyzeTags({ ...tags, DigitalZoomRatio: 2 });
+        assert.equal(zoomed.intrinsics.fx, 2 * plain.intrinsics.fx);
+        assert.equal(zoomed.distortion.source, "sonyMakerNote");
+        assert.deepEqual(zoomed.distortion, plain.distortion);
+    });
+
+    it("should rescale LCP coefficients to the image focal length", () => {
+        registerLcpProfiles(parseLcp(LCP));
+        const meta = { ...frame, make: "Canon", lensModel: "EF24-70mm f/2.8L II USM", focalLength: 24 };
+        // LCP focal length 0.7 × 6000 = 4200 px
+        const d = resolveDistortion(meta, { focalPx: 4200 * 1.1 });
+        assert.equal(d.source, "lcpProfile");
+        assert.ok(Math.abs(d.coefficients.k1 - -0.1 * 1.1 ** 2) < 1e-12);
+    });
+});
@@ -0,0 +1,360 @@
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { deflateSync } from "node:zlib";
+import { exiftool } from "exiftool-vendored";
+
+import { parseExif } from "../src/exifparser.js";
+import {
+    extractExif,
+    setExifBackend,
+    getExifBackend,
+    shutdown,
+} from "../src/exif.js";
+import { analyze, analyzeBuffer } from "../src/index.js";
+import { minimalJpeg } from "./fixtures.js";
+
+/**
+ * Helper: 4000 × 3000 greyscale PNG with a single blank scanline.
+ */
+function minimalPng() {
+    const crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+    const chunk = (type, data) => {
+        const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+        let c = 0xffffffff;
+        for (const b of body) c = crcTable[(c ^ b) & 0xff] ^ (c >>> 8);
+        const out = Buffer.alloc(body.length + 8);
+        out.writeUInt32BE(data.length, 0);
+        body.copy(out, 4);
+        out.writeUInt32BE((c ^ 0xffffffff) >>> 0, body.length + 4);
+        return out;
+    };
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(4000, 0);
+    ihdr.writeUInt32BE(3000, 4);
+    ihdr[8] = 8; // bit depth; colour type 0 (greyscale)
+    return Buffer.concat([
+        Buffer.from("89504e470d0a1a0a", "hex"),
+        chunk("IHDR", ihdr),
+        chunk("IDAT", deflateSync(Buffer.alloc(4001))),
+        chunk("IEND", Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * Helper: TIFF structure with an IFD0 and an Exif IFD.
+ * Entries are [tag, type, value]; type 2 = ASCII, 3 = SHORT, 4 = LONG,
+ * 5 = RATIONAL ([numerator, denominator] pairs), 1 = BYTE.
+ */
+function tiff(ifd0, exifIfd = [], { littleEndian = true } = {}) {
+    const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8 };
+    const encode = (type, value) => {
+        if (type === 2) return [...Buffer.from(value + "\0", "latin1")];
+        const values = type === 5 ? value.flat() : [].concat(value);
+        const bytes = [];
+        for (const v of values) {
+            const width = type === 5 ? 4 : sizes[type];
+            const b = Buffer.alloc(width);
+            if (width === 1) b.writeUInt8(v);
+            else if (width === 2) littleEndian ? b.writeUInt16LE(v) : b.writeUInt16BE(v);
+            else littleEndian ? b.writeUInt32LE(v) : b.writeUInt32BE(v);
+            bytes.push(...b);
+        }
+        return bytes;
+    };
+
+    const ifdSize = (entries) => 2 + entries.length * 12 + 4;
+    const ifd0Entries = exifIfd.length > 0 ? [...ifd0, [0x8769, 4, 0]] : [...ifd0];
+    const ifd0At = 8;
+    const exifAt = ifd0At + ifdSize(ifd0Entries);
+    let dataAt = exifAt + (exifIfd.length > 0 ? ifdSize(exifIfd) : 0);
+
+    const out = Buffer.alloc(4096);
+    const u16 = (v, at) => (littleEndian ? out.writeUInt16LE(v, at) : out.writeUInt16BE(v, at));
+    const u32 = (v, at) => (littleEndian ? out.writeUInt32LE(v, at) : out.writeUInt32BE(v, at));
+
+    out.write(littleEndian ? "II" : "MM", 0, "latin1");
+    u16(42, 2);
+    u32(ifd0At, 4);
+
+    const writeIfd = (entries, at) => {
+        const sorted = [...entries].sort((a, b) => a[0] - b[0]);
+        u16(sorted.length, at);
+        sorted.forEach(([tag, type, value], i) => {
+            const entry = at + 2 + i * 12;
+            const bytes = tag === 0x8769 ? encode(4, exifAt) : encode(type, value);
+            u16(tag, entry);
+            u16(type, entry + 2);
+            u32(type === 2 ? bytes.length : bytes.length / (type === 5 ? 8 : sizes[type]), entry + 4);
+            if (bytes.length <= 4) {
+                Buffer.from(bytes).copy(out, entry + 8);
+            } else {
+                u32(dataAt, entry + 8);
+                Buffer.from(bytes).copy(out, dataAt);
+                dataAt += bytes.length + (bytes.length % 2);
+            }
+        });
+        u32(0, at + 2 + sorted.length * 12);
+    };
+
+    writeIfd(ifd0Entries, ifd0At);
+    if (exifIfd.length > 0) writeIfd(exifIfd, exifAt);
+    return out.subarray(0, dataAt);
+}
+
+/**
+ * Helper: ISO-BMFF box.
+ */
+function box(type, ...parts) {
+    const body = Buffer.concat(parts);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8, 0);
+    header.write(type, 4, "latin1");
+    return Buffer.concat([header, body]);
+}
+
+function fullBox(type, version, ...parts) {
+    return box(type, Buffer.from([version, 0, 0, 0]), ...parts);
+}
+
+function u16(v) {
+    const b = Buffer.alloc(2);
+    b.writeUInt16BE(v);
+    return b;
+}
+
+function u32(v) {
+    const b = Buffer.alloc(4);
+    b.writeUInt32BE(v);
+    return b;
+}
+
+/**
+ * Helper: HEIC with a primary image item (id 1, `ispe` width × height) and
+ * an Exif item (id 2) stored in `idat`.
+ */
+function minimalHeic(exif, { width = 4032, height = 3024, brand = "heic" } = {}) {
+    const exifData = Buffer.concat([u32(0), exif]); // no offset to the TIFF header
+
+    const infe = (id, type) =>
+        fullBox("infe", 2, u16(id), u16(0), Buffer.from(type, "latin1"), Buffer.from([0]));
+
+    return Buffer.concat([
+        box("ftyp", Buffer.from(brand, "latin1"), u32(0), Buffer.from("mif1" + brand, "latin1")),
+        fullBox(
+            "meta", 0,
+            fullBox("hdlr", 0, u32(0), Buffer.from("pict", "latin1"), Buffer.alloc(13)),
+            fullBox("pitm", 0, u16(1)),
+            fullBox("iinf", 0, u16(2), infe(1, "hvc1"), infe(2, "Exif")),
+            // version 1, 4-byte offsets and lengths, no base offset
+            fullBox(
+                "iloc", 1,
+                Buffer.from([0x44, 0x00]), u16(1),
+                u16(2), u16(1), u16(0), u16(1), u32(0), u32(exifData.length)
+            ),
+            box("idat", exifData),
+            box(
+                "iprp",
+                box("ipco", fullBox("ispe", 0, u32(width), u32(height))),
+                fullBox("ipma", 0, u32(1), u16(1), Buffer.from([1, 0x81]))
+            )
+        ),
+    ]);
+}
+
+describe("parseExif", () => {
+    const cameraTiff = (options) =>
+        tiff(
+            [
+                [0x010f, 2, "Canon"],
+                [0x0110, 2, "Canon EOS R5"],
+                [0x0112, 3, 6],
+            ],
+            [
+                [0x920a, 5, [[50, 1]]],
+                [0x9206, 5, [[5, 2]]],
+                [0xa20e, 5, [[8192000, 1458]]],
+                [0xa405, 3, 50],
+                [0xa434, 2, "RF50mm F1.8 STM"],
+            ],
+            options
+        );
+
+    it("should read little- and big-endian TIFF structures", () => {
+        for (const littleEndian of [true, false]) {
+            const tags = parseExif(cameraTiff({ littleEndian }));
+            assert.equal(tags.FileType, "TIFF");
+            assert.equal(tags.Make, "Canon");
+            assert.equal(tags.Model, "Canon EOS R5");
+            assert.equal(tags.Orientation, 6);
+            assert.equal(tags.FocalLength, 50);
+            assert.equal(tags.SubjectDistance, 2.5);
+            assert.equal(tags.FocalLengthIn35mmFormat, 50);
+            assert.equal(tags.LensModel, "RF50mm F1.8 STM");
+            assert.equal(tags.ScaleFactor35efl, 1);
+        }
+    });
+
+    it("should round rationals to 10 significant digits like ExifTool", () => {
+        const tags = parseExif(cameraTiff());
+        assert.equal(tags.FocalPlaneXResolution, 5618.655693);
+    });
+
+    it("should identify DNG and TIFF-based raw files", () => {
+        const dng = tiff([[0x010f, 2, "Leica"], [0xc612, 1, [1, 4, 0, 0]]]);
+        assert.equal(parseExif(dng).FileType, "DNG");
+        assert.deepEqual(parseExif(dng).DNGVersion, [1, 4, 0, 0]);
+        assert.equal(parseExif(cameraTiff(), { filename: "IMG_0001.CR2" }).FileType, "CR2");
+    });
+
+    it("should read the Exif item and primary image size of a HEIC", () => {
+        const tags = parseExif(minimalHeic(cameraTiff(), { width: 8192, height: 5464 }));
+        assert.equal(tags.FileType, "HEIC");
+        assert.equal(tags.ImageWidth, 8192);
+        assert.equal(tags.ImageHeight, 5464);
+        assert.equal(tags.Make, "Canon");
+        assert.equal(tags.FocalLength, 50);
+    });
+
+    it("should identify AVIF by its ftyp brand", () => {
+        assert.equal(parseExif(minimalHeic(cameraTiff(), { brand: "avif" })).FileType, "AVIF");
+    });
+
+    it("should read XMP crop and projection properties", () => {
+        const xmp =
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF><rdf:Description ' +
+            'crs:HasCrop="True" crs:CropLeft="0.1" crs:CropTop="0" crs:CropRight="0.9" ' +
+            'crs:CropBottom="1" GPano:ProjectionType="equirectangular">' +
+            "<aux:ApproximateFocusDistance>3/2</aux:ApproximateFocusDistance>" +
+            "</rdf:Description></rdf:RDF></x:xmpmeta>";
+        const tags = parseExif(tiff([[0x010f, 2, "Ricoh"], [0x02bc, 1, [...Buffer.from(xmp)]]]));
+        assert.equal(tags.HasCrop, true);
+        assert.equal(tags.CropLeft, 0.1);
+        assert.equal(tags.CropRight, 0.9);
+        assert.equal(tags.ProjectionType, "equirectangular");
+        assert.equal(tags.ApproximateFocusDistance, 1.5);
+    });
+
+    it("should reject unsupported formats", () => {
+        assert.throws(() => parseExif(Buffer.from("not an image")), /Unsupported file format/);
+        const mp4 = box("ftyp", Buffer.from("isom", "latin1"), u32(0), Buffer.from("isommp41", "latin1"));
+        assert.throws(() => parseExif(mp4), /Unsupported file format/);
+    });
+
+    it("should reject truncated files", () => {
+        assert.throws(() => parseExif(cameraTiff().subarray(0, 6)), /Malformed/);
+        assert.throws(() => parseExif(minimalJpeg().subarray(0, 10)), /Malformed/);
+    });
+});
+
+describe("EXIF backends", () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "fov-backend-"));
+
+        await writeFile(join(dir, "phone.jpg"), minimalJpeg());
+        await exiftool.write(
+            join(dir, "phone.jpg"),
+            {
+                Make: "Apple",
+                Model: "iPhone 12",
+                LensModel: "iPhone 12 back dual wide camera 4.2mm f/1.6",
+                FocalLength: 4.2,
+                FocalLengthIn35mmFormat: 26,
+                Orientation: 6,
+                DigitalZoomRatio: 2,
+                "XMP-crs:HasCrop": true,
+                "XMP-crs:CropLeft": 0.25,
+                "XMP-crs:CropTop": 0,
+                "XMP-crs:CropRight": 1,
+                "XMP-crs:CropBottom": 0.75,
+            },
+            ["-overwrite_original", "-n"]
+        );
+
+        await writeFile(join(dir, "drone.jpg"), minimalJpeg());
+        await exiftool.write(
+            join(dir, "drone.jpg"),
+            {
+                Make: "DJI",
+                Model: "FC6310",
+                FocalLength: 8.8,
+                FocalLengthIn35mmFormat: 24,
+                GPSLatitude: -33.85,
+                GPSLatitudeRef: "S",
+                GPSLongitude: 151.21,
+                GPSLongitudeRef: "E",
+                GPSAltitude: 12.5,
+                GPSAltitudeRef: 1,
+                CameraElevationAngle: -60,
+                "XMP-drone-dji:RelativeAltitude": "+80.5",
+                "XMP-drone-dji:GimbalYawDegree": "-12.3",
+                "XMP-drone-dji:GimbalRollDegree": "0.0",
+            },
+            ["-overwrite_original", "-n"]
+        );
+
+        await writeFile(join(dir, "pano.png"), minimalPng());
+        await exiftool.write(
+            join(dir, "pano.png"),
+            {
+                Make: "Ricoh",
+                Model: "RICOH THETA Z1",
+                FocalLength: 2.57,
+                FocalLengthIn35mmFormat: 7,
+                SubjectDistance: 1.2,
+                "XMP-GPano:ProjectionType": "equirectangular",
+            },
+            ["-overwrite_original", "-n"]
+        );
+    });
+
+    afterEach(() => setExifBackend("exiftool"));
+
+    after(async () => {
+        await shutdown();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    for (const name of ["phone.jpg", "drone.jpg", "pano.png"]) {
+        it(`should give the same metadata with both backends (${name})`, async () => {
+            const file = join(dir, name);
+            const expected = await extractExif(file);
+            setExifBackend("js");
+            assert.deepEqual(await extractExif(file), expected);
+        });
+    }
+
+    it("should analyse buffers in memory with the js backend", async () => {
+        const file = join(dir, "phone.jpg");
+        const expected = await analyze(file);
+        setExifBackend("js");
+        const result = await analyzeBuffer(await readFile(file), { filename: file });
+        assert.deepEqual(result, expected);
+    });
+
+    it("should accept a custom backend", async () => {
+        setExifBackend({
+            name: "fixed",
+            read: async () => ({ ImageWidth: 6000, ImageHeight: 4000, FocalLength: 35, FocalLengthIn35mmFormat: 35 }),
+        });
+        assert.equal(getExifBackend().name, "fixed");
+        const meta = await extractExif("anything.jpg");
+        assert.equal(meta.width, 6000);
+        assert.equal(meta.focalLengthIn35mm, 35);
+    });
+
+    it("should reject unknown backends", () => {
+        assert.throws(() => setExifBackend("libexif"), /Unknown EXIF backend "libexif"/);
+        assert.throws(() => setExifBackend({}), /read\(filePath\)/);
+        assert.equal(getExifBackend().name, "exiftool");
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { computePinholeIntrinsics } from "../src/compute.js";
+import {
+    groupCameras,
+    toColmap,
+    toOpenCvYaml,
+    toOpenSfm,
+    toKalibr,
+    renderExport,
+} from "../src/export.js";
+
+/**
+ * Helper: minimal analyze()-shaped result for a camera configuration.
+ */
+function fakeResult(file, { model = "X100", f35mm = 35, width = 6000, height = 4000 } = {}) {
+    return {
+        file,
+        make: "FUJIFILM",
+        model,
+        lensModel: null,
+        focalLength: 23,
+        focalLengthIn35mm: f35mm,
+        visualWidth: width,
+        visualHeight: height,
+        intrinsics: computePinholeIntrinsics(f35mm, width, height),
+    };
+}
+
+describe("groupCameras", () => {
+    it("should share one camera between identical configurations", () => {
+        const cams = groupCameras([
+            fakeResult("a.jpg"),
+            fakeResult("b.jpg"),
+            fakeResult("c.jpg", { width: 4000, height: 6000 }),
+        ]);
+        assert.equal(cams.length, 2);
+        assert.deepEqual(cams[0].files, ["a.jpg", "b.jpg"]);
+        assert.deepEqual(cams.map((c) => c.id), [1, 2]);
+    });
+});
+
+describe("toColmap", () => {
+    it("should write PINHOLE parameters", () => {
+        const line = toColmap([fakeResult("a.jpg")]).trim().split("\n").pop();
+        const [id, model, w, h, fx, fy, cx, cy] = line.split(" ");
+        assert.equal(id, "1");
+        assert.equal(model, "PINHOLE");
+        assert.equal(w, "6000");
+        assert.equal(h, "4000");
+        assert.equal(fx, fy);
+        assert.equal(cx, "3000");
+        assert.equal(cy, "2000");
+    });
+
+    it("should write SIMPLE_RADIAL with zero distortion", () => {
+        const line = toColmap([fakeResult("a.jpg")], { model: "SIMPLE_RADIAL" })
+            .trim()
+            .split("\n")
+            .pop();
+        const params = line.split(" ").slice(4);
+        assert.equal(params.length, 4);
+        assert.equal(params[3], "0");
+    });
+});
+
+describe("toOpenCvYaml", () => {
+    it("should shift the principal point to OpenCV pixel centres", () => {
+        const yaml = toOpenCvYaml([fakeResult("a.jpg")]);
+        assert.match(yaml, /^%YAML:1\.0\n---\n/);
+        assert.match(yaml, /camera_matrix: !!opencv-matrix/);
+        assert.match(yaml, /2999\.5, 0\.0, .*, 1999\.5, 0\.0, 0\.0, 1\.0 \]/);
+    });
+
+    it("should nest several cameras under camera_<id>", () => {
+        const yaml = toOpenCvYaml([
+            fakeResult("a.jpg"),
+            fakeResult("b.jpg", { f35mm: 50 }),
+        ]);
+        assert.match(yaml, /^camera_1:$/m);
+        assert.match(yaml, /^camera_2:$/m);
+    });
+});
+
+describe("toOpenSfm", () => {
+    it("should normalise focal length by the larger dimension", () => {
+        const models = toOpenSfm([fakeResult("a.jpg")]);
+        const [cam] = Object.values(models);
+        assert.equal(cam.projection_type, "perspective");
+        const { fx } = computePinholeIntrinsics(35, 6000, 4000);
+        assert.equal(cam.focal, fx / 6000);
+    });
+});
+
+describe("toKalibr", () => {
+    it("should write one camN entry per camera", () => {
+        const yaml = toKalibr([
+            fakeResult("a.jpg"),
+            fakeResult("b.jpg", { model: "X100V" }),
+        ]);
+        assert.match(yaml, /^cam0:$/m);
+        assert.match(yaml, /^cam1:$/m);
+        assert.match(yaml, /resolution: \[6000, 4000\]/);
+    });
+});
+
+describe("fisheye export", () => {
+    it("should use each format's equidistant fisheye model", () => {
+        const r = { ...fakeResult("a.jpg"), projection: "equidistant" };
+        assert.match(toColmap([r]), /^1 OPENCV_FISHEYE 6000 4000 /m);
+        assert.match(toOpenCvYaml([r]), /camera_model: fisheye/);
+        assert.equal(Object.values(toOpenSfm([r]))[0].projection_type, "fisheye");
+        assert.match(toKalibr([r]), /distortion_model: equidistant/);
+    });
+
+    it("should reject projections without an equivalent", () => {
+        const r = { ...fakeResult("a.jpg"), projection: "stereographic" };
+        assert.throws(() => toColmap([r]), /stereographic/);
+    });
+});
+
+describe("renderExport", () => {
+    it("should reject unknown formats and empty input", () => {
+        assert.throws(() => renderExport([fakeResult("a.jpg")], "bogus"));
+        assert.throws(() => renderExport([], "colmap"));
+    });
+});
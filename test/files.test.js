@@ -0,0 +1,99 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { globToRegExp, createMatcher, expandInputs } from "../src/files.js";
+
+describe("globToRegExp", () => {
+    it("should keep * within one path segment", () => {
+        const re = globToRegExp("photos/*.jpg");
+        assert.ok(re.test("photos/a.jpg"));
+        assert.ok(!re.test("photos/2024/a.jpg"));
+    });
+
+    it("should let **/ span zero or more directories", () => {
+        const re = globToRegExp("photos/**/*.jpg");
+        assert.ok(re.test("photos/a.jpg"));
+        assert.ok(re.test("photos/2024/05/a.jpg"));
+    });
+
+    it("should support ?, classes and alternatives", () => {
+        assert.ok(globToRegExp("IMG_?.{jpg,heic}").test("IMG_1.heic"));
+        assert.ok(globToRegExp("[ab].jpg").test("b.jpg"));
+        assert.ok(!globToRegExp("[!ab].jpg").test("b.jpg"));
+        assert.ok(!globToRegExp("a.jpg").test("aXjpg"));
+    });
+});
+
+describe("createMatcher", () => {
+    it("should match bare patterns against the file name only", () => {
+        const match = createMatcher(["*.dng"]);
+        assert.ok(match("shoot/day1/IMG_1.dng"));
+        assert.ok(!match("shoot/day1/IMG_1.jpg"));
+    });
+
+    it("should match patterns with a slash against the whole path", () => {
+        const match = createMatcher(["shoot/day1/*"]);
+        assert.ok(match("shoot/day1/IMG_1.dng"));
+        assert.ok(!match("shoot/day2/IMG_1.dng"));
+    });
+});
+
+describe("expandInputs", () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "fov-files-"));
+        await mkdir(join(dir, "a", "b"), { recursive: true });
+        for (const f of ["top.jpg", "notes.txt", "a/one.JPG", "a/b/two.dng", "a/b/skip.jpg"]) {
+            await writeFile(join(dir, f), "");
+        }
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true });
+    });
+
+    it("should walk directories recursively, keeping image extensions", async () => {
+        const { files } = await expandInputs([dir]);
+        assert.deepEqual(files, [
+            join(dir, "a", "b", "skip.jpg"),
+            join(dir, "a", "b", "two.dng"),
+            join(dir, "a", "one.JPG"),
+            join(dir, "top.jpg"),
+        ]);
+    });
+
+    it("should stay at the top level without recursion", async () => {
+        const { files } = await expandInputs([dir], { recursive: false });
+        assert.deepEqual(files, [join(dir, "top.jpg")]);
+    });
+
+    it("should expand glob patterns and de-duplicate", async () => {
+        const { files } = await expandInputs([
+            `${dir}/a/**/*.dng`,
+            join(dir, "a", "b", "two.dng"),
+        ]);
+        assert.deepEqual(files, [join(dir, "a", "b", "two.dng")]);
+    });
+
+    it("should apply include and exclude filters", async () => {
+        const { files } = await expandInputs([dir], {
+            include: ["*.jpg", "*.JPG"],
+            exclude: ["skip.*"],
+        });
+        assert.deepEqual(files, [join(dir, "a", "one.JPG"), join(dir, "top.jpg")]);
+    });
+
+    it("should take explicit files as given and report missing inputs", async () => {
+        const { files, missing } = await expandInputs([
+            join(dir, "notes.txt"),
+            join(dir, "nope.jpg"),
+            `${dir}/*.heic`,
+        ]);
+        assert.deepEqual(files, [join(dir, "notes.txt")]);
+        assert.deepEqual(missing, [join(dir, "nope.jpg"), `${dir}/*.heic`]);
+    });
+});
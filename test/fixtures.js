@@ -0,0 +1,20 @@
+/**
+ * Test fixtures shared by several test files.
+ */
+
+/**
+ * Smallest JPEG ExifTool accepts (SOI, SOF0, SOS, EOI) for a 4032 × 3024
+ * image; tests write their tags into it.
+ *
+ * @returns {Buffer}
+ */
+export function minimalJpeg() {
+    return Buffer.concat([
+        Buffer.from("ffd8ffc0001108", "hex"),
+        Buffer.from([0x0b, 0xd0, 0x0f, 0xc0]), // height 3024, width 4032
+        Buffer.from("03012200021101031101", "hex"), // three components
+        Buffer.from("ffda000c03010002110311003f", "hex"), // SOS
+        Buffer.alloc(18),
+        Buffer.from("ffd9", "hex"),
+    ]);
+}
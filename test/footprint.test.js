@@ -0,0 +1,143 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { analyzeTags } from "../src/index.js";
+import { computeFootprint, resolveHeight } from "../src/footprint.js";
+
+function assertClose(actual, expected, tol, msg) {
+    assert.ok(
+        Math.abs(actual - expected) <= tol,
+        `${msg ?? ""} expected ${expected} ± ${tol}, got ${actual}`
+    );
+}
+
+// DJI Phantom 4 Pro style image: 24 mm equivalent, 4000 × 3000
+const DRONE = {
+    Make: "DJI",
+    Model: "FC6310",
+    FocalLength: 8.8,
+    FocalLengthIn35mmFormat: 24,
+    ImageWidth: 4000,
+    ImageHeight: 3000,
+    GPSLatitude: 47.3769,
+    GPSLongitude: 8.5417,
+    GPSAltitude: 508.2,
+    RelativeAltitude: "+100.0",
+    GimbalPitchDegree: "-90.0",
+    GimbalYawDegree: "+0.0",
+    GimbalRollDegree: "+0.0",
+};
+
+describe("computeFootprint", () => {
+    it("should give GSD = height / f_pixel and a rectangular footprint for a nadir view", () => {
+        const r = analyzeTags(DRONE);
+        const f = computeFootprint(r);
+
+        assert.equal(f.heightSource, "RelativeAltitude");
+        assertClose(f.gsd, 100 / r.intrinsics.fx, 1e-12, "gsd");
+        assertClose(f.gsdRange.min, f.gsd, 1e-9, "gsd min");
+        assertClose(f.gsdRange.max, f.gsd, 1e-9, "gsd max");
+        assertClose(f.area, 4000 * 3000 * f.gsd ** 2, 1e-6, "area");
+        assert.deepEqual(f.warnings, []);
+
+        // North up: the top-left corner lies north-west of the camera
+        const [tl, tr, br, bl] = f.corners;
+        assertClose(tl.east, -2000 * f.gsd, 1e-9);
+        assertClose(tl.north, 1500 * f.gsd, 1e-9);
+        assertClose(tr.east, -tl.east, 1e-9);
+        assertClose(br.north, -tl.north, 1e-9);
+        assertClose(bl.east, tl.east, 1e-9);
+        assert.ok(tl.latitude > DRONE.GPSLatitude && tl.longitude < DRONE.GPSLongitude);
+        assertClose(f.centre.latitude, DRONE.GPSLatitude, 1e-12);
+    });
+
+    it("should rotate the footprint with the yaw", () => {
+        const north = computeFootprint(analyzeTags(DRONE));
+        const east = computeFootprint(analyzeTags({ ...DRONE, GimbalYawDegree: 90 }));
+        // Facing east, the image top-left corner is north-east of the camera
+        assertClose(east.corners[0].east, north.corners[0].north, 1e-9);
+        assertClose(east.corners[0].north, -north.corners[0].east, 1e-9);
+    });
+
+    it("should project oblique views forward and coarsen the GSD towards the horizon", () => {
+        const f = computeFootprint(analyzeTags({ ...DRONE, GimbalPitchDegree: -60 }));
+        assertClose(f.centre.north, 100 / Math.tan((60 * Math.PI) / 180), 1e-9, "centre");
+        assertClose(f.centre.distance, 100 / Math.sin((60 * Math.PI) / 180), 1e-9, "slant range");
+        assert.ok(f.gsdRange.max > f.gsd && f.gsd > f.gsdRange.min);
+        // The far (top) edge is wider than the near one
+        const top = f.corners[1].east - f.corners[0].east;
+        const bottom = f.corners[2].east - f.corners[3].east;
+        assert.ok(top > bottom);
+    });
+
+    it("should refuse footprints that reach above the horizon", () => {
+        assert.throws(
+            () => computeFootprint(analyzeTags({ ...DRONE, GimbalPitchDegree: -10 })),
+            /above the horizon/
+        );
+    });
+
+    it("should read the pitch from CameraElevationAngle and default missing angles", () => {
+        const { GimbalPitchDegree, GimbalYawDegree, ...tags } = DRONE;
+        const r = analyzeTags({ ...tags, CameraElevationAngle: -80 });
+        assert.equal(r.provenance.sources.pitch, "CameraElevationAngle");
+
+        const f = computeFootprint(r);
+        assert.deepEqual(f.pose, { pitch: -80, yaw: 0, roll: 0 });
+        assert.equal(f.warnings.length, 1);
+        assert.match(f.warnings[0], /no gimbal yaw/);
+    });
+
+    it("should write a closed counter-clockwise GeoJSON polygon", () => {
+        const f = computeFootprint(analyzeTags(DRONE, { filename: "DJI_0001.JPG" }));
+        const ring = f.geojson.geometry.coordinates[0];
+
+        assert.equal(f.geojson.type, "Feature");
+        assert.equal(f.geojson.properties.file, "DJI_0001.JPG");
+        assert.equal(ring.length, 5);
+        assert.deepEqual(ring[0], ring[4]);
+        const signedArea = ring
+            .slice(0, 4)
+            .reduce((acc, p, i) => acc + p[0] * ring[i + 1][1] - ring[i + 1][0] * p[1], 0);
+        assert.ok(signedArea > 0);
+        // [longitude, latitude]
+        assert.ok(ring.every(([lon, lat]) => Math.abs(lon - 8.54) < 0.01 && Math.abs(lat - 47.38) < 0.01));
+    });
+
+    it("should work without a GPS position, in local metres only", () => {
+        const { GPSLatitude, GPSLongitude, ...tags } = DRONE;
+        const f = computeFootprint(analyzeTags(tags));
+        assert.equal(f.geojson, null);
+        assert.equal(f.corners[0].latitude, null);
+        assert.ok(f.corners[0].east < 0);
+    });
+});
+
+describe("resolveHeight", () => {
+    const geo = { altitude: 508.2, relativeAltitude: 100 };
+
+    it("should prefer an explicit height, then the ground altitude, then RelativeAltitude", () => {
+        assert.deepEqual(resolveHeight(geo, { height: 50 }), { height: 50, source: "option" });
+        assertClose(resolveHeight(geo, { groundAltitude: 420 }).height, 88.2, 1e-9);
+        assert.deepEqual(resolveHeight(geo), { height: 100, source: "RelativeAltitude" });
+    });
+
+    it("should fail without any height information", () => {
+        assert.throws(() => resolveHeight({ altitude: 508.2 }), /height above ground/);
+        assert.throws(() => resolveHeight(null, { groundAltitude: 400 }), /no GPS altitude/);
+    });
+
+    it("should read southern, western and below-sea-level positions", () => {
+        const r = analyzeTags({
+            ...DRONE,
+            GPSLatitude: "33 deg 51' 0.00\" S",
+            GPSLongitude: [70, 30, 0],
+            GPSLongitudeRef: "W",
+            GPSAltitude: 10,
+            GPSAltitudeRef: 1,
+        });
+        assertClose(r.geo.latitude, -33.85, 1e-12);
+        assertClose(r.geo.longitude, -70.5, 1e-12);
+        assert.equal(r.geo.altitude, -10);
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    CSV_COLUMNS,
+    SCHEMA_VERSION,
+    resultRecord,
+    errorRecord,
+    csvHeader,
+    csvRow,
+    createRecordWriter,
+} from "../src/format.js";
+
+/**
+ * Helper: stream stand-in collecting written chunks.
+ */
+function memoryStream() {
+    const chunks = [];
+    return { chunks, write: (c) => chunks.push(c) };
+}
+
+const RESULT = {
+    file: "a,b.jpg",
+    make: "Apple",
+    hfov: 53.06,
+    intrinsics: { fx: 3028.6, fy: 3028.6, cx: 1512, cy: 2016 },
+    provenance: { f35mm: { tier: "focalLengthIn35mm" } },
+    warnings: ["first", 'say "hi"'],
+    adjustments: [],
+};
+
+describe("records", () => {
+    it("should tag results and errors with status and schema version", () => {
+        const ok = resultRecord(RESULT);
+        assert.equal(ok.schemaVersion, SCHEMA_VERSION);
+        assert.equal(ok.status, "ok");
+        assert.equal(ok.hfov, 53.06);
+
+        const err = errorRecord("x.jpg", new Error("boom"));
+        assert.deepEqual(err, {
+            schemaVersion: SCHEMA_VERSION,
+            status: "error",
+            file: "x.jpg",
+            error: { type: "Error", message: "boom" },
+        });
+    });
+});
+
+describe("csv", () => {
+    it("should flatten nested fields and escape cells", () => {
+        const row = csvRow(resultRecord(RESULT));
+        assert.ok(row.startsWith(`${SCHEMA_VERSION},ok,"a,b.jpg",,,Apple,`));
+        assert.ok(row.includes(",3028.6,3028.6,1512,2016,"));
+        assert.ok(row.includes(',focalLengthIn35mm,,"first; say ""hi""",'));
+    });
+
+    it("should have one header cell per column", () => {
+        assert.equal(csvHeader().split(",").length, CSV_COLUMNS.length);
+        assert.equal(csvRow(errorRecord("x", new Error("e"))).split(",").length, CSV_COLUMNS.length);
+    });
+});
+
+describe("createRecordWriter", () => {
+    it("should stream NDJSON records immediately", () => {
+        const out = memoryStream();
+        const w = createRecordWriter("ndjson", out);
+        w.write({ a: 1 });
+        assert.deepEqual(out.chunks, ['{"a":1}\n']);
+        w.end();
+        assert.equal(out.chunks.length, 1);
+    });
+
+    it("should write one JSON array at the end", () => {
+        const out = memoryStream();
+        const w = createRecordWriter("json", out);
+        w.write({ a: 1 });
+        w.write({ a: 2 });
+        assert.equal(out.chunks.length, 0);
+        w.end();
+        assert.deepEqual(JSON.parse(out.chunks.join("")), [{ a: 1 }, { a: 2 }]);
+    });
+
+    it("should write the CSV header first", () => {
+        const out = memoryStream();
+        createRecordWriter("csv", out);
+        assert.equal(out.chunks[0], csvHeader() + "\n");
+    });
+
+    it("should reject unknown formats", () => {
+        assert.throws(() => createRecordWriter("xml", memoryStream()));
+    });
+});
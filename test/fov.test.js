@@ -4,9 +4,30 @@ import assert from "node:assert/strict";
 import {
     adjustForOrientation,
     computeFov,
+    equivalentFrameDimensions,
     computeDiagonalPixelFocalLength,
+    computePinholeIntrinsics,
+    pixelAspectRatio,
     closeFocusCorrectionFactor,
+    focusBreathingFactor,
+    interpolateBreathing,
+    projectionRadius,
+    projectionAngle,
+    detectProjection,
+    resolveCapturedRegion,
+    orientationTransform,
+    transformPoint,
+    orientIntrinsics,
+    resolveF35mm,
+    getF35mm,
+    PROJECTIONS,
+    scaleBrown,
+    brownFromWarpRectilinear,
+    fitBrownRadial,
+    orientDistortion,
 } from "../src/compute.js";
+import { normaliseTags } from "../src/tags.js";
+import { analyzeTags } from "../src/core.js";
 
 /**
  * Helper: assert a value is within ±tolerance of expected.
@@ -40,6 +61,59 @@ describe("adjustForOrientation", () => {
     });
 });
 
+describe("orientationTransform", () => {
+    // Where the raw top-left and top-right corners of a 4000 × 3000 image land
+    const expected = {
+        1: [[0, 0], [4000, 0]],
+        2: [[4000, 0], [0, 0]],
+        3: [[4000, 3000], [0, 3000]],
+        4: [[0, 3000], [4000, 3000]],
+        5: [[0, 0], [0, 4000]],
+        6: [[3000, 0], [3000, 4000]],
+        7: [[3000, 4000], [3000, 0]],
+        8: [[0, 4000], [0, 0]],
+    };
+
+    for (const [o, [tl, tr]] of Object.entries(expected)) {
+        it(`should map raw corners for orientation ${o}`, () => {
+            const T = orientationTransform(Number(o), 4000, 3000);
+            const a = transformPoint(T, 0, 0);
+            const b = transformPoint(T, 4000, 0);
+            assert.deepEqual([a.x, a.y], tl);
+            assert.deepEqual([b.x, b.y], tr);
+        });
+    }
+
+    it("should fall back to identity for unknown values", () => {
+        assert.deepEqual(orientationTransform(0, 10, 10), orientationTransform(1, 10, 10));
+    });
+});
+
+describe("orientIntrinsics", () => {
+    it("should swap focal lengths and move the principal point for rotations", () => {
+        const raw = computePinholeIntrinsics(50, 4000, 3000, {
+            pixelAspect: 1.1,
+            principalPoint: { cx: 1900, cy: 1500 },
+        });
+        const T = orientationTransform(6, 4000, 3000);
+        const vis = orientIntrinsics(raw, T);
+        assert.equal(vis.fx, raw.fy);
+        assert.equal(vis.fy, raw.fx);
+        assert.equal(vis.cx, 1500);
+        assert.equal(vis.cy, 1900);
+    });
+
+    it("should mirror the principal point for orientation 2", () => {
+        const raw = computePinholeIntrinsics(50, 4000, 3000, {
+            principalPoint: { cx: 1900, cy: 1500 },
+        });
+        const vis = orientIntrinsics(raw, orientationTransform(2, 4000, 3000));
+        assert.equal(vis.fx, raw.fx);
+        assert.equal(vis.cx, 2100);
+        assert.equal(vis.cy, 1500);
+    });
+});
+
 describe("computeFov", () => {
     it("should compute correct FOV for 50mm full-frame equivalent", () => {
         const { hfov, vfov, dfov } = computeFov(50);
@@ -52,6 +126,39 @@ describe("computeFov", () => {
         const { hfov } = computeFov(24);
         assertClose(hfov, 73.74, 0.1, "HFOV@24mm");
     });
+
+    it("should match the 36 × 24 frame for 3:2 images", () => {
+        const aspect = computeFov(50, 6000, 4000);
+        const legacy = computeFov(50, 6000, 4000, { mode: "exiftool" });
+        assertClose(aspect.hfov, legacy.hfov, 1e-9, "HFOV 3:2");
+        assertClose(aspect.vfov, legacy.vfov, 1e-9, "VFOV 3:2");
+    });
+
+    it("should follow the aspect ratio for 4:3 images", () => {
+        // 26mm phone wide camera, 4032 × 3024
+        const { hfov, vfov, dfov } = computeFov(26, 4032, 3024);
+        assertClose(hfov, 67.27, 0.1, "HFOV@26mm 4:3");
+        assertClose(vfov, 53.06, 0.1, "VFOV@26mm 4:3");
+        assertClose(dfov, 79.53, 0.1, "DFOV@26mm 4:3");
+    });
+
+    it("should keep the fixed frame in exiftool mode", () => {
+        const { hfov, vfov } = computeFov(26, 4032, 3024, { mode: "exiftool" });
+        assertClose(hfov, computeFov(26).hfov, 1e-9, "HFOV exiftool");
+        assertClose(vfov, computeFov(26).vfov, 1e-9, "VFOV exiftool");
+    });
+
+    it("should reject unknown modes", () => {
+        assert.throws(() => computeFov(50, 100, 100, { mode: "bogus" }));
+    });
+});
+
+describe("equivalentFrameDimensions", () => {
+    it("should preserve the full-frame diagonal", () => {
+        const { frameWidth, frameHeight } = equivalentFrameDimensions(1920, 1080);
+        assertClose(Math.hypot(frameWidth, frameHeight), 43.266, 0.001, "diag");
+        assertClose(frameWidth / frameHeight, 16 / 9, 1e-9, "aspect");
+    });
 });
 
 describe("computeDiagonalPixelFocalLength", () => {
@@ -62,6 +169,49 @@ describe("computeDiagonalPixelFocalLength", () => {
     });
 });
 
+describe("computePinholeIntrinsics", () => {
+    it("should equal f_pixel on both axes for square pixels", () => {
+        const { fx, fy, cx, cy, K } = computePinholeIntrinsics(90, 6000, 4000);
+        const fPixel = computeDiagonalPixelFocalLength(90, 6000, 4000);
+        assert.equal(fx, fPixel);
+        assert.equal(fy, fPixel);
+        assert.equal(cx, 3000);
+        assert.equal(cy, 2000);
+        assert.deepEqual(K, [
+            [fPixel, 0, 3000],
+            [0, fPixel, 2000],
+            [0, 0, 1],
+        ]);
+    });
+
+    it("should preserve the physical diagonal for non-square pixels", () => {
+        const a = 1.1;
+        const { fx, fy } = computePinholeIntrinsics(50, 1440, 1080, {
+            pixelAspect: a,
+        });
+        assertClose(fx / fy, a, 1e-9, "fx/fy");
+        // Physical diagonal in units of pixel width
+        const diag = Math.hypot(1440, 1080 * a);
+        assertClose(fx, (50 / 43.2666) * diag, 0.1, "fx");
+    });
+});
+
+describe("pixelAspectRatio", () => {
+    it("should be 1 when resolutions are missing", () => {
+        assert.equal(pixelAspectRatio({ focalPlaneXRes: 100 }), 1);
+    });
+
+    it("should treat small rounding differences as square", () => {
+        const a = pixelAspectRatio({ focalPlaneXRes: 5315.4, focalPlaneYRes: 5306.1 });
+        assert.equal(a, 1);
+    });
+
+    it("should report X/Y resolution ratio for non-square pixels", () => {
+        const a = pixelAspectRatio({ focalPlaneXRes: 2000, focalPlaneYRes: 1800 });
+        assertClose(a, 2000 / 1800, 1e-9, "aspect");
+    });
+});
+
 describe("closeFocusCorrectionFactor", () => {
     it("should return 1 at infinity (null distance)", () => {
         assert.equal(closeFocusCorrectionFactor(100, null), 1);
@@ -82,3 +232,382 @@ describe("closeFocusCorrectionFactor", () => {
         assertClose(corr, 1.001, 0.001, "correction at 100m");
     });
 });
+
+describe("interpolateBreathing", () => {
+    const points = [
+        { distance: 0.5, magnification: 0.9 },
+        { distance: 2, magnification: 0.975 },
+    ];
+
+    it("should assume magnification 1 at infinity", () => {
+        assert.equal(interpolateBreathing(points, null), 1);
+    });
+
+    it("should interpolate linearly in focus power (1 / distance)", () => {
+        // 1 m = 1 dpt, a third of the way from 0.5 dpt (2 m) to 2 dpt (0.5 m)
+        assertClose(interpolateBreathing(points, 1), 0.975 - (0.5 / 1.5) * 0.075, 1e-9, "1 m");
+        assertClose(interpolateBreathing(points, 4), 0.9875, 1e-9, "4 m");
+    });
+
+    it("should clamp closer than the closest point", () => {
+        assert.equal(interpolateBreathing(points, 0.2), 0.9);
+    });
+
+    it("should honour an explicit infinity point", () => {
+        const withInf = [{ distance: null, magnification: 1.01 }, ...points];
+        assert.equal(interpolateBreathing(withInf, null), 1.01);
+    });
+});
+
+describe("focusBreathingFactor", () => {
+    const meta = { focalLength: 100, focusDistance: 1.18 };
+
+    it("should leave the focal length alone by default", () => {
+        const b = focusBreathingFactor(meta);
+        assert.deepEqual(b, { model: "none", factor: 1, focusDistance: 1.18, warnings: [] });
+    });
+
+    it("should apply the thin-lens factor", () => {
+        const b = focusBreathingFactor(meta, { model: "thin-lens" });
+        assertClose(b.factor, closeFocusCorrectionFactor(100, 1.18), 1e-12, "thin-lens");
+    });
+
+    it("should apply a breathing table, including factors below 1", () => {
+        const profile = { points: [{ distance: 1.18, magnification: 0.95 }] };
+        const b = focusBreathingFactor(meta, { model: "table", profile });
+        assertClose(b.factor, 0.95, 1e-12, "table");
+    });
+
+    it("should warn and fall back to 1 when data is missing", () => {
+        const noDistance = focusBreathingFactor({ focalLength: 100 }, { model: "thin-lens" });
+        assert.equal(noDistance.factor, 1);
+        assert.match(noDistance.warnings[0], /no focus distance/);
+
+        const noTable = focusBreathingFactor(meta, { model: "table" });
+        assert.equal(noTable.factor, 1);
+        assert.match(noTable.warnings[0], /no breathing table/);
+    });
+
+    it("should reject unknown models", () => {
+        assert.throws(() => focusBreathingFactor(meta, { model: "magic" }), /Unknown focus-breathing/);
+    });
+});
+
+describe("projection models", () => {
+    it("should round-trip radius and angle for every model", () => {
+        for (const p of PROJECTIONS) {
+            const theta = 0.7;
+            const r = projectionRadius(theta, 10, p);
+            assertClose(projectionAngle(r, 10, p), theta, 1e-12, p);
+        }
+    });
+
+    it("should agree near the optical axis", () => {
+        for (const p of PROJECTIONS) {
+            assertClose(projectionRadius(1e-4, 10, p), 1e-3, 1e-9, p);
+        }
+    });
+
+    it("should give a 180° diagonal for an 8mm-equivalent equisolid fisheye", () => {
+        // Full-frame diagonal fisheye: r = 21.633mm at θ = 90° → f ≈ 15.3mm
+        const f = 43.266 / 2 / (2 * Math.sin(Math.PI / 4));
+        const { dfov } = computeFov(f, 6000, 4000, { projection: "equisolid" });
+        assertClose(dfov, 180, 0.01, "DFOV equisolid");
+    });
+
+    it("should exceed the rectilinear FOV for fisheye models", () => {
+        const rect = computeFov(15, 6000, 4000);
+        const fish = computeFov(15, 6000, 4000, { projection: "equidistant" });
+        assert.ok(fish.dfov > rect.dfov);
+    });
+
+    it("should clamp radii outside the image circle", () => {
+        assertClose(projectionAngle(100, 10, "orthographic"), Math.PI / 2, 1e-12, "ortho");
+        assertClose(projectionAngle(100, 10, "equisolid"), Math.PI, 1e-12, "equisolid");
+    });
+
+    it("should reject unknown models", () => {
+        assert.throws(() => computeFov(15, 100, 100, { projection: "bogus" }));
+    });
+});
+
+describe("detectProjection", () => {
+    it("should default to rectilinear", () => {
+        assert.equal(detectProjection({ lensModel: "EF24-70mm f/2.8L" }), "rectilinear");
+    });
+
+    it("should detect fisheye lenses from the lens description", () => {
+        assert.equal(
+            detectProjection({ lensType: "Canon EF 8-15mm f/4L Fisheye USM" }),
+            "equidistant"
+        );
+    });
+
+    it("should prefer an explicit projection tag", () => {
+        assert.equal(
+            detectProjection({ projectionType: "Stereographic", lensModel: "Fisheye" }),
+            "stereographic"
+        );
+    });
+});
+
+describe("resolveCapturedRegion", () => {
+    it("should leave plain images untouched", () => {
+        const r = resolveCapturedRegion({ width: 4000, height: 3000, digitalZoomRatio: 1 });
+        assert.equal(r.focalScale, 1);
+        assert.equal(r.width, 4000);
+        assert.deepEqual(r.adjustments, []);
+    });
+
+    it("should scale the focal length by the digital zoom ratio", () => {
+        const r = resolveCapturedRegion({ width: 4000, height: 3000, digitalZoomRatio: 2 });
+        assert.equal(r.focalScale, 2);
+        assert.equal(r.width, 4000);
+        assert.equal(r.adjustments[0].type, "digitalZoom");
+    });
+
+    it("should apply a DNG default crop without changing f_pixel", () => {
+        const meta = {
+            width: 6080,
+            height: 4044,
+            defaultCropOrigin: [40, 22],
+            defaultCropSize: [6000, 4000],
+        };
+        const r = resolveCapturedRegion(meta);
+        assert.equal(r.width, 6000);
+        assert.equal(r.height, 4000);
+        assert.equal(r.adjustments[0].source, "DefaultCropSize");
+        assert.deepEqual(r.principalPoint, { cx: 3000, cy: 2000 });
+        assertClose(
+            computeDiagonalPixelFocalLength(50 * r.focalScale, r.width, r.height),
+            computeDiagonalPixelFocalLength(50, 6080, 4044),
+            1e-9,
+            "f_pixel"
+        );
+    });
+
+    it("should apply a Camera Raw crop only when HasCrop is set", () => {
+        const meta = {
+            width: 4000,
+            height: 3000,
+            cropRect: { left: 0.125, top: 0, right: 0.875, bottom: 1 },
+        };
+        assert.equal(resolveCapturedRegion(meta).width, 4000);
+        const r = resolveCapturedRegion({ ...meta, hasCrop: true });
+        assert.equal(r.width, 3000);
+        assert.equal(r.height, 3000);
+    });
+
+    it("should honour the opt-out flags", () => {
+        const meta = { width: 4000, height: 3000, digitalZoomRatio: 3 };
+        const r = resolveCapturedRegion(meta, { applyDigitalZoom: false });
+        assert.equal(r.focalScale, 1);
+    });
+});
+
+describe("resolveF35mm", () => {
+    it("should prefer the direct tag and cross-check the others", () => {
+        const r = resolveF35mm({
+            focalLength: 50,
+            focalLengthIn35mm: 75,
+            scaleFactor35efl: 1.5,
+            width: 6000,
+            height: 4000,
+            focalPlaneXRes: 6000 / 23.6,
+            focalPlaneYRes: 4000 / 15.7,
+            focalPlaneUnit: 4,
+        });
+        assert.equal(r.tier, "focalLengthIn35mm");
+        assert.equal(r.f35mm, 75);
+        assert.equal(r.deltas.scaleFactor35efl, 0);
+        assertClose(r.deltas.focalPlane, 0.0176, 0.001, "focal-plane delta");
+        assert.equal(r.confidence, "high");
+    });
+
+    it("should fall back to the focal plane with medium confidence", () => {
+        const r = resolveF35mm({
+            focalLength: 50,
+            width: 6000,
+            height: 4000,
+            focalPlaneXRes: 6000 / 36,
+            focalPlaneYRes: 4000 / 24,
+            focalPlaneUnit: 4,
+        });
+        assert.equal(r.tier, "focalPlane");
+        assertClose(r.f35mm, 50, 1e-9, "f35");
+        assert.equal(r.confidence, "medium");
+    });
+
+    it("should warn about rounded short focal lengths", () => {
+        const r = resolveF35mm({ focalLengthIn35mm: 26 });
+        assert.match(r.warnings[0], /rounded to integer/);
+        assert.equal(r.confidence, "medium");
+    });
+
+    it("should flag disagreeing tiers and focal-plane axes", () => {
+        const r = resolveF35mm({
+            focalLength: 10,
+            focalLengthIn35mm: 60,
+            scaleFactor35efl: 5,
+            width: 4000,
+            height: 3000,
+            focalPlaneXRes: 1000,
+            focalPlaneYRes: 920,
+            focalPlaneUnit: 3,
+        });
+        assert.equal(r.confidence, "low");
+        assert.ok(r.warnings.some((w) => /scaleFactor35efl disagrees/.test(w)));
+        assert.ok(r.warnings.some((w) => /focal plane X\/Y disagree by 8\.7%/.test(w)));
+    });
+
+    it("should use the sensor database as a last resort", () => {
+        const meta = { focalLength: 18, width: 6000, height: 4000 };
+        const sensor = { sensorWidth: 23.5, sensorHeight: 15.6 };
+        const r = resolveF35mm(meta, { sensor });
+        assert.equal(r.tier, "sensorDatabase");
+        assertClose(r.f35mm, 27.61, 0.01, "f35 from sensor");
+        assert.equal(r.confidence, "medium");
+        assertClose(getF35mm(meta, { sensor }), r.f35mm, 0, "getF35mm");
+    });
+
+    it("should divide a phone's digital zoom out of its 35 mm tag", () => {
+        // 26 mm wide camera at 2×: phones record the zoomed 35 mm equivalent
+        const meta = normaliseTags({
+            Make: "Apple",
+            Model: "iPhone 12",
+            ImageWidth: 4032,
+            ImageHeight: 3024,
+            FocalLength: 4.2,
+            FocalLengthIn35mmFormat: 52,
+            DigitalZoomRatio: 2,
+        });
+        const sensor = { sensorWidth: 5.6, sensorHeight: 4.2 };
+        const r = resolveF35mm(meta, { sensor });
+        assert.equal(r.tier, "focalLengthIn35mm");
+        assert.equal(r.f35mm, 26);
+        assertClose(r.deltas.sensorDatabase, 0, 0.01, "sensor-database delta");
+        assert.equal(r.f35mm * resolveCapturedRegion(meta).focalScale, 52);
+
+        // A per-frame video zoom is not part of the file's 35 mm tag
+        const video = normaliseTags({
+            ImageWidth: 3840,
+            ImageHeight: 2160,
+            FocalLengthIn35mmFormat: 24,
+            DigitalZoom: 2,
+        });
+        assert.equal(resolveF35mm(video).f35mm, 24);
+    });
+
+    it("should keep the 35 mm tag of other cameras with digital zoom", () => {
+        // Compacts record the optical 35 mm equivalent next to the zoom
+        const meta = normaliseTags({
+            Make: "Canon",
+            Model: "Canon PowerShot G7 X",
+            ImageWidth: 5472,
+            ImageHeight: 3648,
+            FocalLength: 8.8,
+            FocalLengthIn35mmFormat: 24,
+            DigitalZoomRatio: 2,
+        });
+        const r = resolveF35mm(meta);
+        assert.equal(r.f35mm, 24);
+        assert.equal(r.f35mm * resolveCapturedRegion(meta).focalScale, 48);
+    });
+
+    it("should report no tier when data is missing", () => {
+        const r = resolveF35mm({ focalLength: 50 });
+        assert.equal(r.tier, null);
+        assert.throws(() => getF35mm({ focalLength: 50 }), /Cannot determine/);
+        assert.throws(() => analyzeTags({ FocalLength: 50, ImageWidth: 6000, ImageHeight: 4000 }), /Cannot determine/);
+    });
+});
+
+describe("lens distortion", () => {
+    // Apply Brown–Conrady distortion to a focal-normalised point
+    function brown([x, y], { k1, k2, k3, p1, p2 }) {
+        const r2 = x * x + y * y;
+        const radial = 1 + k1 * r2 + k2 * r2 ** 2 + k3 * r2 ** 3;
+        return [
+            x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+            y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y,
+        ];
+    }
+
+    it("should rescale coefficients to another unit length", () => {
+        const c = { k1: 0.1, k2: 0.01, k3: 0.001, p1: 0.002, p2: -0.003 };
+        const t = 1.5;
+        const scaled = scaleBrown(c, t);
+        // u = t·x: distorting u and dividing by t equals distorting x with scaled coefficients
+        const [ud, vd] = brown([0.3 * t, -0.2 * t], c);
+        const [xd, yd] = brown([0.3, -0.2], scaled);
+        assertClose(ud / t, xd, 1e-12, "x");
+        assertClose(vd / t, yd, 1e-12, "y");
+    });
+
+    it("should convert a DNG WarpRectilinear opcode", () => {
+        const width = 6000;
+        const height = 4000;
+        const focalPx = 5000;
+        const warp = {
+            planes: [{ kr: [1.01, -0.05, 0.02, -0.004], kt: [0.001, -0.002] }],
+            cx: 0.5,
+            cy: 0.5,
+        };
+        const { coefficients, scale } = brownFromWarpRectilinear(warp, { width, height, focalPx });
+        assert.equal(scale, 1.01);
+
+        // Evaluate the opcode directly at a pixel, in units of the corner distance
+        const m = Math.hypot(3000, 2000);
+        const [dx, dy] = [1800 / m, -900 / m];
+        const r2 = dx * dx + dy * dy;
+        const [kr0, kr1, kr2, kr3] = warp.planes[0].kr;
+        const [kt0, kt1] = warp.planes[0].kt;
+        const f = kr0 + kr1 * r2 + kr2 * r2 ** 2 + kr3 * r2 ** 3;
+        const xWarp = (f * dx + 2 * kt0 * dx * dy + kt1 * (r2 + 2 * dx * dx)) * m;
+        const yWarp = (f * dy + kt0 * (r2 + 2 * dy * dy) + 2 * kt1 * dx * dy) * m;
+
+        const [xd, yd] = brown([1800 / focalPx, -900 / focalPx], coefficients);
+        assertClose(xd * focalPx * scale, xWarp, 1e-6, "x");
+        assertClose(yd * focalPx * scale, yWarp, 1e-6, "y");
+    });
+
+    it("should use the green plane of a three-plane opcode", () => {
+        const plane = (k) => ({ kr: [1, k, 0, 0], kt: [0, 0] });
+        const warp = { planes: [plane(0.1), plane(0.2), plane(0.3)], cx: 0.5, cy: 0.5 };
+        const frame = { width: 100, height: 100, focalPx: Math.hypot(50, 50) };
+        assertClose(brownFromWarpRectilinear(warp, frame).coefficients.k1, 0.2, 1e-12, "k1");
+    });
+
+    it("should recover radial coefficients from a table", () => {
+        const frame = { width: 6000, height: 4000, focalPx: 4000 };
+        const halfDiagonal = Math.hypot(6000, 4000) / 2;
+        const truth = { k1: -0.08, k2: 0.02, k3: 0 };
+        const knots = Array.from({ length: 16 }, (_, i) => i / 15);
+        const factors = knots.map((r) => {
+            const x2 = ((r * halfDiagonal) / frame.focalPx) ** 2;
+            return 1 + truth.k1 * x2 + truth.k2 * x2 ** 2;
+        });
+
+        const fit = fitBrownRadial(knots, factors, frame);
+        assertClose(fit.scale, 1, 1e-3, "scale");
+        assertClose(fit.coefficients.k1, truth.k1, 2e-3, "k1");
+        assertClose(fit.coefficients.k2, truth.k2, 5e-3, "k2");
+        assert.ok(fit.fitError < 1e-3, `fitError ${fit.fitError}`);
+        assert.equal(fit.coefficients.p1, 0);
+    });
+
+    it("should turn tangential terms with the image orientation", () => {
+        const c = { k1: 0.1, k2: 0, k3: 0, p1: 0.01, p2: -0.02 };
+        const pt = [0.3, 0.2];
+        for (let o = 1; o <= 8; o++) {
+            const T = orientationTransform(o, 4000, 3000);
+            const map = ([x, y]) => [T[0][0] * x + T[0][1] * y, T[1][0] * x + T[1][1] * y];
+
+            // Distort-then-orient must equal orient-then-distort
+            const a = map(brown(pt, c));
+            const b = brown(map(pt), orientDistortion(c, T));
+            assertClose(a[0], b[0], 1e-12, `orientation ${o} x`);
+            assertClose(a[1], b[1], 1e-12, `orientation ${o} y`);
+        }
+    });
+});
@@ -0,0 +1,187 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { analyzeTags } from "../src/index.js";
+import {
+    resolveOverrides,
+    registerOverrides,
+    loadOverrideConfig,
+    findOverrideConfig,
+    clearRegisteredOverrides,
+} from "../src/overrides.js";
+
+// Drone body whose 35 mm tag is off: 24 recorded for a 28 mm equivalent lens
+const DRONE = {
+    Make: "DJI",
+    Model: "L1D-20c",
+    FocalLength: 10.26,
+    FocalLengthIn35mmFormat: 24,
+    ImageWidth: 5472,
+    ImageHeight: 3648,
+    SerialNumber: "0K1D123",
+};
+
+describe("overrides", () => {
+    afterEach(() => clearRegisteredOverrides());
+
+    it("should force the 35 mm equivalent and record the rule", () => {
+        registerOverrides(
+            { name: "Mavic 2 Pro", match: { make: "dji", model: "L1D-20c" }, focalLengthIn35mm: 28 },
+            { source: "fov.config.json" }
+        );
+        const r = analyzeTags(DRONE);
+
+        assert.equal(r.focalLengthIn35mm, 28);
+        assert.equal(r.provenance.f35mm.tier, "override");
+        assert.ok(Math.abs(r.provenance.f35mm.deltas.focalLengthIn35mm - (24 / 28 - 1)) < 1e-12);
+        assert.equal(r.confidence, "high");
+        assert.deepEqual(r.warnings, []);
+        assert.deepEqual(r.provenance.overrides, [
+            { name: "Mavic 2 Pro", source: "fov.config.json", fields: ["focalLengthIn35mm"] },
+        ]);
+    });
+
+    it("should leave other cameras alone", () => {
+        registerOverrides({ match: { make: "DJI", model: "FC6310" }, focalLengthIn35mm: 28 });
+        const r = analyzeTags(DRONE);
+        assert.equal(r.focalLengthIn35mm, 24);
+        assert.equal(r.provenance.f35mm.tier, "focalLengthIn35mm");
+        assert.deepEqual(r.provenance.overrides, []);
+    });
+
+    it("should derive the 35 mm equivalent from a forced sensor size", () => {
+        registerOverrides({ match: { serial: "0K1D123" }, sensor: { width: 13.2, height: 8.8 } });
+        const r = analyzeTags(DRONE);
+        const expected = (10.26 * Math.hypot(36, 24)) / Math.hypot(13.2, 8.8);
+
+        assert.ok(Math.abs(r.focalLengthIn35mm - expected) < 1e-9);
+        assert.equal(r.provenance.f35mm.tier, "override");
+        assert.equal(r.provenance.f35mm.sensor.source, "override");
+        assert.equal(r.provenance.sources.serialNumber, "SerialNumber");
+    });
+
+    it("should warn when a forced sensor size has no focal length to apply to", () => {
+        registerOverrides({ match: { make: "DJI" }, sensor: { width: 13.2, height: 8.8 } });
+        const { FocalLength, ...tags } = DRONE;
+        const r = analyzeTags(tags);
+        assert.equal(r.provenance.f35mm.tier, "focalLengthIn35mm");
+        assert.ok(r.warnings.some((w) => /sensor size ignored/.test(w)));
+    });
+
+    it("should scale the focal length and shift the principal point", () => {
+        registerOverrides({
+            match: { make: "DJI" },
+            focalLengthScale: 1.05,
+            principalPointOffset: { x: 10, y: -4 },
+        });
+        const r = analyzeTags({ ...DRONE, Orientation: 6 });
+
+        assert.ok(Math.abs(r.focalLengthIn35mm - 24 * 1.05) < 1e-9);
+        assert.equal(r.provenance.f35mm.tier, "focalLengthIn35mm");
+        assert.equal(r.provenance.f35mm.scale, 1.05);
+        assert.equal(r.provenance.f35mm.candidates.focalLengthIn35mm, r.opticalFocalLengthIn35mm);
+        // Raw (stored) frame offset, rotated 90° clockwise into the visual frame
+        assert.equal(r.intrinsics.cx, 3648 - (1824 - 4));
+        assert.equal(r.intrinsics.cy, 2736 + 10);
+    });
+
+    it("should not scale a forced 35 mm equivalent", () => {
+        registerOverrides({ match: { make: "DJI" }, focalLengthIn35mm: 28, focalLengthScale: 1.1 });
+        const r = analyzeTags(DRONE);
+
+        assert.equal(r.focalLengthIn35mm, 28);
+        assert.equal(r.provenance.f35mm.candidates.override, 28);
+        assert.ok(Math.abs(r.provenance.f35mm.candidates.focalLengthIn35mm - 24 * 1.1) < 1e-9);
+        assert.ok(r.warnings.some((w) => /focalLengthScale not applied/.test(w)));
+    });
+
+    it("should force the projection unless the caller chose one", () => {
+        registerOverrides({ match: { lens: "fisheye" }, projection: "equisolid" });
+        const tags = { ...DRONE, LensModel: "Laowa 4mm Fisheye" };
+
+        const r = analyzeTags(tags);
+        assert.equal(r.projection, "equisolid");
+        assert.equal(r.provenance.projection, "override");
+
+        const forced = analyzeTags(tags, { projection: "equidistant" });
+        assert.equal(forced.projection, "equidistant");
+        assert.equal(forced.provenance.projection, "option");
+    });
+
+    it("should let later rules replace the fields of earlier ones", () => {
+        registerOverrides([
+            { name: "all DJI", match: { make: "DJI" }, focalLengthIn35mm: 26, focalLengthScale: 1.01 },
+            { name: "this body", match: { serial: "0K1D123" }, focalLengthIn35mm: 28 },
+        ]);
+        const o = resolveOverrides({ make: "DJI", model: "L1D-20c", serialNumber: "0K1D123" });
+
+        assert.equal(o.focalLengthIn35mm, 28);
+        assert.equal(o.focalLengthScale, 1.01);
+        assert.deepEqual(
+            o.applied.map((a) => [a.name, a.fields]),
+            [["all DJI", ["focalLengthScale"]], ["this body", ["focalLengthIn35mm"]]]
+        );
+    });
+
+    it("should reject invalid rules", () => {
+        assert.throws(() => registerOverrides({ focalLengthIn35mm: 28 }), /must match on/);
+        assert.throws(() => registerOverrides({ match: { make: "DJI" } }), /overrides nothing/);
+        assert.throws(
+            () => registerOverrides({ match: { make: "DJI" }, focalLength35: 28 }),
+            /unknown field\(s\): focalLength35/
+        );
+        assert.throws(
+            () => registerOverrides({ match: { make: "DJI" }, projection: "cylindrical" }),
+            /unknown projection/
+        );
+        assert.throws(() => registerOverrides({ overrides: [] }), /Unsupported override configuration/);
+        assert.throws(
+            () => registerOverrides({ match: { make: "DJI" }, principalPointOffset: { x: "left" } }),
+            /principalPointOffset must have numeric x and y/
+        );
+        assert.throws(() => registerOverrides({ match: { make: "DJI" }, focalLengthIn35mm: [28] }), /positive number/);
+    });
+
+    it("should accept numbers written as strings", () => {
+        registerOverrides({
+            match: { make: "DJI" },
+            sensor: { width: "13.2", height: "8.8" },
+            focalLengthScale: "1.05",
+            principalPointOffset: { x: "10", y: "-4" },
+        });
+        const o = resolveOverrides({ make: "DJI" });
+        assert.deepEqual(o.sensor, { width: 13.2, height: 8.8 });
+        assert.equal(o.focalLengthScale, 1.05);
+        assert.deepEqual(o.principalPointOffset, { x: 10, y: -4 });
+    });
+
+    it("should load YAML configuration files and find them in a directory", async () => {
+        const dir = await mkdtemp(join(tmpdir(), "fov-overrides-"));
+        try {
+            assert.equal(await findOverrideConfig(dir), null);
+
+            const path = join(dir, "fov.config.yaml");
+            await writeFile(
+                path,
+                [
+                    "version: 1",
+                    "overrides:",
+                    "  - name: Mavic 2 Pro  # 24 mm tag is wrong",
+                    "    match: { make: DJI, model: L1D-20c }",
+                    "    focalLengthIn35mm: 28",
+                ].join("\n")
+            );
+            assert.equal(await findOverrideConfig(dir), path);
+            assert.equal(await loadOverrideConfig(path), 1);
+
+            const r = analyzeTags(DRONE);
+            assert.equal(r.focalLengthIn35mm, 28);
+            assert.equal(r.provenance.overrides[0].source, path);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { analyzeTags } from "../src/index.js";
+import { summariseBatch, formatBatchReport, formatOutliers } from "../src/report.js";
+
+const PHONE = {
+    Make: "Apple",
+    Model: "iPhone 12",
+    LensModel: "iPhone 12 back dual wide camera 4.2mm f/1.6",
+    FocalLength: 4.2,
+    FocalLengthIn35mmFormat: 26,
+    ImageWidth: 4032,
+    ImageHeight: 3024,
+};
+
+const NIKON = {
+    Make: "NIKON CORPORATION",
+    Model: "NIKON D7500",
+    LensModel: "AF-S 35mm f/1.8G",
+    FocalLength: 35,
+    FocalLengthIn35mmFormat: 52,
+    ImageWidth: 5568,
+    ImageHeight: 3712,
+};
+
+function batch() {
+    const results = [
+        analyzeTags(PHONE, { filename: "a.jpg" }),
+        analyzeTags({ ...PHONE, Orientation: 6 }, { filename: "b.jpg" }),
+        analyzeTags(PHONE, { filename: "c.jpg" }),
+        // Downscaled copy: same camera, half the f_pixel
+        analyzeTags({ ...PHONE, ImageWidth: 2016, ImageHeight: 1512 }, { filename: "small.jpg" }),
+        analyzeTags(NIKON, { filename: "d.nef" }),
+        analyzeTags({ ...NIKON, FocalLengthIn35mmFormat: undefined }, { filename: "e.nef" }),
+    ];
+    const failures = [
+        { file: "x.jpg", error: new Error('No EXIF data found in "x.jpg".') },
+        { file: "y.jpg", error: new Error('No EXIF data found in "y.jpg".') },
+        { file: "z.cr3", error: Object.assign(new Error("Unsupported file format"), { code: "UNSUPPORTED" }) },
+    ];
+    return { results, failures };
+}
+
+describe("summariseBatch", () => {
+    it("should group by camera, lens and focal length with FOV and f_pixel ranges", () => {
+        const { results, failures } = batch();
+        const report = summariseBatch(results, failures);
+
+        assert.equal(report.total, 9);
+        assert.equal(report.succeeded, 6);
+        assert.equal(report.failed, 3);
+        assert.deepEqual(report.tiers, { focalLengthIn35mm: 5, sensorDatabase: 1 });
+
+        const [phone, nikon] = report.groups;
+        assert.equal(phone.cameraId, "apple/iphone-12/back-4.2mm-f-1.6");
+        assert.equal(phone.count, 4);
+        assert.equal(phone.focalLength, 4.2);
+        // The rotated image swaps HFOV and VFOV
+        assert.equal(phone.hfov.min, results[1].hfov);
+        assert.equal(phone.hfov.max, results[0].hfov);
+        assert.equal(phone.vfov.max, results[1].vfov);
+        assert.equal(phone.fPixel.median, results[0].fPixelDiagonal);
+
+        assert.equal(nikon.count, 2);
+        assert.deepEqual(nikon.tiers, { focalLengthIn35mm: 1, sensorDatabase: 1 });
+    });
+
+    it("should flag f_pixel outliers within a group", () => {
+        const { results } = batch();
+        const { outliers } = summariseBatch(results);
+
+        // Too few Nikon images to tell which one is off
+        assert.equal(outliers.length, 1);
+        const [small] = outliers;
+        assert.equal(small.file, "small.jpg");
+        assert.equal(small.metric, "fPixel");
+        assert.equal(small.focalLength, 4.2);
+        assert.equal(small.median, results[0].fPixelDiagonal);
+        assert.ok(Math.abs(small.deviation + 0.5) < 1e-9);
+        assert.deepEqual(summariseBatch(results, [], { outlierTolerance: 0.6 }).outliers, []);
+    });
+
+    it("should flag crop factors that disagree with the camera module", () => {
+        const results = [
+            analyzeTags(PHONE, { filename: "a.jpg" }),
+            analyzeTags(PHONE, { filename: "b.jpg" }),
+            analyzeTags(PHONE, { filename: "c.jpg" }),
+            // 35 mm value of the 2× zoom
+            analyzeTags({ ...PHONE, FocalLengthIn35mmFormat: 52 }, { filename: "zoom.jpg" }),
+        ];
+        const { outliers } = summariseBatch(results);
+
+        assert.deepEqual(
+            outliers.map((o) => [o.file, o.metric]),
+            [
+                ["zoom.jpg", "fPixel"],
+                ["zoom.jpg", "cropFactor"],
+            ]
+        );
+        const crop = outliers[1];
+        assert.equal(crop.focalLength, null);
+        assert.ok(Math.abs(crop.median - 26 / 4.2) < 1e-9);
+        assert.ok(Math.abs(crop.deviation - 1) < 1e-9);
+
+        const text = formatOutliers(summariseBatch(results));
+        assert.match(text, /^Outliers\n/);
+        assert.match(text, /zoom\.jpg: f_pixel .* px, median .* px \(\+100\.0%\)/);
+        assert.match(text, /zoom\.jpg: crop factor ×12\.38, median ×6\.19 \(\+100\.0%\)/);
+        assert.equal(formatOutliers(summariseBatch(results.slice(0, 3))), "");
+    });
+
+    it("should group failures by type and reason", () => {
+        const { results, failures } = batch();
+        const report = summariseBatch(results, failures);
+
+        assert.deepEqual(report.failures, [
+            {
+                type: "Error",
+                count: 2,
+                reasons: [{ message: 'No EXIF data found in "<file>".', count: 2, files: ["x.jpg", "y.jpg"] }],
+            },
+            {
+                type: "UNSUPPORTED",
+                count: 1,
+                reasons: [{ message: "Unsupported file format", count: 1, files: ["z.cr3"] }],
+            },
+        ]);
+    });
+});
+
+describe("formatBatchReport", () => {
+    const { results, failures } = batch();
+    const report = summariseBatch(results, failures);
+
+    it("should print a text table", () => {
+        const text = formatBatchReport(report);
+        assert.match(text, /^Batch report: 6 of 9 image\(s\) analysed, 3 failed/);
+        assert.match(text, /apple\/iphone-12\/back-4\.2mm-f-1\.6 @ 4\.2 mm/);
+        assert.match(text, /Outliers\n.*\n    small\.jpg: f_pixel .* px, median .* px \(-50\.0%\)/);
+        assert.match(text, /2 × No EXIF data found in "<file>"\./);
+    });
+
+    it("should export Markdown and JSON", () => {
+        const md = formatBatchReport(report, "markdown");
+        assert.match(md, /^# Batch report/);
+        assert.match(md, /\| `sensorDatabase` \| 1 \|/);
+        assert.match(md, /## Outliers/);
+        assert.match(md, /\| small\.jpg \| f_pixel \| .* \| -50\.0% \|/);
+
+        assert.deepEqual(JSON.parse(formatBatchReport(report, "json")), report);
+        assert.throws(() => formatBatchReport(report, "html"), /Unknown report format "html"/);
+    });
+});
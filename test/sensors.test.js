@@ -0,0 +1,74 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+    lookupSensor,
+    registerSensors,
+    loadSensorDatabase,
+    clearRegisteredSensors,
+} from "../src/sensors.js";
+
+describe("lookupSensor", () => {
+    afterEach(() => clearRegisteredSensors());
+
+    it("should match bundled entries despite make suffixes and model prefixes", () => {
+        const s = lookupSensor({ make: "NIKON CORPORATION", model: "NIKON D850" });
+        assert.equal(s.sensorWidth, 35.9);
+        assert.equal(s.source, "bundled");
+    });
+
+    it("should match case-insensitively", () => {
+        const s = lookupSensor({ make: "canon", model: "canon eos 80d" });
+        assert.equal(s.sensorWidth, 22.5);
+    });
+
+    it("should return null for unknown cameras", () => {
+        assert.equal(lookupSensor({ make: "Acme", model: "Rig-1" }), null);
+        assert.equal(lookupSensor({ make: null, model: null }), null);
+    });
+
+    it("should prefer user entries and lens-specific matches", () => {
+        registerSensors([
+            { make: "Acme", model: "Rig-1", sensorWidth: 6.17, sensorHeight: 4.55 },
+            { make: "Acme", model: "Rig-1", lens: "tele", sensorWidth: 4.8, sensorHeight: 3.6 },
+        ]);
+        registerSensors({ make: "Canon", model: "EOS 80D", sensorWidth: 22.3, sensorHeight: 14.9 });
+
+        assert.equal(lookupSensor({ make: "Acme", model: "Rig-1" }).sensorWidth, 6.17);
+        const tele = lookupSensor({ make: "Acme", model: "Rig-1", lensModel: "Rig Tele 9mm" });
+        assert.equal(tele.sensorWidth, 4.8);
+        const canon = lookupSensor({ make: "Canon", model: "Canon EOS 80D" });
+        assert.equal(canon.sensorWidth, 22.3);
+        assert.equal(canon.source, "user");
+    });
+
+    it("should reject invalid entries", () => {
+        assert.throws(() => registerSensors({ make: "Acme", model: "X" }), /positive/);
+        assert.throws(() => registerSensors({ version: 2, sensors: [] }), /Unsupported/);
+    });
+});
+
+describe("loadSensorDatabase", () => {
+    afterEach(() => clearRegisteredSensors());
+
+    it("should register entries from a JSON file", async () => {
+        const dir = await mkdtemp(join(tmpdir(), "fov-sensors-"));
+        try {
+            const file = join(dir, "sensors.json");
+            await writeFile(
+                file,
+                JSON.stringify({
+                    version: 1,
+                    sensors: [{ make: "Acme", model: "Rig-2", sensorWidth: 13.2, sensorHeight: 8.8 }],
+                })
+            );
+            assert.equal(await loadSensorDatabase(file), 1);
+            assert.equal(lookupSensor({ make: "ACME", model: "Rig-2" }).sensorHeight, 8.8);
+        } finally {
+            await rm(dir, { recursive: true });
+        }
+    });
+});
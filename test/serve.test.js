@@ -0,0 +1,199 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { mkdtemp, mkdir, writeFile, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { setExifBackend } from "../src/exif.js";
+import { createAnalysisServer, analyzeOptionsFromQuery } from "../src/serve.js";
+
+const TAGS = {
+    ImageWidth: 4032,
+    ImageHeight: 3024,
+    FocalLength: 4.2,
+    FocalLengthIn35mmFormat: 26,
+};
+
+// Files whose contents start with "{" hold their tags as JSON
+function tagsOf(bytes) {
+    const text = Buffer.from(bytes).toString();
+    return text.startsWith("{") ? JSON.parse(text) : null;
+}
+
+describe("HTTP server", () => {
+    let dir;
+    let server;
+    let base;
+    const reads = [];
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "fov-serve-"));
+        await mkdir(join(dir, "served", "..cache"), { recursive: true });
+        await writeFile(join(dir, "served", "IMG_0001.JPG"), JSON.stringify(TAGS));
+        await writeFile(join(dir, "served", "..cache", "IMG_0002.JPG"), JSON.stringify(TAGS));
+        await writeFile(join(dir, "outside.jpg"), JSON.stringify(TAGS));
+
+        setExifBackend({
+            name: "test",
+            read: async (path) => tagsOf(await readFile(path)),
+            readBuffer: async (bytes, { filename }) => {
+                reads.push(filename);
+                return tagsOf(bytes);
+            },
+        });
+
+        server = await createAnalysisServer({ roots: [join(dir, "served")], maxBodySize: 1024 });
+        server.listen(0, "127.0.0.1");
+        await once(server, "listening");
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.close();
+        await once(server, "close");
+        setExifBackend("exiftool");
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should answer health checks", async () => {
+        const res = await fetch(`${base}/health`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), { status: "ok", backend: "test" });
+    });
+
+    it("should analyse local files inside the served roots", async () => {
+        const path = join(dir, "served", "IMG_0001.JPG");
+        const res = await fetch(`${base}/analyze?path=${encodeURIComponent(path)}&projection=equidistant`);
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.status, "ok");
+        assert.equal(body.projection, "equidistant");
+        assert.equal(body.focalLengthIn35mm, 26);
+
+        // A name that merely starts with ".." is inside the root
+        const dotted = join(dir, "served", "..cache", "IMG_0002.JPG");
+        assert.equal((await fetch(`${base}/analyze?path=${encodeURIComponent(dotted)}`)).status, 200);
+    });
+
+    it("should refuse paths outside the roots, missing files and missing paths", async () => {
+        const outside = await fetch(`${base}/analyze?path=${encodeURIComponent(join(dir, "outside.jpg"))}`);
+        assert.equal(outside.status, 403);
+        const escape = join(dir, "served", "..", "outside.jpg");
+        assert.equal((await fetch(`${base}/analyze?path=${encodeURIComponent(escape)}`)).status, 403);
+        assert.equal((await fetch(`${base}/analyze?path=${encodeURIComponent(join(dir, "nope.jpg"))}`)).status, 404);
+
+        const res = await fetch(`${base}/analyze`);
+        const body = await res.json();
+        assert.equal(res.status, 400);
+        assert.equal(body.status, "error");
+        assert.match(body.error.message, /path=/);
+    });
+
+    it("should analyse POSTed bodies and multipart uploads", async () => {
+        const raw = await fetch(`${base}/analyze?filename=upload.jpg&fov-mode=exiftool`, {
+            method: "POST",
+            headers: { "content-type": "image/jpeg" },
+            body: JSON.stringify(TAGS),
+        });
+        const rawBody = await raw.json();
+        assert.equal(raw.status, 200);
+        assert.equal(rawBody.file, "upload.jpg");
+        assert.equal(rawBody.fovMode, "exiftool");
+
+        const form = new FormData();
+        form.append("note", "ignored");
+        form.append("image", new Blob([JSON.stringify(TAGS)]), "IMG_0002.HEIC");
+        const multipart = await fetch(`${base}/analyze?close-focus=false`, { method: "POST", body: form });
+        assert.equal(multipart.status, 200);
+        assert.equal((await multipart.json()).file, "IMG_0002.HEIC");
+        assert.deepEqual(reads.slice(-2), ["upload.jpg", "IMG_0002.HEIC"]);
+    });
+
+    it("should report bad requests and failed analyses", async () => {
+        const post = (query, body) => fetch(`${base}/analyze${query}`, { method: "POST", body });
+
+        assert.equal((await post("?projection=cylindrical", "{}")).status, 400);
+        assert.equal((await post("", "")).status, 400);
+        assert.equal((await post("", "x".repeat(2048))).status, 413);
+
+        const failed = await post("?filename=broken.jpg", "not an image");
+        const body = await failed.json();
+        assert.equal(failed.status, 422);
+        assert.equal(body.file, "broken.jpg");
+        assert.match(body.error.message, /No EXIF data/);
+
+        assert.equal((await fetch(`${base}/elsewhere`)).status, 404);
+        assert.equal((await fetch(`${base}/analyze`, { method: "DELETE" })).status, 405);
+    });
+});
+
+describe("HTTP server limits", () => {
+    let dir;
+    let server;
+    let base;
+    let release;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "fov-serve-limit-"));
+        const held = new Promise((resolve) => {
+            release = resolve;
+        });
+        setExifBackend({
+            name: "slow",
+            read: async () => ({ ...TAGS }),
+            readBuffer: async (bytes) => {
+                await held;
+                return tagsOf(bytes);
+            },
+        });
+        server = await createAnalysisServer({ roots: [dir], maxRequests: 1 });
+        server.listen(0, "127.0.0.1");
+        await once(server, "listening");
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.close();
+        await once(server, "close");
+        setExifBackend("exiftool");
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should refuse analyses beyond maxRequests with 503", async () => {
+        const post = () => fetch(`${base}/analyze`, { method: "POST", body: JSON.stringify(TAGS) });
+        const first = post();
+        // Let the first request reach the backend
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        const busy = await post();
+        assert.equal(busy.status, 503);
+        assert.equal(busy.headers.get("retry-after"), "1");
+        assert.match((await busy.json()).error.message, /Too many analyses in progress \(limit 1\)/);
+        assert.equal((await fetch(`${base}/health`)).status, 200, "health checks are not limited");
+
+        release();
+        assert.equal((await first).status, 200);
+        assert.equal((await post()).status, 200);
+    });
+
+    it("should refuse to start without its roots", async () => {
+        await assert.rejects(createAnalysisServer({ roots: [join(dir, "missing")] }), /Cannot serve ".*missing"/);
+        await writeFile(join(dir, "file.jpg"), "");
+        await assert.rejects(createAnalysisServer({ roots: [join(dir, "file.jpg")] }), /not a directory/);
+    });
+});
+
+describe("analyzeOptionsFromQuery", () => {
+    it("should map query parameters to analyze() options", () => {
+        const params = new URLSearchParams("close-focus&crop=false&digital-zoom=1&focus-breathing=table");
+        assert.deepEqual(analyzeOptionsFromQuery(params), {
+            focusBreathing: "table",
+            applyCloseFocusCorrection: true,
+            applyCrop: false,
+            applyDigitalZoom: true,
+        });
+        assert.deepEqual(analyzeOptionsFromQuery(new URLSearchParams()), {});
+        assert.throws(() => analyzeOptionsFromQuery(new URLSearchParams("crop=maybe")), /crop must be true or false/);
+    });
+});
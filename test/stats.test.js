@@ -0,0 +1,37 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { median, range, errorStats, medianOutliers } from "../src/stats.js";
+
+describe("median and range", () => {
+    it("should take the middle value, or the mean of the middle two", () => {
+        assert.equal(median([3, 1, 2]), 2);
+        assert.equal(median([4, 1, 3, 2]), 2.5);
+        assert.deepEqual(range([5, 1, 3]), { min: 1, median: 3, max: 5 });
+    });
+});
+
+describe("errorStats", () => {
+    it("should summarise signed errors", () => {
+        assert.deepEqual(errorStats([3, -4]), { n: 2, mean: -0.5, meanAbs: 3.5, rms: Math.sqrt(12.5), maxAbs: 4 });
+    });
+});
+
+describe("medianOutliers", () => {
+    const items = [{ v: 10 }, { v: 10.2 }, { v: 9.9 }, { v: 20 }];
+
+    it("should list items beyond the relative tolerance from the median", () => {
+        const { median: mid, outliers } = medianOutliers(items, (i) => i.v, 0.05);
+        assert.equal(mid, 10.1);
+        assert.equal(outliers.length, 1);
+        assert.equal(outliers[0].item, items[3]);
+        assert.equal(outliers[0].value, 20);
+        assert.ok(Math.abs(outliers[0].deviation - (20 / 10.1 - 1)) < 1e-12);
+    });
+
+    it("should not flag outliers among too few items", () => {
+        assert.deepEqual(medianOutliers(items.slice(2), (i) => i.v, 0.05), { median: 14.95, outliers: [] });
+        assert.equal(medianOutliers(items.slice(2), (i) => i.v, 0.05, { minCount: 2 }).outliers.length, 2);
+        assert.deepEqual(medianOutliers([], (i) => i.v, 0.05), { median: null, outliers: [] });
+    });
+});
@@ -0,0 +1,222 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { exiftool } from "exiftool-vendored";
+
+import { analyzeTags } from "../src/index.js";
+import { shutdown } from "../src/exif.js";
+import { toColmap, toOpenCvYaml } from "../src/export.js";
+import { parseCalibration, detectCalibrationFormat } from "../src/calibration.js";
+import {
+    validate,
+    matchCalibration,
+    compareToCalibration,
+    summariseValidation,
+} from "../src/validate.js";
+import { minimalJpeg } from "./fixtures.js";
+
+// iPhone 12 wide camera: 26 mm equivalent, 4032 × 3024
+const PHONE = {
+    Make: "Apple",
+    Model: "iPhone 12",
+    FocalLength: 4.2,
+    FocalLengthIn35mmFormat: 26,
+    ImageWidth: 4032,
+    ImageHeight: 3024,
+};
+
+function camera(overrides = {}) {
+    return {
+        id: "1",
+        model: "PINHOLE",
+        projection: "rectilinear",
+        width: 4032,
+        height: 3024,
+        fx: 3000,
+        fy: 3000,
+        cx: 2016,
+        cy: 1512,
+        ...overrides,
+    };
+}
+
+describe("calibration files", () => {
+    it("should read back the cameras written by the exporters", () => {
+        const result = analyzeTags(PHONE);
+        for (const text of [toColmap([result]), toOpenCvYaml([result])]) {
+            const [cam] = parseCalibration(text);
+            assert.equal(cam.width, 4032);
+            assert.equal(cam.height, 3024);
+            assert.ok(Math.abs(cam.fx - result.intrinsics.fx) < 1e-3);
+            assert.ok(Math.abs(cam.cx - result.intrinsics.cx) < 1e-9);
+            assert.ok(Math.abs(cam.cy - result.intrinsics.cy) < 1e-9);
+        }
+    });
+
+    it("should read a single-camera OpenCV file with multi-line data", () => {
+        const text = [
+            "%YAML:1.0",
+            "---",
+            "image_width: 1920",
+            "image_height: 1080",
+            "camera_matrix: !!opencv-matrix",
+            "   rows: 3",
+            "   cols: 3",
+            "   dt: d",
+            "   data: [ 1.4e+03, 0., 959.5,",
+            "       0., 1.41e+03, 539.5, 0., 0., 1. ]",
+            "distortion_coefficients: !!opencv-matrix",
+            "   rows: 1",
+            "   cols: 5",
+            "   dt: d",
+            "   data: [ -0.1, 0.05, 0., 0., 0. ]",
+        ].join("\n");
+        assert.equal(detectCalibrationFormat(text), "opencv");
+        assert.deepEqual(parseCalibration(text), [
+            {
+                id: "camera",
+                model: "pinhole",
+                projection: "rectilinear",
+                width: 1920,
+                height: 1080,
+                fx: 1400,
+                fy: 1410,
+                cx: 960,
+                cy: 540,
+            },
+        ]);
+    });
+
+    it("should read COLMAP single-focal and fisheye models", () => {
+        const text = [
+            "# Camera list with one line of data per camera:",
+            "1 SIMPLE_RADIAL 4000 3000 3200 2000 1500 -0.02",
+            "2 OPENCV_FISHEYE 2880 2880 900 905 1440 1440 0.1 0 0 0",
+        ].join("\n");
+        const [a, b] = parseCalibration(text);
+        assert.equal(detectCalibrationFormat(text), "colmap");
+        assert.deepEqual([a.fx, a.fy, a.cx, a.cy], [3200, 3200, 2000, 1500]);
+        assert.equal(a.projection, "rectilinear");
+        assert.deepEqual([b.fx, b.fy], [900, 905]);
+        assert.equal(b.projection, "equidistant");
+    });
+
+    it("should reject unknown models and files without cameras", () => {
+        assert.throws(() => parseCalibration("1 UNKNOWN 10 10 1 1 1"), /Unsupported COLMAP camera model/);
+        assert.throws(() => parseCalibration("# empty\n"), /No camera found/);
+        assert.throws(() => parseCalibration("", { format: "kalibr" }), /Unknown calibration format/);
+    });
+});
+
+describe("validation", () => {
+    it("should report the relative focal error and the FOV error in degrees", () => {
+        const result = analyzeTags(PHONE);
+        const calibrated = camera({ fx: result.intrinsics.fx * 1.1, fy: result.intrinsics.fy * 1.1 });
+        const row = compareToCalibration(result, matchCalibration([calibrated], result));
+
+        assert.ok(Math.abs(row.focalError - (1 / 1.1 - 1)) < 1e-12);
+        // A longer calibrated focal length means a narrower FOV
+        assert.ok(row.hfovError > 0 && row.vfovError > 0 && row.dfovError > 0);
+        assert.ok(Math.abs(row.estimated.hfov - result.hfov) < 1e-9);
+        assert.equal(row.principalPointError, 0);
+        assert.equal(row.tier, "focalLengthIn35mm");
+        assert.equal(row.cameraId, result.cameraId);
+    });
+
+    it("should compare rotated images in the stored frame", () => {
+        const result = analyzeTags({ ...PHONE, Orientation: 6 });
+        const match = matchCalibration([camera()], result);
+        assert.equal(match.rotated, true);
+        const row = compareToCalibration(result, match);
+        assert.ok(Math.abs(row.estimated.hfov - analyzeTags(PHONE).hfov) < 1e-9);
+    });
+
+    it("should compare the principal point of rotated, off-centre crops in the stored frame", () => {
+        // Camera Raw crop of the right eighth: the optical centre stays at
+        // x = 2016 of the stored 3528 × 3024 pixels
+        const result = analyzeTags({
+            ...PHONE,
+            Orientation: 6,
+            HasCrop: true,
+            CropLeft: 0,
+            CropTop: 0,
+            CropRight: 0.875,
+            CropBottom: 1,
+        });
+        const match = matchCalibration([camera({ width: 3528, height: 3024 })], result);
+        assert.equal(match.rotated, true);
+        assert.equal(compareToCalibration(result, match).principalPointError, 0);
+
+        const centred = matchCalibration([camera({ width: 3528, height: 3024, cx: 1764 })], result);
+        assert.equal(compareToCalibration(result, centred).principalPointError, 252);
+    });
+
+    it("should rescale a calibration made at another resolution", () => {
+        const result = analyzeTags(PHONE);
+        const half = camera({ width: 2016, height: 1512, fx: 1500, fy: 1500, cx: 1008, cy: 756 });
+        const { camera: scaled } = matchCalibration([half], result);
+        assert.deepEqual([scaled.width, scaled.fx, scaled.cx], [4032, 3000, 2016]);
+    });
+
+    it("should refuse ambiguous and missing matches", () => {
+        const result = analyzeTags(PHONE);
+        assert.throws(() => matchCalibration([camera(), camera({ id: "2" })], result), /Several calibrated cameras/);
+        assert.equal(matchCalibration([camera(), camera({ id: "2" })], result, { camera: "2" }).camera.id, "2");
+        assert.throws(() => matchCalibration([camera()], result, { camera: "7" }), /No calibrated camera "7"/);
+        assert.throws(
+            () => matchCalibration([camera({ width: 1000, height: 1000 }), camera({ id: "2", width: 10, height: 10 })], result),
+            /No calibrated camera matches/
+        );
+    });
+
+    it("should aggregate errors per camera, per tier and overall", () => {
+        const rows = [
+            { cameraId: "a", tier: "focalLengthIn35mm", focalError: 0.02 },
+            { cameraId: "a", tier: "sensorDatabase", focalError: -0.04 },
+            { cameraId: "b", tier: "sensorDatabase", focalError: 0.01 },
+        ].map((r) => ({ hfovError: 1, vfovError: -1, dfovError: 0, principalPointError: 2, ...r }));
+        const summary = summariseValidation(rows);
+
+        assert.deepEqual(summary.byCamera.map((g) => [g.cameraId, g.focalError.n]), [["a", 2], ["b", 1]]);
+        assert.deepEqual(summary.byTier.map((g) => g.tier), ["focalLengthIn35mm", "sensorDatabase"]);
+        assert.ok(Math.abs(summary.overall.focalError.mean - -0.01 / 3) < 1e-12);
+        assert.ok(Math.abs(summary.overall.focalError.meanAbs - 0.07 / 3) < 1e-12);
+        assert.equal(summary.overall.focalError.maxAbs, 0.04);
+        assert.equal(summary.overall.vfovError.rms, 1);
+        assert.equal(summariseValidation([]).overall, null);
+    });
+});
+
+describe("validate", () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "fov-validate-"));
+    });
+
+    after(async () => {
+        await shutdown();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should compare images with a calibration file", async () => {
+        const file = join(dir, "phone.jpg");
+        await writeFile(file, minimalJpeg());
+        await exiftool.write(file, { Make: "Apple", Model: "iPhone 12", FocalLength: 4.2, FocalLengthIn35mmFormat: 26 }, [
+            "-overwrite_original",
+            "-n",
+        ]);
+        const calibration = join(dir, "cameras.txt");
+        await writeFile(calibration, "1 PINHOLE 4032 3024 3030 3020 2016 1512\n");
+
+        const report = await validate(calibration, [file, join(dir, "missing.jpg")]);
+        assert.equal(report.rows.length, 1);
+        assert.equal(report.rows[0].calibration, "1");
+        assert.ok(Math.abs(report.rows[0].focalError) < 0.01);
+        assert.equal(report.failures.length, 1);
+        assert.equal(report.failures[0].file, join(dir, "missing.jpg"));
+        assert.equal(report.summary.overall.focalError.n, 1);
+    });
+});
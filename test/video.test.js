@@ -0,0 +1,246 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { analyze, analyzeBuffer, analyzeTags } from "../src/index.js";
+import { shutdown } from "../src/exif.js";
+import { expandInputs } from "../src/files.js";
+
+// ── MP4 builder ───────────────────────────────────────────────────────────────
+
+const u8 = (v) => Buffer.from([v]);
+const u16 = (v) => {
+    const b = Buffer.alloc(2);
+    b.writeUInt16BE(v);
+    return b;
+};
+const u32 = (v) => {
+    const b = Buffer.alloc(4);
+    b.writeUInt32BE(v >>> 0);
+    return b;
+};
+const f32 = (v) => {
+    const b = Buffer.alloc(4);
+    b.writeFloatBE(v);
+    return b;
+};
+const str = (s) => Buffer.from(s, "latin1");
+
+function box(type, ...parts) {
+    const body = Buffer.concat(parts);
+    return Buffer.concat([u32(body.length + 8), str(type), body]);
+}
+
+function fullBox(type, flags, ...parts) {
+    return box(type, Buffer.from([0, 0, 0, flags]), ...parts);
+}
+
+// Track header matrix for a display rotation (degrees clockwise)
+function matrix(rotation) {
+    const ROTATIONS = { 0: [1, 0, 0, 1], 90: [0, 1, -1, 0], 180: [-1, 0, 0, -1], 270: [0, -1, 1, 0] };
+    const [a, b, c, d] = ROTATIONS[rotation];
+    // a b u / c d v / x y w, with a–d in 16.16 and w in 2.30 fixed point
+    return Buffer.concat([a, b, 0, c, d, 0, 0, 0].map((v) => u32(v * 0x10000)).concat(u32(0x40000000)));
+}
+
+// GPMF key-length-value entry, padded to 32 bits
+function klv(key, type, size, data) {
+    const pad = Buffer.alloc((4 - (data.length % 4)) % 4);
+    return Buffer.concat([str(key), str(type), u8(size), u16(data.length / size), data, pad]);
+}
+
+function nest(key, ...items) {
+    const data = Buffer.concat(items);
+    return Buffer.concat([str(key), u8(0), u8(1), u16(data.length), data]);
+}
+
+function gpmfSettings(...items) {
+    return nest("DEVC", klv("DVNM", "c", 6, str("Camera")), nest("STRM", ...items));
+}
+
+/**
+ * Helper: GoPro-style MP4 with a video track of `width` × `height` and a
+ * GPMF track holding one sample per entry of `fovs` (one second each). The
+ * file-level GPMF box records the first FOV and the lens mode.
+ */
+function goproMp4({ width = 3840, height = 2160, rotation = 0, fovs = [118.2], stabilisation = "HS EIS" }) {
+    const samples = fovs.map((fov) =>
+        gpmfSettings(klv("ZFOV", "f", 4, f32(fov)), klv("EISA", "c", stabilisation.length, str(stabilisation)))
+    );
+    const duration = 1000 * fovs.length;
+
+    const tkhd = (id, w, h, rot) =>
+        fullBox(
+            "tkhd",
+            3,
+            u32(0), u32(0), u32(id), u32(0), u32(duration),
+            Buffer.alloc(8), u16(0), u16(0), u16(0), u16(0),
+            matrix(rot), u32(w * 0x10000), u32(h * 0x10000)
+        );
+    const mdhd = fullBox("mdhd", 0, u32(0), u32(0), u32(1000), u32(duration), u16(0x55c4), u16(0));
+    const hdlr = (type) => fullBox("hdlr", 0, u32(0), str(type), Buffer.alloc(12), str(`GoPro ${type}\0`));
+
+    const moov = (mdatOffset) => {
+        const offsets = [];
+        let offset = mdatOffset + 8;
+        for (const sample of samples) {
+            offsets.push(offset);
+            offset += sample.length;
+        }
+        const videoTrack = box(
+            "trak",
+            tkhd(1, width, height, rotation),
+            box(
+                "mdia",
+                mdhd,
+                hdlr("vide"),
+                box(
+                    "minf",
+                    fullBox("vmhd", 1, Buffer.alloc(8)),
+                    box(
+                        "stbl",
+                        fullBox("stsd", 0, u32(0)),
+                        fullBox("stts", 0, u32(0)),
+                        fullBox("stsc", 0, u32(0)),
+                        fullBox("stsz", 0, u32(0), u32(0)),
+                        fullBox("stco", 0, u32(0))
+                    )
+                )
+            )
+        );
+        const metaTrack = box(
+            "trak",
+            tkhd(2, 0, 0, 0),
+            box(
+                "mdia",
+                mdhd,
+                hdlr("meta"),
+                box(
+                    "minf",
+                    box("gmhd"),
+                    box(
+                        "stbl",
+                        fullBox("stsd", 0, u32(1), box("gpmd", Buffer.alloc(6), u16(1))),
+                        fullBox("stts", 0, u32(1), u32(samples.length), u32(1000)),
+                        fullBox("stsc", 0, u32(1), u32(1), u32(1), u32(1)),
+                        fullBox("stsz", 0, u32(0), u32(samples.length), ...samples.map((s) => u32(s.length))),
+                        fullBox("stco", 0, u32(samples.length), ...offsets.map(u32))
+                    )
+                )
+            )
+        );
+        const mvhd = fullBox(
+            "mvhd",
+            0,
+            u32(0), u32(0), u32(1000), u32(duration), u32(0x10000), u16(0x100),
+            Buffer.alloc(10), matrix(0), Buffer.alloc(24), u32(3)
+        );
+        const udta = box(
+            "udta",
+            box("GPMF", gpmfSettings(klv("VFOV", "c", 1, str("W")), klv("ZFOV", "f", 4, f32(fovs[0]))))
+        );
+        return box("moov", mvhd, videoTrack, metaTrack, udta);
+    };
+
+    const ftyp = box("ftyp", str("mp41"), u32(0), str("mp41isom"));
+    const mdatOffset = ftyp.length + moov(0).length;
+    return Buffer.concat([ftyp, moov(mdatOffset), box("mdat", ...samples)]);
+}
+
+// ── Tests ─────────────────────────────────────────────────────────────────────
+
+describe("video", () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "fov-video-"));
+        await writeFile(join(dir, "zoom.mp4"), goproMp4({ rotation: 90, fovs: [118.2, 118.2, 95.5] }));
+        await writeFile(join(dir, "fixed.mp4"), goproMp4({ fovs: [118.2, 118.2], stabilisation: "N" }));
+    });
+
+    after(async () => {
+        await shutdown();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should report the video track and its rotation", async () => {
+        const result = await analyze(join(dir, "zoom.mp4"));
+        assert.equal(result.rawWidth, 3840);
+        assert.equal(result.rawHeight, 2160);
+        assert.equal(result.orientation, 6);
+        assert.equal(result.visualWidth, 2160);
+        assert.equal(result.provenance.sources.orientation, "Rotation");
+        assert.equal(result.video.duration, 3);
+        assert.equal(result.video.rotation, 90);
+        assert.equal(result.video.lensMode, "Wide");
+        assert.equal(result.video.stabilisation, "HS EIS");
+        assert.equal(result.video.stabilised, true);
+    });
+
+    it("should take the FOV from the recorded diagonal FOV", async () => {
+        const result = await analyze(join(dir, "zoom.mp4"));
+        assert.equal(result.provenance.f35mm.tier, "diagonalFov");
+        assert.ok(Math.abs(result.dfov - 118.2) < 1e-4);
+        // f35 = 21.633 / tan(59.1°)
+        assert.ok(Math.abs(result.focalLengthIn35mm - 12.947) < 1e-3);
+        assert.deepEqual(result.warnings, []);
+    });
+
+    it("should list the FOV per timestamp when it changes", async () => {
+        const { video } = await analyze(join(dir, "zoom.mp4"));
+        assert.deepEqual(video.series.map((s) => s.time), [0, 2]);
+        assert.ok(Math.abs(video.series[1].dfov - 95.5) < 1e-4);
+        assert.ok(video.series[1].fPixelDiagonal > video.series[0].fPixelDiagonal);
+        assert.equal(video.series[1].intrinsics.cx, 1080);
+    });
+
+    it("should read the samples of a video in memory", async () => {
+        const file = join(dir, "zoom.mp4");
+        assert.deepEqual(await analyzeBuffer(await readFile(file), { filename: file }), await analyze(file));
+    });
+
+    it("should omit the series when the FOV is constant", async () => {
+        const result = await analyze(join(dir, "fixed.mp4"));
+        assert.equal(result.video.series, null);
+        assert.equal(result.video.stabilised, false);
+        assert.equal(result.orientation, 1);
+    });
+
+    it("should find videos in directories", async () => {
+        const { files } = await expandInputs([dir]);
+        assert.deepEqual(files, [join(dir, "fixed.mp4"), join(dir, "zoom.mp4")]);
+    });
+
+    it("should warn when stabilisation crops by an unknown amount", () => {
+        const result = analyzeTags({
+            MIMEType: "video/quicktime",
+            ImageWidth: 1920,
+            ImageHeight: 1080,
+            Rotation: 270,
+            FocalLengthIn35mmFormat: 26,
+            ElectronicImageStabilization: "Y",
+        });
+        assert.equal(result.orientation, 8);
+        assert.equal(result.provenance.f35mm.tier, "focalLengthIn35mm");
+        assert.ok(result.warnings.some((w) => /stabilisation \(Y\)/.test(w)));
+    });
+
+    it("should apply a per-frame digital zoom", () => {
+        const result = analyzeTags({
+            MIMEType: "video/mp4",
+            ImageWidth: 3840,
+            ImageHeight: 2160,
+            FocalLengthIn35mmFormat: 24,
+            DigitalZoom: 2,
+        });
+        assert.equal(result.provenance.sources.digitalZoomRatio, "DigitalZoom");
+        assert.equal(result.focalLengthIn35mm, 48);
+    });
+
+    it("should leave still images without video fields", () => {
+        const result = analyzeTags({ ImageWidth: 4000, ImageHeight: 3000, FocalLengthIn35mmFormat: 26 });
+        assert.equal(result.video, null);
+    });
+});
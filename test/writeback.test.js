@@ -0,0 +1,159 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, readFile, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { exiftool } from "exiftool-vendored";
+
+import { analyze } from "../src/index.js";
+import { shutdown } from "../src/exif.js";
+import { writeback, planWriteback, sidecarPathFor } from "../src/writeback.js";
+import { minimalJpeg } from "./fixtures.js";
+
+// Canon EOS 80D body (sensor-database tier), no 35 mm tag
+const TAGS = { Make: "Canon", Model: "Canon EOS 80D", FocalLength: 35 };
+
+describe("writeback", () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "fov-writeback-"));
+    });
+
+    after(async () => {
+        await shutdown();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    async function image(name, tags = TAGS) {
+        const file = join(dir, name);
+        await writeFile(file, minimalJpeg());
+        await exiftool.write(file, tags, ["-overwrite_original", "-n"]);
+        return file;
+    }
+
+    it("should change nothing in a dry run", async () => {
+        const file = await image("dry.jpg");
+        const before = await readFile(file);
+        const outcome = await writeback(file, { sidecar: true, dryRun: true });
+
+        assert.equal(outcome.dryRun, true);
+        assert.deepEqual(outcome.image, { FocalLengthIn35mmFormat: 56 });
+        assert.equal(outcome.sidecar.path, join(dir, "dry.xmp"));
+        assert.deepEqual(await readFile(file), before);
+        assert.deepEqual((await readdir(dir)).sort(), ["dry.jpg"]);
+    });
+
+    it("should fill a missing FocalLengthIn35mmFormat and keep a backup", async () => {
+        const file = await image("fill.jpg");
+        const expected = await analyze(file);
+        await writeback(file);
+
+        const result = await analyze(file);
+        assert.equal(result.provenance.sources.focalLengthIn35mm, "FocalLengthIn35mmFormat");
+        assert.equal(result.focalLengthIn35mm, Math.round(expected.focalLengthIn35mm));
+        assert.ok((await readdir(dir)).includes("fill.jpg_original"));
+
+        const again = await writeback(file);
+        assert.equal(again.image, null);
+        assert.deepEqual(again.notes, ["FocalLengthIn35mmFormat already present"]);
+    });
+
+    it("should overwrite in place without backup", async () => {
+        const file = await image("nobackup.jpg");
+        await writeback(file, { backup: false });
+        assert.ok(!(await readdir(dir)).includes("nobackup.jpg_original"));
+    });
+
+    it("should write the camera model to an XMP sidecar", async () => {
+        const file = await image("side.jpg", { ...TAGS, FocalLengthIn35mmFormat: 56 });
+        const result = await analyze(file);
+        const outcome = await writeback(file, { sidecar: true });
+        assert.equal(outcome.image, null);
+
+        const xmp = await exiftool.read(sidecarPathFor(file), { numericTags: ["*"] });
+        assert.equal(xmp.FocalLengthIn35mmFormat, 56);
+        assert.equal(xmp.FocalPlaneResolutionUnit, 4);
+        assert.equal(xmp.ModelType, "perspective");
+        assert.equal(xmp.PerspectiveFocalLength, 35);
+        assert.equal(xmp.PerspectiveFocalLengthUnits, "mm");
+
+        // The sidecar's focal plane maps the focal length back to f_pixel
+        assert.ok(Math.abs(35 * xmp.FocalPlaneXResolution - result.intrinsics.fx) < 1e-3);
+        const [x, y] = xmp.PrincipalPoint.split(",").map(Number);
+        assert.ok(Math.abs(x * xmp.FocalPlaneXResolution - 2016) < 1e-2);
+        assert.ok(Math.abs(y * xmp.FocalPlaneYResolution - 1512) < 1e-2);
+    });
+
+    it("should write the camera model of a rotated image in the stored frame", async () => {
+        const file = await image("rotated.jpg", {
+            Make: "Apple",
+            Model: "iPhone 12",
+            FocalLength: 4.2,
+            FocalLengthIn35mmFormat: 26,
+            Orientation: 6,
+        });
+        const { tags } = (await writeback(file, { sidecar: true, dryRun: true })).sidecar;
+
+        // Centre of the 4032 × 3024 stored image: (2016, 1512) px
+        const [x, y] = tags["XMP-Camera:PrincipalPoint"].split(",").map(Number);
+        assert.ok(Math.abs(x - 2.796) < 1e-3 && Math.abs(y - 2.097) < 1e-3, `${x},${y}`);
+        assert.ok(Math.abs(x * tags["XMP-exif:FocalPlaneXResolution"] - 2016) < 1e-2);
+        assert.ok(Math.abs(y * tags["XMP-exif:FocalPlaneYResolution"] - 1512) < 1e-2);
+    });
+});
+
+describe("planWriteback", () => {
+    const base = {
+        file: "/photos/fisheye.jpg",
+        focalLength: 8,
+        focalLengthIn35mm: 15.4,
+        opticalFocalLengthIn35mm: 15.4,
+        projection: "equidistant",
+        intrinsics: { fx: 1000, fy: 1000, cx: 500, cy: 400 },
+        rawToVisual: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+        distortion: { coefficients: null, correctedInCamera: null },
+        provenance: { sources: {} },
+    };
+
+    it("should leave out the camera model for fisheye lenses", () => {
+        const plan = planWriteback(base, { sidecar: true, sidecarPath: "/tmp/x.xmp" });
+        assert.deepEqual(plan.image, { FocalLengthIn35mmFormat: 15 });
+        assert.deepEqual(plan.sidecar, {
+            path: "/tmp/x.xmp",
+            tags: { "XMP-exif:FocalLengthIn35mmFormat": 15, "XMP-exif:FocalLength": 8 },
+        });
+        assert.deepEqual(plan.notes, ["no camera model for the equidistant projection"]);
+    });
+
+    it("should write residual distortion only", () => {
+        const coefficients = { k1: -0.1, k2: 0.01, k3: 0, p1: 0, p2: 0 };
+        const lens = { ...base, projection: "rectilinear" };
+        const residual = planWriteback(
+            { ...lens, distortion: { coefficients, correctedInCamera: false } },
+            { sidecar: true }
+        );
+        assert.equal(residual.sidecar.tags["XMP-Camera:PerspectiveDistortion"], "-0.1,0.01,0,0,0");
+        assert.equal(residual.sidecar.path, "/photos/fisheye.xmp");
+
+        const corrected = planWriteback(
+            { ...lens, distortion: { coefficients, correctedInCamera: true } },
+            { sidecar: true }
+        );
+        assert.equal(corrected.sidecar.tags["XMP-Camera:PerspectiveDistortion"], undefined);
+    });
+
+    it("should turn residual distortion back into the stored frame", () => {
+        const coefficients = { k1: -0.1, k2: 0, k3: 0, p1: 0.001, p2: 0.002 };
+        const plan = planWriteback(
+            {
+                ...base,
+                projection: "rectilinear",
+                rawToVisual: [[0, -1, 3024], [1, 0, 0], [0, 0, 1]],
+                distortion: { coefficients, correctedInCamera: false },
+            },
+            { sidecar: true }
+        );
+        assert.equal(plan.sidecar.tags["XMP-Camera:PerspectiveDistortion"], "-0.1,0,0,-0.002,0.001");
+    });
+});
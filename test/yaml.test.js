@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseYaml } from "../src/yaml.js";
+
+describe("parseYaml", () => {
+    it("should read nested mappings, sequences and scalars", () => {
+        const text = [
+            "%YAML 1.2",
+            "---",
+            "version: 1",
+            "overrides:",
+            "- match:",
+            "    make: 'Acme'",
+            "    serial: \"007\"",
+            "  sensor: {width: 6.17, height: 4.55}",
+            "  tags: [a, 2, true, ~]",
+            "empty:",
+        ].join("\n");
+        assert.deepEqual(parseYaml(text), {
+            version: 1,
+            overrides: [
+                {
+                    match: { make: "Acme", serial: "007" },
+                    sensor: { width: 6.17, height: 4.55 },
+                    tags: ["a", 2, true, null],
+                },
+            ],
+            empty: null,
+        });
+    });
+
+    it("should reject what it does not support", () => {
+        assert.throws(() => parseYaml("a: 1\n   b: 2"), /line 2: bad indentation/);
+        assert.throws(() => parseYaml("a: &anchor 1"), /anchors/);
+        assert.throws(() => parseYaml("a: 1\na: 2"), /duplicate key "a"/);
+    });
+
+    it("should read flow mappings and sequences", () => {
+        assert.deepEqual(parseYaml("{ x: 1, y: 'a, b', z: [1, {w: 2}] }"), {
+            x: 1,
+            y: "a, b",
+            z: [1, { w: 2 }],
+        });
+        assert.deepEqual(parseYaml("offset: {x: -4, y: 10}  # pixels"), { offset: { x: -4, y: 10 } });
+        assert.throws(() => parseYaml("a: {x: 1"), /line 1: unterminated flow mapping/);
+        assert.throws(() => parseYaml("a: {x}"), /expected "key: value" in "x"/);
+    });
+
+    it("should reject bad indentation", () => {
+        assert.throws(() => parseYaml("a:\n  b: 1\n c: 2"), /line 3: bad indentation/);
+        assert.throws(() => parseYaml("- a\n  - b"), /line 2: bad indentation/);
+        assert.throws(() => parseYaml("a:\n\tb: 1"), /line 2: tabs are not allowed/);
+    });
+
+    it("should accept one document, with optional markers", () => {
+        assert.deepEqual(parseYaml("%YAML 1.2\n---\na: 1\n...\n# done"), { a: 1 });
+        assert.equal(parseYaml("---\n"), null);
+    });
+
+    it("should reject multiple documents", () => {
+        assert.throws(() => parseYaml("a: 1\n---\nb: 2"), /line 2: multiple documents are not supported/);
+        assert.throws(() => parseYaml("---\na: 1\n---\nb: 2"), /line 3: multiple documents/);
+        assert.throws(() => parseYaml("a: 1\n...\nb: 2"), /line 3: multiple documents/);
+    });
+});